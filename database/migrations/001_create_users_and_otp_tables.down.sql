@@ -0,0 +1,4 @@
+-- Rollback: drop users and otps tables
+DROP TABLE IF EXISTS otps;
+DROP TABLE IF EXISTS users;
+DROP FUNCTION IF EXISTS update_updated_at_column();
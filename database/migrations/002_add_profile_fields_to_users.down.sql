@@ -0,0 +1,18 @@
+-- Rollback: remove profile fields from users table
+DROP INDEX IF EXISTS idx_users_is_verified;
+DROP INDEX IF EXISTS idx_users_is_active;
+
+ALTER TABLE users 
+DROP COLUMN IF EXISTS updated_by,
+DROP COLUMN IF EXISTS created_by,
+DROP COLUMN IF EXISTS is_verified,
+DROP COLUMN IF EXISTS is_active,
+DROP COLUMN IF EXISTS avatar,
+DROP COLUMN IF EXISTS zipcode,
+DROP COLUMN IF EXISTS country,
+DROP COLUMN IF EXISTS state,
+DROP COLUMN IF EXISTS city,
+DROP COLUMN IF EXISTS address,
+DROP COLUMN IF EXISTS date_of_birth,
+DROP COLUMN IF EXISTS last_name,
+DROP COLUMN IF EXISTS first_name;
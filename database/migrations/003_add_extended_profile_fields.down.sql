@@ -0,0 +1,16 @@
+-- Rollback: remove extended profile fields from users table
+DROP INDEX IF EXISTS idx_users_marital_status;
+DROP INDEX IF EXISTS idx_users_gender;
+DROP INDEX IF EXISTS idx_users_email;
+
+ALTER TABLE users 
+DROP COLUMN IF EXISTS educational_qualification,
+DROP COLUMN IF EXISTS number_of_dependents,
+DROP COLUMN IF EXISTS duration_of_stay_months,
+DROP COLUMN IF EXISTS duration_of_stay_years,
+DROP COLUMN IF EXISTS residential_status,
+DROP COLUMN IF EXISTS email,
+DROP COLUMN IF EXISTS mother_name,
+DROP COLUMN IF EXISTS father_name,
+DROP COLUMN IF EXISTS marital_status,
+DROP COLUMN IF EXISTS gender;
@@ -0,0 +1,2 @@
+-- Rollback: drop sms_messages table
+DROP TABLE IF EXISTS sms_messages;
@@ -0,0 +1,27 @@
+-- Create sms_messages table to record delivery status of outgoing SMS
+-- The message body is never stored since it may contain an OTP
+CREATE TABLE IF NOT EXISTS sms_messages (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  mobile_number VARCHAR(20) NOT NULL,
+  template VARCHAR(50) NOT NULL,
+  provider VARCHAR(20),
+  provider_message_id VARCHAR(255),
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  error TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes for delivery lookups
+CREATE INDEX IF NOT EXISTS idx_sms_messages_user_id ON sms_messages(user_id);
+CREATE INDEX IF NOT EXISTS idx_sms_messages_mobile_number ON sms_messages(mobile_number);
+CREATE INDEX IF NOT EXISTS idx_sms_messages_status ON sms_messages(status);
+
+-- Create trigger to automatically update updated_at
+DROP TRIGGER IF EXISTS update_sms_messages_updated_at ON sms_messages;
+CREATE TRIGGER update_sms_messages_updated_at 
+BEFORE UPDATE ON sms_messages 
+FOR EACH ROW 
+EXECUTE FUNCTION update_updated_at_column();
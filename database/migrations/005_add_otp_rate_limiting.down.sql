@@ -0,0 +1,7 @@
+-- Rollback: remove OTP rate limiting
+DROP TABLE IF EXISTS otp_send_log;
+
+ALTER TABLE otps 
+DROP COLUMN IF EXISTS last_sent_at,
+DROP COLUMN IF EXISTS locked_until,
+DROP COLUMN IF EXISTS failed_attempts;
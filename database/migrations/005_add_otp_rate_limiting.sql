@@ -0,0 +1,17 @@
+-- Add attempt tracking and lockout fields to otps table
+ALTER TABLE otps 
+ADD COLUMN IF NOT EXISTS failed_attempts INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP,
+ADD COLUMN IF NOT EXISTS last_sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+
+-- Create otp_send_log table to enforce daily send caps per number and per IP
+CREATE TABLE IF NOT EXISTS otp_send_log (
+  id SERIAL PRIMARY KEY,
+  mobile_number VARCHAR(20) NOT NULL,
+  ip_address VARCHAR(45),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes for rolling-window lookups
+CREATE INDEX IF NOT EXISTS idx_otp_send_log_mobile_number ON otp_send_log(mobile_number, created_at);
+CREATE INDEX IF NOT EXISTS idx_otp_send_log_ip_address ON otp_send_log(ip_address, created_at);
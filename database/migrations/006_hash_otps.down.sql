@@ -0,0 +1,8 @@
+-- Rollback: restore plaintext otp column
+-- Hashed OTPs cannot be reversed; pending OTPs are removed and users request a new one
+DELETE FROM otps;
+
+ALTER TABLE otps 
+ADD COLUMN IF NOT EXISTS otp VARCHAR(6) NOT NULL;
+
+ALTER TABLE otps DROP COLUMN IF EXISTS otp_hash;
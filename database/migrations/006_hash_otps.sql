@@ -0,0 +1,9 @@
+-- Store a keyed hash of the OTP instead of the plaintext code
+ALTER TABLE otps 
+ADD COLUMN IF NOT EXISTS otp_hash VARCHAR(64);
+
+-- Pending plaintext OTPs cannot be converted; users simply request a new one
+DELETE FROM otps WHERE otp_hash IS NULL;
+
+ALTER TABLE otps DROP COLUMN IF EXISTS otp;
+ALTER TABLE otps ALTER COLUMN otp_hash SET NOT NULL;
@@ -0,0 +1,2 @@
+-- Rollback: drop sessions table
+DROP TABLE IF EXISTS sessions;
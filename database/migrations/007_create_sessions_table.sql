@@ -0,0 +1,24 @@
+-- Create sessions table
+-- One row per login; the refresh token rotates on every refresh and only
+-- its hash is kept. Migration 020 also keeps the hash of the token replaced
+-- by the last rotation; presenting that one (reuse) revokes the whole session
+CREATE TABLE IF NOT EXISTS sessions (
+  id UUID PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  refresh_token_hash VARCHAR(64) NOT NULL,
+  refresh_expires_at TIMESTAMP NOT NULL,
+  revoked_at TIMESTAMP,
+  revoked_reason VARCHAR(50),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create index on user_id for per-user session lookups
+CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id);
+
+-- Create trigger to automatically update updated_at
+DROP TRIGGER IF EXISTS update_sessions_updated_at ON sessions;
+CREATE TRIGGER update_sessions_updated_at 
+BEFORE UPDATE ON sessions 
+FOR EACH ROW 
+EXECUTE FUNCTION update_updated_at_column();
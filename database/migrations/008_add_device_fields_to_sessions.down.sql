@@ -0,0 +1,9 @@
+-- Rollback: remove device fields from sessions table
+DROP INDEX IF EXISTS idx_sessions_user_id_revoked_at;
+
+ALTER TABLE sessions 
+DROP COLUMN IF EXISTS last_seen_at,
+DROP COLUMN IF EXISTS user_agent,
+DROP COLUMN IF EXISTS ip_address,
+DROP COLUMN IF EXISTS platform,
+DROP COLUMN IF EXISTS device_name;
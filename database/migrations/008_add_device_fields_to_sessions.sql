@@ -0,0 +1,10 @@
+-- Add device details to sessions for the "Logged-in devices" screen
+ALTER TABLE sessions 
+ADD COLUMN IF NOT EXISTS device_name VARCHAR(255),
+ADD COLUMN IF NOT EXISTS platform VARCHAR(50),
+ADD COLUMN IF NOT EXISTS ip_address VARCHAR(45),
+ADD COLUMN IF NOT EXISTS user_agent TEXT,
+ADD COLUMN IF NOT EXISTS last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+
+-- Create index for listing active sessions per user
+CREATE INDEX IF NOT EXISTS idx_sessions_user_id_revoked_at ON sessions(user_id, revoked_at);
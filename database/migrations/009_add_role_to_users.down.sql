@@ -0,0 +1,4 @@
+-- Rollback: remove role from users table
+DROP INDEX IF EXISTS idx_users_role;
+
+ALTER TABLE users DROP COLUMN IF EXISTS role;
@@ -0,0 +1,6 @@
+-- Add role to users table for role-based access control
+ALTER TABLE users 
+ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'applicant' CHECK (role IN ('applicant', 'underwriter', 'admin'));
+
+-- Create index on role for filtering
+CREATE INDEX IF NOT EXISTS idx_users_role ON users(role);
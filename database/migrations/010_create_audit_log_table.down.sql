@@ -0,0 +1,3 @@
+-- Rollback: drop audit_log table
+DROP TABLE IF EXISTS audit_log;
+DROP FUNCTION IF EXISTS prevent_audit_log_modification();
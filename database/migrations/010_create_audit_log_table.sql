@@ -0,0 +1,35 @@
+-- Create append-only audit_log table
+-- Profile updates produce one row per changed field with before/after values;
+-- auth events produce a single row. user_id has no foreign key so history
+-- survives changes to the users table.
+CREATE TABLE IF NOT EXISTS audit_log (
+  id BIGSERIAL PRIMARY KEY,
+  user_id INTEGER,
+  actor_id INTEGER,
+  event_type VARCHAR(50) NOT NULL,
+  field VARCHAR(100),
+  old_value JSONB,
+  new_value JSONB,
+  ip_address VARCHAR(45),
+  user_agent TEXT,
+  metadata JSONB,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes for history lookups
+CREATE INDEX IF NOT EXISTS idx_audit_log_user_id_created_at ON audit_log(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_log_event_type ON audit_log(event_type);
+
+-- Reject updates and deletes to keep the log append-only
+CREATE OR REPLACE FUNCTION prevent_audit_log_modification()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS audit_log_append_only ON audit_log;
+CREATE TRIGGER audit_log_append_only 
+BEFORE UPDATE OR DELETE ON audit_log 
+FOR EACH ROW 
+EXECUTE FUNCTION prevent_audit_log_modification();
@@ -0,0 +1,3 @@
+-- Rollback: drop loan application tables
+DROP TABLE IF EXISTS loan_application_transitions;
+DROP TABLE IF EXISTS loan_applications;
@@ -0,0 +1,43 @@
+-- Create loan_applications table
+CREATE TABLE IF NOT EXISTS loan_applications (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  loan_product VARCHAR(30) NOT NULL CHECK (loan_product IN ('personal', 'home', 'vehicle', 'education', 'business')),
+  amount NUMERIC(14, 2) NOT NULL CHECK (amount > 0),
+  tenure_months INTEGER NOT NULL CHECK (tenure_months > 0),
+  purpose TEXT,
+  status VARCHAR(20) NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'submitted', 'under_review', 'approved', 'rejected', 'disbursed')),
+  profile_snapshot JSONB,
+  decision_reason TEXT,
+  submitted_at TIMESTAMP,
+  review_started_at TIMESTAMP,
+  approved_at TIMESTAMP,
+  rejected_at TIMESTAMP,
+  disbursed_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes for listing applications
+CREATE INDEX IF NOT EXISTS idx_loan_applications_user_id ON loan_applications(user_id);
+CREATE INDEX IF NOT EXISTS idx_loan_applications_status ON loan_applications(status);
+
+-- Create trigger to automatically update updated_at
+DROP TRIGGER IF EXISTS update_loan_applications_updated_at ON loan_applications;
+CREATE TRIGGER update_loan_applications_updated_at 
+BEFORE UPDATE ON loan_applications 
+FOR EACH ROW 
+EXECUTE FUNCTION update_updated_at_column();
+
+-- Create loan_application_transitions table (status history)
+CREATE TABLE IF NOT EXISTS loan_application_transitions (
+  id SERIAL PRIMARY KEY,
+  application_id INTEGER NOT NULL REFERENCES loan_applications(id) ON DELETE CASCADE,
+  from_status VARCHAR(20),
+  to_status VARCHAR(20) NOT NULL,
+  reason TEXT,
+  actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_loan_application_transitions_application_id ON loan_application_transitions(application_id);
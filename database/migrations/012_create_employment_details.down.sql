@@ -0,0 +1,2 @@
+-- Rollback: drop employment_details table
+DROP TABLE IF EXISTS employment_details;
@@ -0,0 +1,28 @@
+-- Create employment_details table (one row per user)
+CREATE TABLE IF NOT EXISTS employment_details (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+  employment_type VARCHAR(20) NOT NULL CHECK (employment_type IN ('Salaried', 'Self-Employed')),
+  employer_name VARCHAR(255),
+  designation VARCHAR(255),
+  business_name VARCHAR(255),
+  nature_of_business VARCHAR(255),
+  monthly_net_income NUMERIC(14, 2) NOT NULL CHECK (monthly_net_income >= 0),
+  annual_business_turnover NUMERIC(16, 2) CHECK (annual_business_turnover >= 0),
+  years_in_current_job INTEGER DEFAULT 0 CHECK (years_in_current_job >= 0),
+  total_experience_years INTEGER DEFAULT 0 CHECK (total_experience_years >= 0),
+  existing_emi_amount NUMERIC(14, 2) NOT NULL DEFAULT 0 CHECK (existing_emi_amount >= 0),
+  other_monthly_obligations NUMERIC(14, 2) NOT NULL DEFAULT 0 CHECK (other_monthly_obligations >= 0),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create index on employment_type for filtering
+CREATE INDEX IF NOT EXISTS idx_employment_details_employment_type ON employment_details(employment_type);
+
+-- Create trigger to automatically update updated_at
+DROP TRIGGER IF EXISTS update_employment_details_updated_at ON employment_details;
+CREATE TRIGGER update_employment_details_updated_at 
+BEFORE UPDATE ON employment_details 
+FOR EACH ROW 
+EXECUTE FUNCTION update_updated_at_column();
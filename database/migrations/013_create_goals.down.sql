@@ -0,0 +1,2 @@
+-- Rollback: drop goals table
+DROP TABLE IF EXISTS goals;
@@ -0,0 +1,26 @@
+-- Create goals table (savings goals and their planning assumptions)
+CREATE TABLE IF NOT EXISTS goals (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  category VARCHAR(30) NOT NULL CHECK (category IN ('home_down_payment', 'education', 'retirement', 'vehicle', 'wedding', 'emergency_fund', 'travel', 'other')),
+  target_amount NUMERIC(14, 2) NOT NULL CHECK (target_amount > 0),
+  target_date DATE NOT NULL,
+  current_savings NUMERIC(14, 2) NOT NULL DEFAULT 0 CHECK (current_savings >= 0),
+  monthly_contribution NUMERIC(14, 2) CHECK (monthly_contribution >= 0),
+  expected_return NUMERIC(5, 2) NOT NULL DEFAULT 10,
+  inflation_rate NUMERIC(5, 2) NOT NULL DEFAULT 6,
+  notes TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create index for listing a user's goals
+CREATE INDEX IF NOT EXISTS idx_goals_user_id ON goals(user_id);
+
+-- Create trigger to automatically update updated_at
+DROP TRIGGER IF EXISTS update_goals_updated_at ON goals;
+CREATE TRIGGER update_goals_updated_at 
+BEFORE UPDATE ON goals 
+FOR EACH ROW 
+EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,2 @@
+-- Rollback: drop documents table (stored files are not removed)
+DROP TABLE IF EXISTS documents;
@@ -0,0 +1,29 @@
+-- Create documents table (KYC and income document metadata; files live in object storage)
+CREATE TABLE IF NOT EXISTS documents (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  document_type VARCHAR(30) NOT NULL CHECK (document_type IN ('pan', 'aadhaar', 'bank_statement', 'salary_slip')),
+  file_name VARCHAR(255) NOT NULL,
+  mime_type VARCHAR(100) NOT NULL,
+  size_bytes INTEGER NOT NULL CHECK (size_bytes > 0),
+  checksum VARCHAR(64) NOT NULL,
+  storage_provider VARCHAR(20) NOT NULL,
+  storage_key VARCHAR(500) NOT NULL UNIQUE,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+  review_notes TEXT,
+  reviewed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  reviewed_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes for listing documents and the review queue
+CREATE INDEX IF NOT EXISTS idx_documents_user_id ON documents(user_id);
+CREATE INDEX IF NOT EXISTS idx_documents_status ON documents(status);
+
+-- Create trigger to automatically update updated_at
+DROP TRIGGER IF EXISTS update_documents_updated_at ON documents;
+CREATE TRIGGER update_documents_updated_at 
+BEFORE UPDATE ON documents 
+FOR EACH ROW 
+EXECUTE FUNCTION update_updated_at_column();
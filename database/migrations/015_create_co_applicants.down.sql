@@ -0,0 +1,2 @@
+-- Rollback: drop co_applicants table
+DROP TABLE IF EXISTS co_applicants;
@@ -0,0 +1,38 @@
+-- Create co_applicants table (co-applicants and guarantors linked to a primary user)
+-- Consent is given by the co-applicant from their own mobile number with an
+-- invite OTP; only the keyed hash of the OTP is stored.
+CREATE TABLE IF NOT EXISTS co_applicants (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  role VARCHAR(20) NOT NULL CHECK (role IN ('co_applicant', 'guarantor')),
+  relationship VARCHAR(30) NOT NULL CHECK (relationship IN ('Spouse', 'Parent', 'Child', 'Sibling', 'Other Relative', 'Friend', 'Business Partner')),
+  first_name VARCHAR(255) NOT NULL,
+  last_name VARCHAR(255) NOT NULL,
+  date_of_birth DATE,
+  gender VARCHAR(10) CHECK (gender IN ('Male', 'Female', 'Other')),
+  mobile_number VARCHAR(20) NOT NULL,
+  email VARCHAR(255),
+  employment_type VARCHAR(20) CHECK (employment_type IN ('Salaried', 'Self-Employed')),
+  monthly_net_income NUMERIC(14, 2) CHECK (monthly_net_income >= 0),
+  existing_emi_amount NUMERIC(14, 2) NOT NULL DEFAULT 0 CHECK (existing_emi_amount >= 0),
+  consent_status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (consent_status IN ('pending', 'confirmed', 'declined')),
+  consent_at TIMESTAMP,
+  invite_otp_hash VARCHAR(64),
+  invite_expires_at TIMESTAMP,
+  invite_sent_at TIMESTAMP,
+  invite_failed_attempts INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (user_id, mobile_number)
+);
+
+-- Create indexes for the profile lookup and co-applicant confirmation
+CREATE INDEX IF NOT EXISTS idx_co_applicants_user_id ON co_applicants(user_id);
+CREATE INDEX IF NOT EXISTS idx_co_applicants_mobile_number ON co_applicants(mobile_number);
+
+-- Create trigger to automatically update updated_at
+DROP TRIGGER IF EXISTS update_co_applicants_updated_at ON co_applicants;
+CREATE TRIGGER update_co_applicants_updated_at 
+BEFORE UPDATE ON co_applicants 
+FOR EACH ROW 
+EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,6 @@
+-- Rollback: drop email verification tables and column
+DROP TABLE IF EXISTS email_messages;
+DROP TABLE IF EXISTS email_verifications;
+
+ALTER TABLE users 
+DROP COLUMN IF EXISTS email_verified_at;
@@ -0,0 +1,41 @@
+-- Email verification: users.is_verified is set once the current email is verified
+ALTER TABLE users 
+ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP;
+
+-- Pending email verification codes (one per user, only the keyed hash is stored)
+CREATE TABLE IF NOT EXISTS email_verifications (
+  user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  email VARCHAR(255) NOT NULL,
+  code_hash VARCHAR(64) NOT NULL,
+  expires_at TIMESTAMP NOT NULL,
+  failed_attempts INTEGER NOT NULL DEFAULT 0,
+  last_sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create email_messages table to record delivery status of outgoing email
+-- The message body is never stored since it may contain a verification code
+CREATE TABLE IF NOT EXISTS email_messages (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  email VARCHAR(255) NOT NULL,
+  template VARCHAR(50) NOT NULL,
+  provider VARCHAR(20),
+  provider_message_id VARCHAR(255),
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  error TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes for delivery lookups
+CREATE INDEX IF NOT EXISTS idx_email_messages_user_id ON email_messages(user_id);
+CREATE INDEX IF NOT EXISTS idx_email_messages_status ON email_messages(status);
+
+-- Create trigger to automatically update updated_at
+DROP TRIGGER IF EXISTS update_email_messages_updated_at ON email_messages;
+CREATE TRIGGER update_email_messages_updated_at 
+BEFORE UPDATE ON email_messages 
+FOR EACH ROW 
+EXECUTE FUNCTION update_updated_at_column();
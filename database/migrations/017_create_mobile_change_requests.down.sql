@@ -0,0 +1,2 @@
+-- Rollback: drop mobile_change_requests table
+DROP TABLE IF EXISTS mobile_change_requests;
@@ -0,0 +1,30 @@
+-- Create mobile_change_requests table (pending changes of the registered mobile number)
+-- The new number is always confirmed by OTP; the change is also confirmed with an
+-- OTP on the old number, or with an emailed code when the old number is lost.
+-- Only keyed hashes of the codes are stored.
+CREATE TABLE IF NOT EXISTS mobile_change_requests (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  old_mobile_number VARCHAR(20) NOT NULL,
+  new_mobile_number VARCHAR(20) NOT NULL,
+  method VARCHAR(20) NOT NULL CHECK (method IN ('dual_otp', 'email')),
+  new_otp_hash VARCHAR(64) NOT NULL,
+  confirmation_hash VARCHAR(64) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'completed', 'cancelled', 'expired')),
+  failed_attempts INTEGER NOT NULL DEFAULT 0,
+  expires_at TIMESTAMP NOT NULL,
+  completed_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- At most one pending request per user
+CREATE UNIQUE INDEX IF NOT EXISTS idx_mobile_change_requests_pending
+ON mobile_change_requests(user_id) WHERE status = 'pending';
+
+-- Create trigger to automatically update updated_at
+DROP TRIGGER IF EXISTS update_mobile_change_requests_updated_at ON mobile_change_requests;
+CREATE TRIGGER update_mobile_change_requests_updated_at 
+BEFORE UPDATE ON mobile_change_requests 
+FOR EACH ROW 
+EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,5 @@
+-- Rollback: drop account deletion requests table and column
+DROP TABLE IF EXISTS account_deletion_requests;
+
+ALTER TABLE users 
+DROP COLUMN IF EXISTS deleted_at;
@@ -0,0 +1,34 @@
+-- Account deletion (right to erasure)
+-- A request is processed once its grace period has passed. Users with loans
+-- that must be retained are anonymised (users.deleted_at set) instead of
+-- deleted. user_id has no foreign key so the request survives the user row.
+ALTER TABLE users 
+ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+
+CREATE TABLE IF NOT EXISTS account_deletion_requests (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL,
+  reason TEXT,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'cancelled', 'completed')),
+  outcome VARCHAR(20) CHECK (outcome IN ('deleted', 'anonymised')),
+  scheduled_for TIMESTAMP NOT NULL,
+  cancelled_at TIMESTAMP,
+  completed_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- At most one pending request per user
+CREATE UNIQUE INDEX IF NOT EXISTS idx_account_deletion_requests_pending
+ON account_deletion_requests(user_id) WHERE status = 'pending';
+
+-- Create index for the scheduled deletion job
+CREATE INDEX IF NOT EXISTS idx_account_deletion_requests_scheduled_for
+ON account_deletion_requests(scheduled_for) WHERE status = 'pending';
+
+-- Create trigger to automatically update updated_at
+DROP TRIGGER IF EXISTS update_account_deletion_requests_updated_at ON account_deletion_requests;
+CREATE TRIGGER update_account_deletion_requests_updated_at 
+BEFORE UPDATE ON account_deletion_requests 
+FOR EACH ROW 
+EXECUTE FUNCTION update_updated_at_column();
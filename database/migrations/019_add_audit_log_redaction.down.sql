@@ -0,0 +1,9 @@
+-- Rollback: drop audit_log redaction and make the log strictly append-only again
+DROP FUNCTION IF EXISTS redact_user_audit(INTEGER);
+
+CREATE OR REPLACE FUNCTION prevent_audit_log_modification()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ language 'plpgsql';
@@ -0,0 +1,48 @@
+-- Allow erasing personal data from audit_log when an account is deleted
+-- Rows stay (the log remains the record of what happened and when), but the
+-- before/after values, IP address, user agent and metadata of a user's rows
+-- are cleared by redact_user_audit(). Any other update or delete is still rejected.
+CREATE OR REPLACE FUNCTION prevent_audit_log_modification()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'UPDATE'
+     AND current_setting('audit_log.redacting', true) = 'on'
+     AND NEW.id = OLD.id
+     AND NEW.user_id IS NOT DISTINCT FROM OLD.user_id
+     AND NEW.actor_id IS NOT DISTINCT FROM OLD.actor_id
+     AND NEW.event_type = OLD.event_type
+     AND NEW.field IS NOT DISTINCT FROM OLD.field
+     AND NEW.created_at IS NOT DISTINCT FROM OLD.created_at
+     AND NEW.old_value IS NULL
+     AND NEW.new_value IS NULL
+     AND NEW.ip_address IS NULL
+     AND NEW.user_agent IS NULL
+     AND NEW.metadata IS NULL THEN
+    RETURN NEW;
+  END IF;
+
+  RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ language 'plpgsql';
+
+-- Clear the personal values from a user's audit_log rows
+-- Returns the number of rows redacted
+CREATE OR REPLACE FUNCTION redact_user_audit(p_user_id INTEGER)
+RETURNS INTEGER AS $$
+DECLARE
+  redacted INTEGER;
+BEGIN
+  PERFORM set_config('audit_log.redacting', 'on', true);
+
+  UPDATE audit_log
+  SET old_value = NULL, new_value = NULL, ip_address = NULL, user_agent = NULL, metadata = NULL
+  WHERE user_id = p_user_id
+    AND (old_value IS NOT NULL OR new_value IS NOT NULL OR ip_address IS NOT NULL
+         OR user_agent IS NOT NULL OR metadata IS NOT NULL);
+  GET DIAGNOSTICS redacted = ROW_COUNT;
+
+  PERFORM set_config('audit_log.redacting', 'off', true);
+
+  RETURN redacted;
+END;
+$$ language 'plpgsql' SECURITY DEFINER;
@@ -0,0 +1,3 @@
+-- Rollback: drop previous refresh token hash from sessions
+ALTER TABLE sessions 
+DROP COLUMN IF EXISTS previous_refresh_token_hash;
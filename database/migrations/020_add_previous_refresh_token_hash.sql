@@ -0,0 +1,5 @@
+-- Keep the hash of the refresh token replaced by the last rotation
+-- Only presenting that token counts as reuse and revokes the session; any
+-- other token with a known session id is simply rejected
+ALTER TABLE sessions 
+ADD COLUMN IF NOT EXISTS previous_refresh_token_hash VARCHAR(64);
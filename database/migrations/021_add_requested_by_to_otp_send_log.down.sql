@@ -0,0 +1,5 @@
+-- Rollback: drop requested_by from otp_send_log
+DROP INDEX IF EXISTS idx_otp_send_log_requested_by;
+
+ALTER TABLE otp_send_log 
+DROP COLUMN IF EXISTS requested_by;
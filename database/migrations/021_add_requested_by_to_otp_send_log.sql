@@ -0,0 +1,8 @@
+-- Record which signed-in user triggered an OTP send (co-applicant invites,
+-- mobile number changes) so sends to other numbers can be capped per user.
+-- NULL for login OTPs. No foreign key: this is a log.
+ALTER TABLE otp_send_log 
+ADD COLUMN IF NOT EXISTS requested_by INTEGER;
+
+-- Create index for rolling-window lookups per user
+CREATE INDEX IF NOT EXISTS idx_otp_send_log_requested_by ON otp_send_log(requested_by, created_at);
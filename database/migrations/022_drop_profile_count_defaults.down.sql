@@ -0,0 +1,9 @@
+-- Rollback: default duration of stay and number of dependents to 0 again
+UPDATE users SET duration_of_stay_years = 0 WHERE duration_of_stay_years IS NULL;
+UPDATE users SET duration_of_stay_months = 0 WHERE duration_of_stay_months IS NULL;
+UPDATE users SET number_of_dependents = 0 WHERE number_of_dependents IS NULL;
+
+ALTER TABLE users 
+ALTER COLUMN duration_of_stay_years SET DEFAULT 0,
+ALTER COLUMN duration_of_stay_months SET DEFAULT 0,
+ALTER COLUMN number_of_dependents SET DEFAULT 0;
@@ -0,0 +1,36 @@
+-- Stop defaulting duration of stay and number of dependents to 0
+-- A default of 0 can't be told apart from an answer, so profile
+-- completeness counted these fields as filled in for new users. Unanswered
+-- fields are now NULL.
+ALTER TABLE users 
+ALTER COLUMN duration_of_stay_years DROP DEFAULT,
+ALTER COLUMN duration_of_stay_months DROP DEFAULT,
+ALTER COLUMN number_of_dependents DROP DEFAULT;
+
+-- Clear the defaults already stored: a 0 the user never saved through a
+-- profile update (no audit_log row for the field) was never answered.
+-- Saving 0 over the default left no audit row either, so those users are
+-- asked again.
+UPDATE users u
+SET duration_of_stay_years = NULL
+WHERE u.duration_of_stay_years = 0
+  AND NOT EXISTS (
+    SELECT 1 FROM audit_log a
+    WHERE a.user_id = u.id AND a.field = 'durationOfStayYears'
+  );
+
+UPDATE users u
+SET duration_of_stay_months = NULL
+WHERE u.duration_of_stay_months = 0
+  AND NOT EXISTS (
+    SELECT 1 FROM audit_log a
+    WHERE a.user_id = u.id AND a.field = 'durationOfStayMonths'
+  );
+
+UPDATE users u
+SET number_of_dependents = NULL
+WHERE u.number_of_dependents = 0
+  AND NOT EXISTS (
+    SELECT 1 FROM audit_log a
+    WHERE a.user_id = u.id AND a.field = 'numberOfDependents'
+  );
@@ -2,9 +2,16 @@ import express from 'express';
 import cors from 'cors';
 import connectDB from './config/database.js';
 import routes from './routes/index.js';
+import { jwks } from './controllers/auth.controller.js';
 
 const app = express();
 
+// X-Forwarded-For is client-controlled, so it is never trusted: on Lambda
+// serverless-express sets req.ip from API Gateway's requestContext.http.sourceIp,
+// locally it is the socket address. req.ip feeds the per-IP OTP cap and is
+// stored in VARCHAR(45) columns.
+app.set('trust proxy', false);
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -19,6 +26,9 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Public keys for verifying our JWTs
+app.get('/.well-known/jwks.json', jwks);
+
 // API routes
 app.use('/api', routes);
 
@@ -40,7 +50,14 @@ app.use((err, req, res, next) => {
 });
 
 // Connect to PostgreSQL (connection pool is cached/reused in Lambda)
-connectDB().catch(console.error);
+// Optionally apply pending migrations on cold start (serialized by an advisory lock)
+if (process.env.MIGRATE_ON_STARTUP === 'true') {
+  import('./utils/migrations.js')
+    .then(({ migrateUp }) => migrateUp())
+    .catch(console.error);
+} else {
+  connectDB().catch(console.error);
+}
 
 export default app;
 
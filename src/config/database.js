@@ -107,5 +107,16 @@ async function query(text, params) {
   return pool.query(text, params);
 }
 
+/**
+ * Close the connection pool (for CLI scripts that need to exit)
+ */
+async function closeDB() {
+  if (cachedPool) {
+    const pool = cachedPool;
+    cachedPool = null;
+    await pool.end();
+  }
+}
+
 export default connectDB;
-export { getClient, query };
+export { getClient, query, closeDB };
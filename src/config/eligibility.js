@@ -0,0 +1,123 @@
+/**
+ * Loan eligibility rule sets, one per loan product
+ *
+ * Defaults below can be overridden per product with the ELIGIBILITY_RULES
+ * env var (JSON), e.g. {"home": {"maxFoirPercent": 55, "annualRate": 8.75}}.
+ * Overrides are merged over the defaults, so only changed values are needed.
+ *
+ * Rule fields:
+ * - annualRate: interest rate (percent) used to size the eligible amount
+ * - minLoanAmount / maxLoanAmount: product limits in rupees
+ * - minTenureMonths / maxTenureMonths: product tenure limits
+ * - minAge: minimum applicant age in years
+ * - maxAgeAtMaturity: maximum age at the end of the tenure (number, or per employment type)
+ * - minMonthlyIncome: minimum monthly net income in rupees
+ * - minExperienceYears: minimum total work/business experience in years
+ * - maxFoirPercent: maximum share of income that may go to EMIs and obligations
+ * - dependentsWithoutAdjustment: dependents allowed before FOIR is reduced
+ * - foirReductionPerDependentPercent: FOIR reduction for each further dependent
+ * - allowedResidentialStatuses: residential statuses accepted
+ * - minStayMonthsIfRented: minimum time at the current address for rented homes
+ */
+
+import dotenv from 'dotenv';
+import { LOAN_PRODUCTS } from '../models/application.model.js';
+
+// Load .env file for local development
+if (process.env.NODE_ENV === 'development' || !process.env.AWS_LAMBDA_FUNCTION_NAME) {
+  dotenv.config();
+}
+
+const COMMON_RULES = {
+  minAge: 21,
+  maxAgeAtMaturity: { 'Salaried': 60, 'Self-Employed': 65 },
+  minExperienceYears: 1,
+  dependentsWithoutAdjustment: 2,
+  foirReductionPerDependentPercent: 2.5,
+  allowedResidentialStatuses: ['Owned', 'Rental', 'Parental'],
+  minStayMonthsIfRented: 12
+};
+
+const DEFAULT_RULES = {
+  personal: {
+    ...COMMON_RULES,
+    annualRate: 13,
+    minLoanAmount: 50000,
+    maxLoanAmount: 4000000,
+    minTenureMonths: 12,
+    maxTenureMonths: 60,
+    minMonthlyIncome: 25000,
+    maxFoirPercent: 50
+  },
+  home: {
+    ...COMMON_RULES,
+    annualRate: 8.5,
+    minLoanAmount: 500000,
+    maxLoanAmount: 100000000,
+    minTenureMonths: 60,
+    maxTenureMonths: 360,
+    minMonthlyIncome: 25000,
+    maxFoirPercent: 60,
+    maxAgeAtMaturity: { 'Salaried': 65, 'Self-Employed': 70 }
+  },
+  vehicle: {
+    ...COMMON_RULES,
+    annualRate: 9.5,
+    minLoanAmount: 100000,
+    maxLoanAmount: 10000000,
+    minTenureMonths: 12,
+    maxTenureMonths: 84,
+    minMonthlyIncome: 20000,
+    maxFoirPercent: 55
+  },
+  education: {
+    ...COMMON_RULES,
+    annualRate: 10.5,
+    minLoanAmount: 100000,
+    maxLoanAmount: 15000000,
+    minTenureMonths: 12,
+    maxTenureMonths: 180,
+    minMonthlyIncome: 15000,
+    maxFoirPercent: 55,
+    minAge: 18,
+    minExperienceYears: 0
+  },
+  business: {
+    ...COMMON_RULES,
+    annualRate: 15,
+    minLoanAmount: 100000,
+    maxLoanAmount: 50000000,
+    minTenureMonths: 12,
+    maxTenureMonths: 120,
+    minMonthlyIncome: 40000,
+    maxFoirPercent: 50,
+    minExperienceYears: 3,
+    allowedResidentialStatuses: ['Owned', 'Rental']
+  }
+};
+
+let cachedRules = null;
+
+/**
+ * Get the eligibility rule sets for all products (defaults merged with overrides)
+ * @returns {Object} Rule sets keyed by loan product
+ * @throws {Error} If ELIGIBILITY_RULES is not valid JSON or names an unknown product
+ */
+export function getEligibilityRules() {
+  if (cachedRules) {
+    return cachedRules;
+  }
+
+  const overrides = process.env.ELIGIBILITY_RULES ? JSON.parse(process.env.ELIGIBILITY_RULES) : {};
+
+  for (const product of Object.keys(overrides)) {
+    if (!LOAN_PRODUCTS.includes(product)) {
+      throw new Error(`ELIGIBILITY_RULES: unknown loan product ${product}`);
+    }
+  }
+
+  cachedRules = Object.fromEntries(
+    LOAN_PRODUCTS.map((product) => [product, { ...DEFAULT_RULES[product], ...overrides[product] }])
+  );
+  return cachedRules;
+}
@@ -0,0 +1,97 @@
+/**
+ * Profile sections and the fields each loan product requires
+ *
+ * The "default" list applies when no loan product is given. Lists can be
+ * replaced per product with the PROFILE_REQUIREMENTS env var (JSON), e.g.
+ * {"home": ["firstName", "lastName", "dateOfBirth", "address", "zipcode"]}.
+ * Field names are the ones accepted by PUT /api/profile.
+ */
+
+import dotenv from 'dotenv';
+import { LOAN_PRODUCTS } from '../models/application.model.js';
+
+// Load .env file for local development
+if (process.env.NODE_ENV === 'development' || !process.env.AWS_LAMBDA_FUNCTION_NAME) {
+  dotenv.config();
+}
+
+// Profile fields grouped into the sections shown by the onboarding UI
+export const PROFILE_SECTIONS = {
+  personal: ['firstName', 'lastName', 'dateOfBirth', 'gender', 'maritalStatus', 'email'],
+  family: ['fatherName', 'motherName', 'numberOfDependents'],
+  address: [
+    'address',
+    'city',
+    'state',
+    'country',
+    'zipcode',
+    'residentialStatus',
+    'durationOfStayYears',
+    'durationOfStayMonths'
+  ],
+  education: ['educationalQualification']
+};
+
+const BASE_REQUIREMENTS = [
+  'firstName',
+  'lastName',
+  'dateOfBirth',
+  'gender',
+  'email',
+  'address',
+  'city',
+  'state',
+  'zipcode',
+  'residentialStatus'
+];
+
+const DEFAULT_REQUIREMENTS = {
+  default: BASE_REQUIREMENTS,
+  personal: [...BASE_REQUIREMENTS, 'maritalStatus', 'durationOfStayYears'],
+  home: [
+    ...BASE_REQUIREMENTS,
+    'maritalStatus',
+    'fatherName',
+    'numberOfDependents',
+    'durationOfStayYears',
+    'educationalQualification'
+  ],
+  vehicle: [...BASE_REQUIREMENTS, 'maritalStatus', 'durationOfStayYears'],
+  education: [...BASE_REQUIREMENTS, 'fatherName', 'motherName', 'educationalQualification'],
+  business: [
+    ...BASE_REQUIREMENTS,
+    'maritalStatus',
+    'numberOfDependents',
+    'durationOfStayYears',
+    'educationalQualification'
+  ]
+};
+
+let cachedRequirements = null;
+
+/**
+ * Get the required profile fields for every loan product (and "default")
+ * @returns {Object} Field lists keyed by loan product
+ * @throws {Error} If PROFILE_REQUIREMENTS is not valid JSON or names an unknown product or field
+ */
+export function getProfileRequirements() {
+  if (cachedRequirements) {
+    return cachedRequirements;
+  }
+
+  const overrides = process.env.PROFILE_REQUIREMENTS ? JSON.parse(process.env.PROFILE_REQUIREMENTS) : {};
+  const knownFields = Object.values(PROFILE_SECTIONS).flat();
+
+  for (const [product, fields] of Object.entries(overrides)) {
+    if (product !== 'default' && !LOAN_PRODUCTS.includes(product)) {
+      throw new Error(`PROFILE_REQUIREMENTS: unknown loan product ${product}`);
+    }
+    const unknownField = fields.find((field) => !knownFields.includes(field));
+    if (unknownField) {
+      throw new Error(`PROFILE_REQUIREMENTS: unknown profile field ${unknownField}`);
+    }
+  }
+
+  cachedRequirements = { ...DEFAULT_REQUIREMENTS, ...overrides };
+  return cachedRequirements;
+}
@@ -0,0 +1,100 @@
+/**
+ * Versioned income tax rules (individuals below 60), one entry per financial year
+ *
+ * Versions can be added or replaced with the TAX_RULES env var (JSON keyed by
+ * financial year, same shape as below) when a budget changes the slabs.
+ * DEFAULT_TAX_YEAR selects the version used when a request does not name one
+ * (default: the latest version).
+ *
+ * Regime fields:
+ * - slabs: [{ upTo, rate }] in ascending order; the last slab has upTo null
+ * - standardDeduction: deduction for salaried taxpayers
+ * - rebate: { incomeLimit, maxRebate } (section 87A)
+ * - section80CLimit / section24bLimit: caps on investment and home loan
+ *   interest deductions (null: deduction not available in the regime)
+ * - cessPercent: health and education cess on the tax
+ */
+
+import dotenv from 'dotenv';
+
+// Load .env file for local development
+if (process.env.NODE_ENV === 'development' || !process.env.AWS_LAMBDA_FUNCTION_NAME) {
+  dotenv.config();
+}
+
+const OLD_REGIME = {
+  slabs: [
+    { upTo: 250000, rate: 0 },
+    { upTo: 500000, rate: 5 },
+    { upTo: 1000000, rate: 20 },
+    { upTo: null, rate: 30 }
+  ],
+  standardDeduction: 50000,
+  rebate: { incomeLimit: 500000, maxRebate: 12500 },
+  section80CLimit: 150000,
+  section24bLimit: 200000,
+  cessPercent: 4
+};
+
+const DEFAULT_TAX_RULES = {
+  'FY2024-25': {
+    old: OLD_REGIME,
+    new: {
+      slabs: [
+        { upTo: 300000, rate: 0 },
+        { upTo: 700000, rate: 5 },
+        { upTo: 1000000, rate: 10 },
+        { upTo: 1200000, rate: 15 },
+        { upTo: 1500000, rate: 20 },
+        { upTo: null, rate: 30 }
+      ],
+      standardDeduction: 75000,
+      rebate: { incomeLimit: 700000, maxRebate: 25000 },
+      section80CLimit: null,
+      section24bLimit: null,
+      cessPercent: 4
+    }
+  },
+  'FY2025-26': {
+    old: OLD_REGIME,
+    new: {
+      slabs: [
+        { upTo: 400000, rate: 0 },
+        { upTo: 800000, rate: 5 },
+        { upTo: 1200000, rate: 10 },
+        { upTo: 1600000, rate: 15 },
+        { upTo: 2000000, rate: 20 },
+        { upTo: 2400000, rate: 25 },
+        { upTo: null, rate: 30 }
+      ],
+      standardDeduction: 75000,
+      rebate: { incomeLimit: 1200000, maxRebate: 60000 },
+      section80CLimit: null,
+      section24bLimit: null,
+      cessPercent: 4
+    }
+  }
+};
+
+let cachedRules = null;
+
+/**
+ * Get all tax rule versions (defaults merged with TAX_RULES overrides)
+ * @returns {Object} Rule versions keyed by financial year
+ * @throws {Error} If TAX_RULES is not valid JSON
+ */
+export function getTaxRules() {
+  if (!cachedRules) {
+    const overrides = process.env.TAX_RULES ? JSON.parse(process.env.TAX_RULES) : {};
+    cachedRules = { ...DEFAULT_TAX_RULES, ...overrides };
+  }
+  return cachedRules;
+}
+
+/**
+ * Get the financial year used when none is requested
+ * @returns {string} Financial year (e.g. FY2025-26)
+ */
+export function getDefaultTaxYear() {
+  return process.env.DEFAULT_TAX_YEAR || Object.keys(getTaxRules()).sort().pop();
+}
@@ -0,0 +1,284 @@
+import { query } from '../config/database.js';
+import { USER_PROFILE_COLUMNS, formatUserProfile } from '../models/user.model.js';
+import { recordAuditEvent, getAuditHistory } from '../utils/audit.js';
+
+/**
+ * List and search users
+ * GET /api/admin/users
+ * 
+ * Query params (all optional, see listUsersQuery schema):
+ * - search: matches name, mobile number or email
+ * - isActive: true | false
+ * - gender: Male | Female | Other
+ * - maritalStatus: Single | Married | Divorced | Widowed
+ * - role: applicant | underwriter | admin
+ * - page (default 1), limit (default 20, max 100)
+ */
+export const listUsers = async (req, res, next) => {
+  try {
+    // Validated and coerced by the listUsersQuery schema (see routes)
+    const { search, isActive, gender, maritalStatus, role, page, limit } = req.query;
+
+    const conditions = [];
+    const values = [];
+    let paramCount = 1;
+
+    if (isActive !== undefined && isActive !== null) {
+      conditions.push(`is_active = $${paramCount++}`);
+      values.push(isActive);
+    }
+    if (gender) {
+      conditions.push(`gender = $${paramCount++}`);
+      values.push(gender);
+    }
+    if (maritalStatus) {
+      conditions.push(`marital_status = $${paramCount++}`);
+      values.push(maritalStatus);
+    }
+    if (role) {
+      conditions.push(`role = $${paramCount++}`);
+      values.push(role);
+    }
+    if (search) {
+      conditions.push(`(
+        first_name ILIKE $${paramCount} OR
+        last_name ILIKE $${paramCount} OR
+        mobile_number ILIKE $${paramCount} OR
+        email ILIKE $${paramCount}
+      )`);
+      paramCount++;
+      values.push(`%${search}%`);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const result = await query(
+      `SELECT ${USER_PROFILE_COLUMNS}, COUNT(*) OVER() AS total_count
+      FROM users
+      ${whereClause}
+      ORDER BY created_at DESC
+      LIMIT $${paramCount++} OFFSET $${paramCount}`,
+      [...values, limit, (page - 1) * limit]
+    );
+
+    const total = result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0;
+
+    res.status(200).json({
+      success: true,
+      users: result.rows.map(formatUserProfile),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error listing users:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get a user by id
+ * GET /api/admin/users/:id
+ */
+export const getUser = async (req, res, next) => {
+  try {
+    const userId = parseInt(req.params.id);
+
+    if (!userId) {
+      return res.status(400).json({
+        error: 'Invalid user id'
+      });
+    }
+
+    const result = await query(
+      `SELECT ${USER_PROFILE_COLUMNS}
+      FROM users 
+      WHERE id = $1`,
+      [userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      user: formatUserProfile(result.rows[0])
+    });
+  } catch (error) {
+    console.error('Error fetching user:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get a user's audit history
+ * GET /api/admin/users/:id/history
+ * 
+ * Query params (optional): eventType, page, limit
+ */
+export const getUserHistory = async (req, res, next) => {
+  try {
+    const userId = parseInt(req.params.id);
+
+    if (!userId) {
+      return res.status(400).json({
+        error: 'Invalid user id'
+      });
+    }
+
+    const history = await getAuditHistory(userId, req.query);
+
+    res.status(200).json({
+      success: true,
+      history: history.entries,
+      pagination: history.pagination
+    });
+  } catch (error) {
+    console.error('Error fetching user history:', error);
+    next(error);
+  }
+};
+
+/**
+ * Activate or deactivate a user
+ * PATCH /api/admin/users/:id/status
+ * 
+ * Deactivating a user also revokes all of their sessions.
+ * 
+ * Request body:
+ * {
+ *   "isActive": false
+ * }
+ */
+export const setUserStatus = async (req, res, next) => {
+  try {
+    const userId = parseInt(req.params.id);
+    const { isActive } = req.body;
+
+    if (!userId) {
+      return res.status(400).json({
+        error: 'Invalid user id'
+      });
+    }
+
+    if (userId === req.user.userId && !isActive) {
+      return res.status(400).json({
+        error: 'You cannot deactivate your own account'
+      });
+    }
+
+    const beforeResult = await query(
+      'SELECT is_active FROM users WHERE id = $1',
+      [userId]
+    );
+
+    if (beforeResult.rows.length === 0) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+
+    const result = await query(
+      `UPDATE users 
+      SET is_active = $1, updated_by = $2, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $3
+      RETURNING ${USER_PROFILE_COLUMNS}`,
+      [isActive, req.user.userId, userId]
+    );
+
+    await recordAuditEvent({
+      userId,
+      actorId: req.user.userId,
+      eventType: 'user_status_changed',
+      changes: [{ field: 'isActive', oldValue: beforeResult.rows[0].is_active, newValue: isActive }],
+      req
+    });
+
+    if (!isActive) {
+      await query(
+        `UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = 'deactivated'
+         WHERE user_id = $1 AND revoked_at IS NULL`,
+        [userId]
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      message: isActive ? 'User activated successfully' : 'User deactivated successfully',
+      user: formatUserProfile(result.rows[0])
+    });
+  } catch (error) {
+    console.error('Error updating user status:', error);
+    next(error);
+  }
+};
+
+/**
+ * Change a user's role
+ * PATCH /api/admin/users/:id/role
+ * 
+ * Request body:
+ * {
+ *   "role": "underwriter"
+ * }
+ */
+export const setUserRole = async (req, res, next) => {
+  try {
+    const userId = parseInt(req.params.id);
+    const { role } = req.body;
+
+    if (!userId) {
+      return res.status(400).json({
+        error: 'Invalid user id'
+      });
+    }
+
+    if (userId === req.user.userId && role !== 'admin') {
+      return res.status(400).json({
+        error: 'You cannot remove your own admin role'
+      });
+    }
+
+    const beforeResult = await query(
+      'SELECT role FROM users WHERE id = $1',
+      [userId]
+    );
+
+    if (beforeResult.rows.length === 0) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+
+    const result = await query(
+      `UPDATE users 
+      SET role = $1, updated_by = $2, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $3
+      RETURNING ${USER_PROFILE_COLUMNS}`,
+      [role, req.user.userId, userId]
+    );
+
+    await recordAuditEvent({
+      userId,
+      actorId: req.user.userId,
+      eventType: 'user_role_changed',
+      changes: [{ field: 'role', oldValue: beforeResult.rows[0].role, newValue: role }],
+      req
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'User role updated successfully',
+      user: formatUserProfile(result.rows[0])
+    });
+  } catch (error) {
+    console.error('Error updating user role:', error);
+    next(error);
+  }
+};
@@ -0,0 +1,448 @@
+import { query, getClient } from '../config/database.js';
+import {
+  APPLICATION_TRANSITIONS,
+  STATUS_TIMESTAMP_COLUMNS,
+  REQUIRED_PROFILE_FIELDS_FOR_SUBMISSION,
+  APPLICATION_COLUMNS,
+  formatApplication,
+  formatTransition
+} from '../models/application.model.js';
+import { USER_PROFILE_COLUMNS, formatUserProfile } from '../models/user.model.js';
+import { EMPLOYMENT_COLUMNS, formatEmployment } from '../models/employment.model.js';
+import { CO_APPLICANT_COLUMNS, formatCoApplicant } from '../models/co-applicant.model.js';
+
+const STAFF_ROLES = ['underwriter', 'admin'];
+
+/**
+ * Check whether the current user may view an application
+ * @param {Object} application - Row from the loan_applications table
+ * @param {Object} user - req.user
+ * @returns {boolean} True if owner or staff
+ */
+const canView = (application, user) =>
+  application.user_id === user.userId || STAFF_ROLES.includes(user.role);
+
+/**
+ * Create a draft loan application
+ * POST /api/applications
+ *
+ * Request body:
+ * {
+ *   "loanProduct": "home",
+ *   "amount": 2500000,
+ *   "tenureMonths": 240,
+ *   "purpose": "Purchase of first home"
+ * }
+ */
+export const createApplication = async (req, res, next) => {
+  try {
+    const userId = req.user.userId; // From JWT token (set by auth middleware)
+
+    // Validated and coerced by the createApplication schema (see routes)
+    const { loanProduct, amount, tenureMonths, purpose } = req.body;
+
+    const client = await getClient();
+    let application;
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `INSERT INTO loan_applications (user_id, loan_product, amount, tenure_months, purpose)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING ${APPLICATION_COLUMNS}`,
+        [userId, loanProduct, amount, tenureMonths, purpose ?? null]
+      );
+      application = result.rows[0];
+
+      await client.query(
+        `INSERT INTO loan_application_transitions (application_id, from_status, to_status, actor_id)
+         VALUES ($1, NULL, 'draft', $2)`,
+        [application.id, userId]
+      );
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Application created successfully',
+      application: formatApplication(application)
+    });
+  } catch (error) {
+    console.error('Error creating application:', error);
+    next(error);
+  }
+};
+
+/**
+ * List loan applications
+ * GET /api/applications
+ *
+ * Applicants see their own applications. Underwriters and admins see all
+ * applications and may filter by userId.
+ *
+ * Query params (optional): status, userId, page, limit
+ */
+export const listApplications = async (req, res, next) => {
+  try {
+    const { userId: currentUserId, role } = req.user;
+
+    // Validated and coerced by the listApplicationsQuery schema (see routes)
+    const { status, userId, page, limit } = req.query;
+
+    const conditions = [];
+    const values = [];
+    let paramCount = 1;
+
+    if (!STAFF_ROLES.includes(role)) {
+      conditions.push(`user_id = $${paramCount++}`);
+      values.push(currentUserId);
+    } else if (userId) {
+      conditions.push(`user_id = $${paramCount++}`);
+      values.push(userId);
+    }
+    if (status) {
+      conditions.push(`status = $${paramCount++}`);
+      values.push(status);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const result = await query(
+      `SELECT ${APPLICATION_COLUMNS}, COUNT(*) OVER() AS total_count
+      FROM loan_applications
+      ${whereClause}
+      ORDER BY created_at DESC
+      LIMIT $${paramCount++} OFFSET $${paramCount}`,
+      [...values, limit, (page - 1) * limit]
+    );
+
+    const total = result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0;
+
+    res.status(200).json({
+      success: true,
+      applications: result.rows.map(formatApplication),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error listing applications:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get a loan application with its status history
+ * GET /api/applications/:id
+ */
+export const getApplication = async (req, res, next) => {
+  try {
+    const applicationId = parseInt(req.params.id);
+
+    if (!applicationId) {
+      return res.status(400).json({
+        error: 'Invalid application id'
+      });
+    }
+
+    const result = await query(
+      `SELECT ${APPLICATION_COLUMNS} FROM loan_applications WHERE id = $1`,
+      [applicationId]
+    );
+
+    if (result.rows.length === 0 || !canView(result.rows[0], req.user)) {
+      return res.status(404).json({
+        error: 'Application not found'
+      });
+    }
+
+    const transitions = await query(
+      `SELECT id, from_status, to_status, reason, actor_id, created_at
+       FROM loan_application_transitions
+       WHERE application_id = $1
+       ORDER BY created_at, id`,
+      [applicationId]
+    );
+
+    res.status(200).json({
+      success: true,
+      application: {
+        ...formatApplication(result.rows[0]),
+        transitions: transitions.rows.map(formatTransition)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching application:', error);
+    next(error);
+  }
+};
+
+/**
+ * Update a draft loan application
+ * PUT /api/applications/:id
+ *
+ * Only the owner may update, and only while the application is a draft
+ */
+export const updateApplication = async (req, res, next) => {
+  try {
+    const userId = req.user.userId; // From JWT token (set by auth middleware)
+    const applicationId = parseInt(req.params.id);
+
+    if (!applicationId) {
+      return res.status(400).json({
+        error: 'Invalid application id'
+      });
+    }
+
+    // Validated and coerced by the updateApplication schema (see routes)
+    const { loanProduct, amount, tenureMonths, purpose } = req.body;
+
+    const updateFields = [];
+    const updateValues = [];
+    let paramCount = 1;
+
+    if (loanProduct !== undefined) {
+      updateFields.push(`loan_product = $${paramCount++}`);
+      updateValues.push(loanProduct);
+    }
+    if (amount !== undefined) {
+      updateFields.push(`amount = $${paramCount++}`);
+      updateValues.push(amount);
+    }
+    if (tenureMonths !== undefined) {
+      updateFields.push(`tenure_months = $${paramCount++}`);
+      updateValues.push(tenureMonths);
+    }
+    if (purpose !== undefined) {
+      updateFields.push(`purpose = $${paramCount++}`);
+      updateValues.push(purpose);
+    }
+
+    if (updateFields.length === 0) {
+      return res.status(400).json({
+        error: 'No application fields provided to update'
+      });
+    }
+
+    const existing = await query(
+      'SELECT id, status FROM loan_applications WHERE id = $1 AND user_id = $2',
+      [applicationId, userId]
+    );
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Application not found'
+      });
+    }
+
+    if (existing.rows[0].status !== 'draft') {
+      return res.status(409).json({
+        error: 'Only draft applications can be edited'
+      });
+    }
+
+    const result = await query(
+      `UPDATE loan_applications
+      SET ${updateFields.join(', ')}
+      WHERE id = $${paramCount++} AND user_id = $${paramCount} AND status = 'draft'
+      RETURNING ${APPLICATION_COLUMNS}`,
+      [...updateValues, applicationId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(409).json({
+        error: 'Only draft applications can be edited'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Application updated successfully',
+      application: formatApplication(result.rows[0])
+    });
+  } catch (error) {
+    console.error('Error updating application:', error);
+    next(error);
+  }
+};
+
+/**
+ * Move a loan application to a new status
+ * POST /api/applications/:id/transitions
+ *
+ * Allowed transitions (see APPLICATION_TRANSITIONS):
+ * draft → submitted (owner), submitted → under_review, under_review → approved/rejected
+ * (underwriter/admin), approved → disbursed (admin). Submitting requires
+ * employment details and snapshots the applicant's profile, employment/income
+ * and co-applicants. A reason is required for rejection.
+ *
+ * Request body:
+ * {
+ *   "status": "rejected",
+ *   "reason": "FOIR above policy limit"
+ * }
+ */
+export const transitionApplication = async (req, res, next) => {
+  try {
+    const { userId, role } = req.user;
+    const applicationId = parseInt(req.params.id);
+
+    if (!applicationId) {
+      return res.status(400).json({
+        error: 'Invalid application id'
+      });
+    }
+
+    // Validated by the applicationTransition schema (see routes)
+    const { status: toStatus, reason } = req.body;
+
+    const client = await getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      const current = await client.query(
+        `SELECT ${APPLICATION_COLUMNS} FROM loan_applications WHERE id = $1 FOR UPDATE`,
+        [applicationId]
+      );
+
+      if (current.rows.length === 0 || !canView(current.rows[0], req.user)) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({
+          error: 'Application not found'
+        });
+      }
+
+      const application = current.rows[0];
+      const fromStatus = application.status;
+      const transition = (APPLICATION_TRANSITIONS[fromStatus] || {})[toStatus];
+
+      if (!transition) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({
+          error: `Cannot move application from ${fromStatus} to ${toStatus}`
+        });
+      }
+
+      // Applicants may only act on their own applications
+      const isOwner = application.user_id === userId;
+      const allowed = transition.roles.some((allowedRole) =>
+        allowedRole === 'applicant' ? isOwner : allowedRole === role
+      );
+
+      if (!allowed) {
+        await client.query('ROLLBACK');
+        return res.status(403).json({
+          error: 'You do not have permission to perform this transition'
+        });
+      }
+
+      // Staff may not review, decide or disburse their own applications
+      if (isOwner && !transition.roles.includes('applicant')) {
+        await client.query('ROLLBACK');
+        return res.status(403).json({
+          error: 'You cannot perform this transition on your own application'
+        });
+      }
+
+      if (transition.reasonRequired && !reason) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({
+          error: `A reason is required to move an application to ${toStatus}`
+        });
+      }
+
+      const updateFields = ['status = $1', `${STATUS_TIMESTAMP_COLUMNS[toStatus]} = CURRENT_TIMESTAMP`];
+      const updateValues = [toStatus];
+
+      // Snapshot the applicant's profile, employment/income and co-applicants as
+      // declared at submission time, so later edits don't change what is underwritten
+      if (toStatus === 'submitted') {
+        const profileResult = await client.query(
+          `SELECT ${USER_PROFILE_COLUMNS} FROM users WHERE id = $1`,
+          [application.user_id]
+        );
+        const profile = formatUserProfile(profileResult.rows[0]);
+        const missing = REQUIRED_PROFILE_FIELDS_FOR_SUBMISSION.filter((field) => !profile[field]);
+
+        if (missing.length > 0) {
+          await client.query('ROLLBACK');
+          return res.status(422).json({
+            error: 'Complete your profile before submitting the application',
+            missingFields: missing
+          });
+        }
+
+        const employmentResult = await client.query(
+          `SELECT ${EMPLOYMENT_COLUMNS} FROM employment_details WHERE user_id = $1`,
+          [application.user_id]
+        );
+
+        if (employmentResult.rows.length === 0) {
+          await client.query('ROLLBACK');
+          return res.status(422).json({
+            error: 'Add your employment and income details before submitting the application'
+          });
+        }
+
+        const coApplicantResult = await client.query(
+          `SELECT ${CO_APPLICANT_COLUMNS} FROM co_applicants WHERE user_id = $1 ORDER BY id`,
+          [application.user_id]
+        );
+
+        updateValues.push(JSON.stringify({
+          ...profile,
+          employment: formatEmployment(employmentResult.rows[0]),
+          coApplicants: coApplicantResult.rows.map(formatCoApplicant)
+        }));
+        updateFields.push(`profile_snapshot = $${updateValues.length}`);
+      }
+
+      if (toStatus === 'approved' || toStatus === 'rejected') {
+        updateValues.push(reason ?? null);
+        updateFields.push(`decision_reason = $${updateValues.length}`);
+      }
+
+      updateValues.push(applicationId);
+      const result = await client.query(
+        `UPDATE loan_applications
+        SET ${updateFields.join(', ')}
+        WHERE id = $${updateValues.length}
+        RETURNING ${APPLICATION_COLUMNS}`,
+        updateValues
+      );
+
+      await client.query(
+        `INSERT INTO loan_application_transitions (application_id, from_status, to_status, reason, actor_id)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [applicationId, fromStatus, toStatus, reason ?? null, userId]
+      );
+
+      await client.query('COMMIT');
+
+      res.status(200).json({
+        success: true,
+        message: `Application moved to ${toStatus}`,
+        application: formatApplication(result.rows[0])
+      });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    console.error('Error transitioning application:', error);
+    next(error);
+  }
+};
@@ -1,6 +1,27 @@
 import { query } from '../config/database.js';
-import { generateOTP, isValidOTPFormat, isOTPExpired, getOTPExpiryTime } from '../utils/otp.js';
-import { generateToken } from '../utils/jwt.js';
+import {
+  generateOTP,
+  isOTPExpired,
+  getOTPExpiryTime,
+  getOTPExpiryMinutes,
+  getOTPLimits,
+  hashOTP,
+  verifyOTPHash,
+  normalizeMobile
+} from '../utils/otp.js';
+import { tooManyRequests, rejectOverDailyIpLimit, rejectOverDailyLimit, recordOtpSend } from '../utils/rate-limit.js';
+import { generateToken, getJwks } from '../utils/jwt.js';
+import { sendSms } from '../utils/sms/index.js';
+import { isDevelopment } from '../utils/environment.js';
+import { recordAuditEvent } from '../utils/audit.js';
+import {
+  generateSessionId,
+  generateRefreshToken,
+  parseRefreshToken,
+  hashRefreshToken,
+  verifyRefreshTokenHash,
+  getRefreshTokenExpiryTime
+} from '../utils/session.js';
 
 /**
  * Send OTP to mobile number
@@ -13,25 +34,18 @@ import { generateToken } from '../utils/jwt.js';
  */
 export const sendOtp = async (req, res, next) => {
   try {
+    // Validated by the sendOtp schema (see routes)
     const { mobileNumber } = req.body;
 
-    // Validate mobile number
-    if (!mobileNumber) {
-      return res.status(400).json({
-        error: 'Mobile number is required'
-      });
-    }
+    // Normalize mobile number (ensure it starts with +)
+    const normalizedMobile = normalizeMobile(mobileNumber);
 
-    // Basic mobile number validation (format: +919876543210 or 9876543210)
-    const mobileRegex = /^\+?[1-9]\d{1,14}$/;
-    if (!mobileRegex.test(mobileNumber)) {
-      return res.status(400).json({
-        error: 'Invalid mobile number format'
-      });
-    }
+    const limits = getOTPLimits();
 
-    // Normalize mobile number (ensure it starts with +)
-    const normalizedMobile = mobileNumber.startsWith('+') ? mobileNumber : `+91${mobileNumber}`;
+    // Enforce rolling 24-hour send caps per IP and per number
+    if (await rejectOverDailyIpLimit(res, req.ip) || await rejectOverDailyLimit(res, normalizedMobile)) {
+      return;
+    }
 
     // Check if user exists
     const userResult = await query(
@@ -51,47 +65,76 @@ export const sendOtp = async (req, res, next) => {
       userId = newUserResult.rows[0].id;
     } else {
       userId = userResult.rows[0].id;
+
+      // Enforce lockout and resend cooldown from the pending OTP
+      const pendingResult = await query(
+        `SELECT
+           EXTRACT(EPOCH FROM (locked_until - CURRENT_TIMESTAMP))::float AS locked_for,
+           EXTRACT(EPOCH FROM (last_sent_at + make_interval(secs => $2) - CURRENT_TIMESTAMP))::float AS cooldown_for
+         FROM otps
+         WHERE user_id = $1`,
+        [userId, limits.resendCooldownSeconds]
+      );
+
+      if (pendingResult.rows.length > 0) {
+        const { locked_for: lockedFor, cooldown_for: cooldownFor } = pendingResult.rows[0];
+
+        if (lockedFor > 0) {
+          return tooManyRequests(res, lockedFor, 'Too many failed attempts. Mobile number is temporarily locked');
+        }
+
+        if (cooldownFor > 0) {
+          return tooManyRequests(res, cooldownFor, 'Please wait before requesting another OTP');
+        }
+      }
     }
 
     // Generate OTP
-    // In development, use a fixed test OTP for easy testing
-    // In production, generate a random OTP
-    const isDevelopment = process.env.NODE_ENV === 'development' || !process.env.AWS_LAMBDA_FUNCTION_NAME;
-    const otp = isDevelopment ? '123456' : generateOTP();
+    const otp = generateOTP();
     const expiryTime = getOTPExpiryTime();
 
-    // Store or update OTP in database
+    // Store or update OTP in database (only the keyed hash is stored)
     await query(
-      `INSERT INTO otps (user_id, otp, expiry_time, mobile_number)
+      `INSERT INTO otps (user_id, otp_hash, expiry_time, mobile_number)
        VALUES ($1, $2, $3, $4)
        ON CONFLICT (user_id) 
-       DO UPDATE SET otp = $2, expiry_time = $3, created_at = CURRENT_TIMESTAMP`,
-      [userId, otp, expiryTime, normalizedMobile]
+       DO UPDATE SET otp_hash = $2, expiry_time = $3, created_at = CURRENT_TIMESTAMP,
+         failed_attempts = 0, locked_until = NULL, last_sent_at = CURRENT_TIMESTAMP`,
+      [userId, hashOTP(otp, normalizedMobile), expiryTime, normalizedMobile]
     );
 
-    if (isDevelopment) {
-      // In development, log the test OTP
-      console.log(`[DEV MODE] Test OTP for ${normalizedMobile}: ${otp}`);
-      console.log(`[DEV MODE] Use OTP: ${otp} for testing`);
-    } else {
-      // TODO: Integrate with SMS service (Twilio, AWS SNS, etc.)
-      // For production, send OTP via SMS
-      console.log(`OTP for ${normalizedMobile}: ${otp}`);
-      // TODO: Send SMS here
-    }
+    // Record the send for daily caps
+    await recordOtpSend(normalizedMobile, req.ip);
+
+    // Deliver OTP via the configured SMS provider
+    // (the local outbox provider is used in development)
+    const delivery = await sendSms({
+      to: normalizedMobile,
+      template: 'otp',
+      params: { otp, expiryMinutes: getOTPExpiryMinutes() },
+      userId
+    });
+
+    await recordAuditEvent({
+      userId,
+      eventType: 'otp_sent',
+      metadata: { isNewUser, provider: delivery.provider },
+      req
+    });
+
+    // The outbox provider does not deliver anything, so return the OTP for testing
+    // (development only: anyone could otherwise log in as any number)
+    const isOutbox = delivery.provider === 'outbox' && isDevelopment();
 
     res.status(200).json({
       success: true,
-      message: isDevelopment 
-        ? 'OTP sent successfully (DEV MODE - Use test OTP: 123456)' 
-        : 'OTP sent successfully',
+      message: 'OTP sent successfully',
       mobileNumber: normalizedMobile,
       isNewUser,
-      // In development, include the test OTP in response
-      ...(isDevelopment && { 
+      ...(isOutbox && { 
         otp,
         devMode: true,
-        note: 'Using test OTP in development mode'
+        note: 'OTP delivered to local SMS outbox'
       })
     });
   } catch (error) {
@@ -107,33 +150,22 @@ export const sendOtp = async (req, res, next) => {
  * Request body:
  * {
  *   "mobileNumber": "+919876543210",
- *   "otp": "123456"
+ *   "otp": "123456",
+ *   "deviceName": "Pixel 8",   // optional
+ *   "platform": "android"      // optional
  * }
  */
 export const verifyOtp = async (req, res, next) => {
   try {
-    const { mobileNumber, otp } = req.body;
-
-    // Validate input
-    if (!mobileNumber || !otp) {
-      return res.status(400).json({
-        error: 'Mobile number and OTP are required'
-      });
-    }
-
-    // Validate OTP format
-    if (!isValidOTPFormat(otp)) {
-      return res.status(400).json({
-        error: 'Invalid OTP format. OTP must be 6 digits'
-      });
-    }
+    // Validated by the verifyOtp schema (see routes)
+    const { mobileNumber, otp, deviceName, platform } = req.body;
 
     // Normalize mobile number
-    const normalizedMobile = mobileNumber.startsWith('+') ? mobileNumber : `+91${mobileNumber}`;
+    const normalizedMobile = normalizeMobile(mobileNumber);
 
     // Find user
     const userResult = await query(
-      'SELECT id, mobile_number, created_at FROM users WHERE mobile_number = $1',
+      'SELECT id, mobile_number, role, is_active, created_at FROM users WHERE mobile_number = $1',
       [normalizedMobile]
     );
 
@@ -143,62 +175,128 @@ export const verifyOtp = async (req, res, next) => {
       });
     }
 
+    if (userResult.rows[0].is_active === false) {
+      return res.status(403).json({
+        error: 'Account has been deactivated'
+      });
+    }
+
     const userId = userResult.rows[0].id;
 
-    // Check if we're in development mode
-    const isDevelopment = process.env.NODE_ENV === 'development' || !process.env.AWS_LAMBDA_FUNCTION_NAME;
-    
-    // In development, allow test OTP "123456" to work without database check
-    if (isDevelopment && otp === '123456') {
-      console.log(`[DEV MODE] Accepting test OTP: ${otp} for ${normalizedMobile}`);
-      // Skip database verification for test OTP in dev mode
-    } else {
-      // Get OTP from database
-      const otpResult = await query(
-        'SELECT otp, expiry_time, created_at FROM otps WHERE user_id = $1 AND mobile_number = $2',
-        [userId, normalizedMobile]
+    // Get OTP from database
+    const otpResult = await query(
+      `SELECT otp_hash, expiry_time, created_at,
+              EXTRACT(EPOCH FROM (locked_until - CURRENT_TIMESTAMP))::float AS locked_for
+       FROM otps WHERE user_id = $1 AND mobile_number = $2`,
+      [userId, normalizedMobile]
+    );
+
+    if (otpResult.rows.length === 0) {
+      return res.status(400).json({
+        error: 'OTP not found. Please request a new OTP'
+      });
+    }
+
+    const storedOtpHash = otpResult.rows[0].otp_hash;
+    const expiryTime = otpResult.rows[0].expiry_time;
+    const lockedFor = otpResult.rows[0].locked_for;
+
+    // Reject while the number is locked out
+    if (lockedFor > 0) {
+      return tooManyRequests(res, lockedFor, 'Too many failed attempts. Mobile number is temporarily locked');
+    }
+
+    // Check if OTP is expired
+    if (isOTPExpired(expiryTime)) {
+      return res.status(400).json({
+        error: 'OTP has expired. Please request a new OTP'
+      });
+    }
+
+    // Verify OTP (constant-time hash comparison)
+    if (!verifyOTPHash(otp, normalizedMobile, storedOtpHash)) {
+      const limits = getOTPLimits();
+
+      // Count the failed attempt and lock once the limit is reached
+      // (the OTP is also expired so a new one must be requested after the lockout)
+      const attemptResult = await query(
+        `UPDATE otps
+         SET failed_attempts = failed_attempts + 1,
+             locked_until = CASE WHEN failed_attempts + 1 >= $2
+               THEN CURRENT_TIMESTAMP + make_interval(secs => $3) ELSE locked_until END,
+             expiry_time = CASE WHEN failed_attempts + 1 >= $2
+               THEN CURRENT_TIMESTAMP ELSE expiry_time END
+         WHERE user_id = $1
+         RETURNING failed_attempts`,
+        [userId, limits.maxAttempts, limits.lockoutSeconds]
       );
 
-      if (otpResult.rows.length === 0) {
-        return res.status(400).json({
-          error: 'OTP not found. Please request a new OTP'
-        });
-      }
+      const failedAttempts = attemptResult.rows[0].failed_attempts;
 
-      const storedOtp = otpResult.rows[0].otp;
-      const expiryTime = otpResult.rows[0].expiry_time;
+      const isLocked = failedAttempts >= limits.maxAttempts;
 
-      // Check if OTP is expired
-      if (isOTPExpired(expiryTime)) {
-        return res.status(400).json({
-          error: 'OTP has expired. Please request a new OTP'
-        });
-      }
+      await recordAuditEvent({
+        userId,
+        eventType: isLocked ? 'otp_locked' : 'otp_failed',
+        metadata: { failedAttempts },
+        req
+      });
 
-      // Verify OTP
-      if (storedOtp !== otp) {
-        return res.status(400).json({
-          error: 'Invalid OTP'
-        });
+      if (isLocked) {
+        return tooManyRequests(res, limits.lockoutSeconds, 'Too many failed attempts. Mobile number is temporarily locked');
       }
+
+      return res.status(400).json({
+        error: 'Invalid OTP',
+        attemptsRemaining: limits.maxAttempts - failedAttempts
+      });
     }
 
-    // OTP verified - create session (JWT token)
-    const token = generateToken({
+    // OTP verified - create session with a rotating refresh token
+    const sessionId = generateSessionId();
+    const refreshToken = generateRefreshToken(sessionId);
+
+    await query(
+      `INSERT INTO sessions (id, user_id, refresh_token_hash, refresh_expires_at, device_name, platform, ip_address, user_agent)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [
+        sessionId,
+        userId,
+        hashRefreshToken(refreshToken),
+        getRefreshTokenExpiryTime(),
+        deviceName || null,
+        platform || null,
+        req.ip,
+        req.get('user-agent') || null
+      ]
+    );
+
+    // Short-lived access token bound to the session
+    const token = await generateToken({
       userId,
-      mobileNumber: normalizedMobile
+      mobileNumber: normalizedMobile,
+      sid: sessionId
     });
 
     // Delete used OTP
     await query('DELETE FROM otps WHERE user_id = $1', [userId]);
 
+    await recordAuditEvent({
+      userId,
+      eventType: 'login',
+      metadata: { sessionId, deviceName: deviceName || null, platform: platform || null },
+      req
+    });
+
     res.status(200).json({
       success: true,
       message: 'OTP verified successfully',
       token,
+      refreshToken,
       user: {
         id: userId,
         mobileNumber: normalizedMobile,
+        role: userResult.rows[0].role,
         createdAt: userResult.rows[0].created_at
       }
     });
@@ -208,3 +306,173 @@ export const verifyOtp = async (req, res, next) => {
   }
 };
 
+
+/**
+ * Exchange a refresh token for a new access token
+ * POST /api/auth/refresh
+ * 
+ * The refresh token is rotated on every call. Presenting the refresh token
+ * replaced by the last rotation revokes the whole session, as does
+ * refreshing a deactivated account.
+ * 
+ * Request body:
+ * {
+ *   "refreshToken": "<sessionId>.<secret>"
+ * }
+ */
+export const refreshSession = async (req, res, next) => {
+  try {
+    // Validated by the refreshSession schema (see routes)
+    const { refreshToken } = req.body;
+
+    const sessionId = parseRefreshToken(refreshToken);
+
+    if (!sessionId) {
+      return res.status(401).json({
+        error: 'Invalid refresh token'
+      });
+    }
+
+    const sessionResult = await query(
+      `SELECT s.id, s.user_id, s.refresh_token_hash, s.previous_refresh_token_hash, s.refresh_expires_at, s.revoked_at,
+              u.mobile_number, u.is_active
+       FROM sessions s
+       JOIN users u ON u.id = s.user_id
+       WHERE s.id = $1`,
+      [sessionId]
+    );
+
+    if (sessionResult.rows.length === 0) {
+      return res.status(401).json({
+        error: 'Invalid refresh token'
+      });
+    }
+
+    const session = sessionResult.rows[0];
+
+    if (session.revoked_at) {
+      return res.status(401).json({
+        error: 'Session has been revoked'
+      });
+    }
+
+    if (!verifyRefreshTokenHash(refreshToken, session.refresh_token_hash)) {
+      // The session id is readable from access tokens, so a token that was never
+      // issued is only rejected; revoking on it would let anyone sign users out
+      if (!verifyRefreshTokenHash(refreshToken, session.previous_refresh_token_hash)) {
+        return res.status(401).json({
+          error: 'Invalid refresh token'
+        });
+      }
+
+      // The token replaced by the last rotation means it leaked - revoke the session
+      await query(
+        `UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = 'refresh_token_reuse'
+         WHERE id = $1 AND revoked_at IS NULL`,
+        [sessionId]
+      );
+      console.warn(`Refresh token reuse detected for session ${sessionId}, session revoked`);
+
+      return res.status(401).json({
+        error: 'Refresh token reuse detected. Session has been revoked'
+      });
+    }
+
+    if (new Date() > new Date(session.refresh_expires_at)) {
+      return res.status(401).json({
+        error: 'Refresh token has expired. Please sign in again'
+      });
+    }
+
+    // Same rule as login; sessions of accounts deactivated outside the admin API are revoked here
+    if (session.is_active === false) {
+      await query(
+        `UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = 'deactivated'
+         WHERE id = $1 AND revoked_at IS NULL`,
+        [sessionId]
+      );
+
+      return res.status(403).json({
+        error: 'Account has been deactivated'
+      });
+    }
+
+    // Rotate the refresh token (conditional on the old hash to guard against concurrent refreshes)
+    const newRefreshToken = generateRefreshToken(sessionId);
+    const rotateResult = await query(
+      `UPDATE sessions
+       SET refresh_token_hash = $1, previous_refresh_token_hash = $3, last_seen_at = CURRENT_TIMESTAMP, ip_address = $4
+       WHERE id = $2 AND refresh_token_hash = $3 AND revoked_at IS NULL
+       RETURNING id`,
+      [hashRefreshToken(newRefreshToken), sessionId, session.refresh_token_hash, req.ip]
+    );
+
+    if (rotateResult.rows.length === 0) {
+      return res.status(401).json({
+        error: 'Refresh token has already been used'
+      });
+    }
+
+    const token = await generateToken({
+      userId: session.user_id,
+      mobileNumber: session.mobile_number,
+      sid: sessionId
+    });
+
+    res.status(200).json({
+      success: true,
+      token,
+      refreshToken: newRefreshToken
+    });
+  } catch (error) {
+    console.error('Error refreshing session:', error);
+    next(error);
+  }
+};
+
+/**
+ * Log out the current session
+ * POST /api/auth/logout
+ * 
+ * This endpoint is protected and requires authentication
+ */
+export const logout = async (req, res, next) => {
+  try {
+    await query(
+      `UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = 'logout'
+       WHERE id = $1 AND revoked_at IS NULL`,
+      [req.user.sid]
+    );
+
+    await recordAuditEvent({
+      userId: req.user.userId,
+      eventType: 'logout',
+      metadata: { sessionId: req.user.sid },
+      req
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Error logging out:', error);
+    next(error);
+  }
+};
+
+/**
+ * Publish public signing keys so other services can verify our tokens
+ * GET /.well-known/jwks.json
+ */
+export const jwks = async (req, res, next) => {
+  try {
+    const keySet = await getJwks();
+
+    res.set('Cache-Control', 'public, max-age=300');
+    res.status(200).json(keySet);
+  } catch (error) {
+    console.error('Error fetching JWKS:', error);
+    next(error);
+  }
+};
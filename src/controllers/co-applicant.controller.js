@@ -0,0 +1,617 @@
+import { query } from '../config/database.js';
+import {
+  MAX_CO_APPLICANTS,
+  CO_APPLICANT_COLUMNS,
+  formatCoApplicant
+} from '../models/co-applicant.model.js';
+import {
+  generateOTP,
+  isOTPExpired,
+  getOTPExpiryTime,
+  getOTPExpiryMinutes,
+  getOTPLimits,
+  hashOTP,
+  verifyOTPHash,
+  normalizeMobile
+} from '../utils/otp.js';
+import {
+  tooManyRequests,
+  rejectOverDailyIpLimit,
+  rejectOverDailyUserLimit,
+  rejectOverDailyLimit,
+  recordOtpSend
+} from '../utils/rate-limit.js';
+import { sendSms } from '../utils/sms/index.js';
+import { isDevelopment } from '../utils/environment.js';
+import { diffFields, recordAuditEvent } from '../utils/audit.js';
+
+// Request field → co_applicants column, in insert/update order
+const CO_APPLICANT_FIELD_COLUMNS = {
+  role: 'role',
+  relationship: 'relationship',
+  firstName: 'first_name',
+  lastName: 'last_name',
+  dateOfBirth: 'date_of_birth',
+  gender: 'gender',
+  mobileNumber: 'mobile_number',
+  email: 'email',
+  employmentType: 'employment_type',
+  monthlyNetIncome: 'monthly_net_income',
+  existingEmiAmount: 'existing_emi_amount'
+};
+
+const ROLE_LABELS = {
+  co_applicant: 'co-applicant',
+  guarantor: 'guarantor'
+};
+
+/**
+ * Check the daily invite caps: per IP, per inviting user and per invited number
+ * @param {Object} req - Express request (req.user is the inviting user)
+ * @param {Object} res - Express response
+ * @param {string} mobileNumber - Normalized mobile number to invite
+ * @returns {Promise<boolean>} True if a 429 response was sent
+ */
+const rejectOverInviteLimits = async (req, res, mobileNumber) =>
+  await rejectOverDailyIpLimit(res, req.ip) ||
+  await rejectOverDailyUserLimit(res, req.user.userId) ||
+  await rejectOverDailyLimit(res, mobileNumber);
+
+/**
+ * Send (or resend) the invite OTP to a co-applicant's mobile number
+ * Resets the consent status to pending and clears failed attempts
+ * @param {Object} coApplicant - Row from the co_applicants table
+ * @param {Object} req - Express request (req.user is the inviting user)
+ * @returns {Promise<Object>} { coApplicant, invite } where invite carries the OTP for the outbox provider
+ */
+const sendInvite = async (coApplicant, req) => {
+  const userId = req.user.userId;
+
+  const inviterResult = await query(
+    'SELECT first_name, last_name, mobile_number FROM users WHERE id = $1',
+    [userId]
+  );
+  const inviter = inviterResult.rows[0];
+  const inviterName = [inviter.first_name, inviter.last_name].filter(Boolean).join(' ') || inviter.mobile_number;
+
+  const otp = generateOTP();
+
+  const result = await query(
+    `UPDATE co_applicants
+     SET invite_otp_hash = $1, invite_expires_at = $2, invite_sent_at = CURRENT_TIMESTAMP,
+       invite_failed_attempts = 0, consent_status = 'pending', consent_at = NULL
+     WHERE id = $3
+     RETURNING ${CO_APPLICANT_COLUMNS}`,
+    [hashOTP(otp, coApplicant.mobile_number), getOTPExpiryTime(), coApplicant.id]
+  );
+
+  // Invites count towards the same daily caps as login OTPs, and the inviter's cap
+  await recordOtpSend(coApplicant.mobile_number, req.ip, userId);
+
+  const delivery = await sendSms({
+    to: coApplicant.mobile_number,
+    template: 'co_applicant_invite',
+    params: {
+      inviterName,
+      role: ROLE_LABELS[coApplicant.role],
+      otp,
+      reference: coApplicant.id,
+      expiryMinutes: getOTPExpiryMinutes()
+    },
+    userId
+  });
+
+  await recordAuditEvent({
+    userId,
+    eventType: 'co_applicant_invited',
+    metadata: { coApplicantId: coApplicant.id, provider: delivery.provider },
+    req
+  });
+
+  // The outbox provider does not deliver anything, so return the OTP for testing.
+  // The code is the invitee's consent, so the inviter must never see it outside development
+  const isOutbox = delivery.provider === 'outbox';
+  if (isOutbox && !isDevelopment()) {
+    console.error(`Co-applicant invite ${coApplicant.id} was sent via the outbox provider outside development; OTP withheld`);
+  }
+
+  return {
+    coApplicant: result.rows[0],
+    invite: {
+      sentTo: coApplicant.mobile_number,
+      reference: coApplicant.id,
+      ...(isOutbox && isDevelopment() && {
+        otp,
+        devMode: true,
+        note: 'Invite delivered to local SMS outbox'
+      })
+    }
+  };
+};
+
+/**
+ * Reject a co-applicant mobile number that belongs to the user or is already added
+ * @param {Object} res - Express response
+ * @param {number} userId - Primary user id
+ * @param {string} mobileNumber - Normalized mobile number
+ * @param {number} [excludeId] - Co-applicant being updated
+ * @returns {Promise<boolean>} True if a 400/409 response was sent
+ */
+const rejectUnavailableMobile = async (res, userId, mobileNumber, excludeId = null) => {
+  const userResult = await query('SELECT mobile_number FROM users WHERE id = $1', [userId]);
+
+  if (userResult.rows[0].mobile_number === mobileNumber) {
+    res.status(400).json({
+      error: 'You cannot add your own mobile number as a co-applicant'
+    });
+    return true;
+  }
+
+  const existing = await query(
+    'SELECT id FROM co_applicants WHERE user_id = $1 AND mobile_number = $2 AND id IS DISTINCT FROM $3',
+    [userId, mobileNumber, excludeId]
+  );
+
+  if (existing.rows.length > 0) {
+    res.status(409).json({
+      error: 'A co-applicant with this mobile number has already been added'
+    });
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * Add a co-applicant or guarantor and send them an invite OTP
+ * POST /api/co-applicants
+ *
+ * The co-applicant confirms from their own phone with
+ * POST /api/co-applicants/:id/respond. If the SMS cannot be sent the
+ * co-applicant is kept and the invite can be resent.
+ *
+ * Request body:
+ * {
+ *   "role": "co_applicant",           // or "guarantor"
+ *   "relationship": "Spouse",
+ *   "firstName": "Jane",
+ *   "lastName": "Doe",
+ *   "mobileNumber": "+919876500000",
+ *   "dateOfBirth": "1991-04-02",      // optional
+ *   "employmentType": "Salaried",     // optional
+ *   "monthlyNetIncome": 60000,        // optional
+ *   "existingEmiAmount": 0            // optional
+ * }
+ */
+export const addCoApplicant = async (req, res, next) => {
+  try {
+    const userId = req.user.userId; // From JWT token (set by auth middleware)
+
+    // Validated and coerced by the createCoApplicant schema (see routes)
+    const mobileNumber = normalizeMobile(req.body.mobileNumber);
+
+    const countResult = await query(
+      'SELECT COUNT(*)::int AS count FROM co_applicants WHERE user_id = $1',
+      [userId]
+    );
+
+    if (countResult.rows[0].count >= MAX_CO_APPLICANTS) {
+      return res.status(409).json({
+        error: `At most ${MAX_CO_APPLICANTS} co-applicants and guarantors can be added`
+      });
+    }
+
+    if (await rejectUnavailableMobile(res, userId, mobileNumber)) {
+      return;
+    }
+
+    // Removing and re-adding co-applicants must not allow unlimited invites,
+    // so the caps count sends rather than current rows
+    if (await rejectOverInviteLimits(req, res, mobileNumber)) {
+      return;
+    }
+
+    const values = { ...req.body, mobileNumber };
+    const fields = Object.keys(CO_APPLICANT_FIELD_COLUMNS);
+    const result = await query(
+      `INSERT INTO co_applicants (user_id, ${fields.map((field) => CO_APPLICANT_FIELD_COLUMNS[field]).join(', ')})
+       VALUES ($1, ${fields.map((field, index) => `$${index + 2}`).join(', ')})
+       RETURNING ${CO_APPLICANT_COLUMNS}`,
+      [userId, ...fields.map((field) => values[field] ?? null)]
+    );
+
+    await recordAuditEvent({
+      userId,
+      eventType: 'co_applicant_added',
+      metadata: { coApplicantId: result.rows[0].id, role: result.rows[0].role },
+      req
+    });
+
+    const { coApplicant, invite } = await sendInvite(result.rows[0], req);
+
+    res.status(201).json({
+      success: true,
+      message: 'Co-applicant added. An invite has been sent to their mobile number',
+      coApplicant: formatCoApplicant(coApplicant),
+      invite
+    });
+  } catch (error) {
+    console.error('Error adding co-applicant:', error);
+    next(error);
+  }
+};
+
+/**
+ * List the current user's co-applicants and guarantors
+ * GET /api/co-applicants
+ */
+export const listCoApplicants = async (req, res, next) => {
+  try {
+    const userId = req.user.userId; // From JWT token (set by auth middleware)
+
+    const result = await query(
+      `SELECT ${CO_APPLICANT_COLUMNS} FROM co_applicants WHERE user_id = $1 ORDER BY id`,
+      [userId]
+    );
+
+    res.status(200).json({
+      success: true,
+      coApplicants: result.rows.map(formatCoApplicant)
+    });
+  } catch (error) {
+    console.error('Error listing co-applicants:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get a co-applicant
+ * GET /api/co-applicants/:id
+ */
+export const getCoApplicant = async (req, res, next) => {
+  try {
+    const userId = req.user.userId; // From JWT token (set by auth middleware)
+    const coApplicantId = parseInt(req.params.id);
+
+    if (!coApplicantId) {
+      return res.status(400).json({
+        error: 'Invalid co-applicant id'
+      });
+    }
+
+    const result = await query(
+      `SELECT ${CO_APPLICANT_COLUMNS} FROM co_applicants WHERE id = $1 AND user_id = $2`,
+      [coApplicantId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Co-applicant not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      coApplicant: formatCoApplicant(result.rows[0])
+    });
+  } catch (error) {
+    console.error('Error fetching co-applicant:', error);
+    next(error);
+  }
+};
+
+/**
+ * Update a co-applicant
+ * PUT /api/co-applicants/:id
+ *
+ * Only provided fields are updated. Consent covers the details it was given
+ * for, so any change sets the consent status back to pending and a new
+ * invite must be sent with POST /api/co-applicants/:id/invite.
+ */
+export const updateCoApplicant = async (req, res, next) => {
+  try {
+    const userId = req.user.userId; // From JWT token (set by auth middleware)
+    const coApplicantId = parseInt(req.params.id);
+
+    if (!coApplicantId) {
+      return res.status(400).json({
+        error: 'Invalid co-applicant id'
+      });
+    }
+
+    // Validated and coerced by the updateCoApplicant schema (see routes)
+    const values = { ...req.body };
+    if (values.mobileNumber !== undefined) {
+      values.mobileNumber = normalizeMobile(values.mobileNumber);
+    }
+
+    const fields = Object.keys(CO_APPLICANT_FIELD_COLUMNS).filter((field) => values[field] !== undefined);
+
+    if (fields.length === 0) {
+      return res.status(400).json({
+        error: 'No co-applicant fields provided to update'
+      });
+    }
+
+    const existing = await query(
+      `SELECT ${CO_APPLICANT_COLUMNS} FROM co_applicants WHERE id = $1 AND user_id = $2`,
+      [coApplicantId, userId]
+    );
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Co-applicant not found'
+      });
+    }
+
+    if (values.mobileNumber !== undefined &&
+      await rejectUnavailableMobile(res, userId, values.mobileNumber, coApplicantId)) {
+      return;
+    }
+
+    const before = formatCoApplicant(existing.rows[0]);
+    const result = await query(
+      `UPDATE co_applicants
+      SET ${fields.map((field, index) => `${CO_APPLICANT_FIELD_COLUMNS[field]} = $${index + 1}`).join(', ')}
+      WHERE id = $${fields.length + 1} AND user_id = $${fields.length + 2}
+      RETURNING ${CO_APPLICANT_COLUMNS}`,
+      [...fields.map((field) => values[field]), coApplicantId, userId]
+    );
+
+    let coApplicant = result.rows[0];
+    const changes = diffFields(before, formatCoApplicant(coApplicant))
+      .filter((change) => Object.hasOwn(CO_APPLICANT_FIELD_COLUMNS, change.field));
+
+    if (changes.length > 0) {
+      const resetResult = await query(
+        `UPDATE co_applicants
+        SET consent_status = 'pending', consent_at = NULL, invite_otp_hash = NULL,
+          invite_expires_at = NULL, invite_failed_attempts = 0
+        WHERE id = $1
+        RETURNING ${CO_APPLICANT_COLUMNS}`,
+        [coApplicantId]
+      );
+      coApplicant = resetResult.rows[0];
+
+      await recordAuditEvent({
+        userId,
+        eventType: 'co_applicant_updated',
+        changes,
+        metadata: { coApplicantId },
+        req
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: changes.length > 0
+        ? 'Co-applicant updated. Send a new invite to collect their consent'
+        : 'Co-applicant updated successfully',
+      coApplicant: formatCoApplicant(coApplicant)
+    });
+  } catch (error) {
+    console.error('Error updating co-applicant:', error);
+    next(error);
+  }
+};
+
+/**
+ * Remove a co-applicant
+ * DELETE /api/co-applicants/:id
+ */
+export const removeCoApplicant = async (req, res, next) => {
+  try {
+    const userId = req.user.userId; // From JWT token (set by auth middleware)
+    const coApplicantId = parseInt(req.params.id);
+
+    if (!coApplicantId) {
+      return res.status(400).json({
+        error: 'Invalid co-applicant id'
+      });
+    }
+
+    const result = await query(
+      'DELETE FROM co_applicants WHERE id = $1 AND user_id = $2 RETURNING id, role',
+      [coApplicantId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Co-applicant not found'
+      });
+    }
+
+    await recordAuditEvent({
+      userId,
+      eventType: 'co_applicant_removed',
+      metadata: { coApplicantId, role: result.rows[0].role },
+      req
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Co-applicant removed successfully'
+    });
+  } catch (error) {
+    console.error('Error removing co-applicant:', error);
+    next(error);
+  }
+};
+
+/**
+ * Resend the invite OTP to a co-applicant
+ * POST /api/co-applicants/:id/invite
+ *
+ * Also used to ask again after the co-applicant declined or after their details changed
+ */
+export const resendCoApplicantInvite = async (req, res, next) => {
+  try {
+    const userId = req.user.userId; // From JWT token (set by auth middleware)
+    const coApplicantId = parseInt(req.params.id);
+
+    if (!coApplicantId) {
+      return res.status(400).json({
+        error: 'Invalid co-applicant id'
+      });
+    }
+
+    const result = await query(
+      `SELECT ${CO_APPLICANT_COLUMNS},
+              EXTRACT(EPOCH FROM (invite_sent_at + make_interval(secs => $3) - CURRENT_TIMESTAMP))::float AS cooldown_for
+       FROM co_applicants
+       WHERE id = $1 AND user_id = $2`,
+      [coApplicantId, userId, getOTPLimits().resendCooldownSeconds]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Co-applicant not found'
+      });
+    }
+
+    const existing = result.rows[0];
+
+    if (existing.consent_status === 'confirmed') {
+      return res.status(409).json({
+        error: 'Co-applicant has already confirmed'
+      });
+    }
+
+    if (existing.cooldown_for > 0) {
+      return tooManyRequests(res, existing.cooldown_for, 'Please wait before sending another invite');
+    }
+
+    if (await rejectOverInviteLimits(req, res, existing.mobile_number)) {
+      return;
+    }
+
+    const { coApplicant, invite } = await sendInvite(existing, req);
+
+    res.status(200).json({
+      success: true,
+      message: 'Invite sent successfully',
+      coApplicant: formatCoApplicant(coApplicant),
+      invite
+    });
+  } catch (error) {
+    console.error('Error sending co-applicant invite:', error);
+    next(error);
+  }
+};
+
+/**
+ * Confirm or decline an invite from the co-applicant's own mobile number
+ * POST /api/co-applicants/:id/respond
+ *
+ * Public: the co-applicant does not need an account. The id is the
+ * reference in the invite SMS.
+ *
+ * Request body:
+ * {
+ *   "mobileNumber": "+919876500000",
+ *   "otp": "123456",
+ *   "decision": "confirm"   // or "decline"
+ * }
+ */
+export const respondToCoApplicantInvite = async (req, res, next) => {
+  try {
+    const coApplicantId = parseInt(req.params.id);
+
+    if (!coApplicantId) {
+      return res.status(400).json({
+        error: 'Invalid invite reference'
+      });
+    }
+
+    // Validated by the respondCoApplicantInvite schema (see routes)
+    const { otp, decision } = req.body;
+    const mobileNumber = normalizeMobile(req.body.mobileNumber);
+    const limits = getOTPLimits();
+
+    const result = await query(
+      `SELECT id, user_id, consent_status, invite_otp_hash, invite_expires_at, invite_failed_attempts
+       FROM co_applicants
+       WHERE id = $1 AND mobile_number = $2`,
+      [coApplicantId, mobileNumber]
+    );
+
+    // Same response for unknown ids and wrong numbers so invites cannot be probed
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Invite not found'
+      });
+    }
+
+    const invite = result.rows[0];
+
+    if (invite.consent_status !== 'pending' || !invite.invite_otp_hash) {
+      return res.status(409).json({
+        error: 'This invite is no longer open. Ask the applicant to send a new one'
+      });
+    }
+
+    if (invite.invite_failed_attempts >= limits.maxAttempts) {
+      return res.status(400).json({
+        error: 'Too many failed attempts. Ask the applicant to send a new invite'
+      });
+    }
+
+    if (isOTPExpired(invite.invite_expires_at)) {
+      return res.status(400).json({
+        error: 'Invite code has expired. Ask the applicant to send a new invite'
+      });
+    }
+
+    // Verify OTP (constant-time hash comparison)
+    if (!verifyOTPHash(otp, mobileNumber, invite.invite_otp_hash)) {
+      const attemptResult = await query(
+        `UPDATE co_applicants
+         SET invite_failed_attempts = invite_failed_attempts + 1
+         WHERE id = $1
+         RETURNING invite_failed_attempts`,
+        [coApplicantId]
+      );
+
+      return res.status(400).json({
+        error: 'Invalid OTP',
+        attemptsRemaining: Math.max(0, limits.maxAttempts - attemptResult.rows[0].invite_failed_attempts)
+      });
+    }
+
+    const consentStatus = decision === 'confirm' ? 'confirmed' : 'declined';
+
+    // Conditional on the hash so a code can only be used once
+    const updateResult = await query(
+      `UPDATE co_applicants
+       SET consent_status = $1, consent_at = CURRENT_TIMESTAMP, invite_otp_hash = NULL, invite_expires_at = NULL
+       WHERE id = $2 AND invite_otp_hash = $3
+       RETURNING id`,
+      [consentStatus, coApplicantId, invite.invite_otp_hash]
+    );
+
+    if (updateResult.rows.length === 0) {
+      return res.status(409).json({
+        error: 'This invite is no longer open. Ask the applicant to send a new one'
+      });
+    }
+
+    // The co-applicant has no account, so the event has no actor
+    await recordAuditEvent({
+      userId: invite.user_id,
+      actorId: null,
+      eventType: 'co_applicant_responded',
+      changes: [{ field: 'consentStatus', oldValue: 'pending', newValue: consentStatus }],
+      metadata: { coApplicantId },
+      req
+    });
+
+    res.status(200).json({
+      success: true,
+      message: consentStatus === 'confirmed' ? 'Thank you for confirming' : 'Invite declined',
+      consentStatus
+    });
+  } catch (error) {
+    console.error('Error responding to co-applicant invite:', error);
+    next(error);
+  }
+};
@@ -0,0 +1,439 @@
+import { randomUUID, createHash } from 'crypto';
+import { query } from '../config/database.js';
+import { DOCUMENT_TYPES, DOCUMENT_COLUMNS, formatDocument } from '../models/document.model.js';
+import { getStorage, getStorageProviderName, getDownloadUrlExpirySeconds } from '../utils/storage/index.js';
+import { detectMimeType, MIME_EXTENSIONS } from '../utils/file-type.js';
+import { recordAuditEvent } from '../utils/audit.js';
+import { DATA_EXPORT_PREFIX } from '../utils/data-export.js';
+
+const STAFF_ROLES = ['underwriter', 'admin'];
+
+/**
+ * Check whether the current user may view a document
+ * @param {Object} document - Row from the documents table
+ * @param {Object} user - req.user
+ * @returns {boolean} True if owner or staff
+ */
+const canView = (document, user) =>
+  document.user_id === user.userId || STAFF_ROLES.includes(user.role);
+
+/**
+ * Make a client-supplied file name safe for storage and Content-Disposition
+ * @param {string} fileName - Original file name
+ * @returns {string} File name without path separators or quotes, non-printable/non-ASCII characters replaced
+ */
+const sanitizeFileName = (fileName) =>
+  fileName.replace(/^.*[\\/]/, '').replace(/"/g, '').replace(/[^\x20-\x7e]/g, '_').trim();
+
+/**
+ * Load a document the current user may view
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} Row from the documents table, or null if a 400/404 response was sent
+ */
+const findViewableDocument = async (req, res) => {
+  const documentId = parseInt(req.params.id);
+
+  if (!documentId) {
+    res.status(400).json({
+      error: 'Invalid document id'
+    });
+    return null;
+  }
+
+  const result = await query(
+    `SELECT ${DOCUMENT_COLUMNS} FROM documents WHERE id = $1`,
+    [documentId]
+  );
+
+  if (result.rows.length === 0 || !canView(result.rows[0], req.user)) {
+    res.status(404).json({
+      error: 'Document not found'
+    });
+    return null;
+  }
+
+  return result.rows[0];
+};
+
+/**
+ * Upload a KYC or income document
+ * POST /api/documents?documentType=pan&fileName=pan-card.pdf
+ *
+ * The request body is the raw file with its Content-Type header set
+ * (application/pdf, image/jpeg or image/png, depending on the document type):
+ *
+ * curl -X POST "$API/api/documents?documentType=pan&fileName=pan-card.pdf" \
+ *   -H "Authorization: Bearer $TOKEN" -H "Content-Type: application/pdf" \
+ *   --data-binary @pan-card.pdf
+ */
+export const uploadDocument = async (req, res, next) => {
+  try {
+    const userId = req.user.userId; // From JWT token (set by auth middleware)
+
+    // Query validated by the uploadDocumentQuery schema (see routes)
+    const { documentType, fileName } = req.query;
+    const typeConfig = DOCUMENT_TYPES[documentType];
+    const contentType = (req.get('content-type') || '').split(';')[0].trim().toLowerCase();
+    const body = req.body;
+
+    if (!Buffer.isBuffer(body) || body.length === 0) {
+      return res.status(400).json({
+        error: 'File is required. Send the file as the request body'
+      });
+    }
+
+    if (!typeConfig.mimeTypes.includes(contentType)) {
+      return res.status(415).json({
+        error: `${typeConfig.label} must be one of: ${typeConfig.mimeTypes.join(', ')}`
+      });
+    }
+
+    if (body.length > typeConfig.maxSizeBytes) {
+      return res.status(413).json({
+        error: `${typeConfig.label} must be at most ${typeConfig.maxSizeBytes / (1024 * 1024)} MB`
+      });
+    }
+
+    if (detectMimeType(body) !== contentType) {
+      return res.status(415).json({
+        error: `File content does not match the ${contentType} content type`
+      });
+    }
+
+    const storage = getStorage();
+    const storageKey = `documents/${userId}/${randomUUID()}`;
+    const safeFileName = (fileName && sanitizeFileName(fileName)) || `${documentType}.${MIME_EXTENSIONS[contentType]}`;
+
+    await storage.put(storageKey, body, contentType);
+
+    let document;
+    try {
+      const result = await query(
+        `INSERT INTO documents (user_id, document_type, file_name, mime_type, size_bytes, checksum, storage_provider, storage_key)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING ${DOCUMENT_COLUMNS}`,
+        [
+          userId,
+          documentType,
+          safeFileName,
+          contentType,
+          body.length,
+          createHash('sha256').update(body).digest('hex'),
+          storage.name,
+          storageKey
+        ]
+      );
+      document = result.rows[0];
+    } catch (error) {
+      // Don't leave an orphaned file behind
+      await storage.delete(storageKey).catch(() => {});
+      throw error;
+    }
+
+    await recordAuditEvent({
+      userId,
+      eventType: 'document_uploaded',
+      metadata: { documentId: document.id, documentType },
+      req
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Document uploaded successfully',
+      document: formatDocument(document)
+    });
+  } catch (error) {
+    console.error('Error uploading document:', error);
+    next(error);
+  }
+};
+
+/**
+ * List documents
+ * GET /api/documents
+ *
+ * Applicants see their own documents. Underwriters and admins see all
+ * documents and may filter by userId (e.g. ?status=pending for the review queue).
+ *
+ * Query params (optional): documentType, status, userId, page, limit
+ */
+export const listDocuments = async (req, res, next) => {
+  try {
+    const { userId: currentUserId, role } = req.user;
+
+    // Validated and coerced by the listDocumentsQuery schema (see routes)
+    const { documentType, status, userId, page, limit } = req.query;
+
+    const conditions = [];
+    const values = [];
+    let paramCount = 1;
+
+    if (!STAFF_ROLES.includes(role)) {
+      conditions.push(`user_id = $${paramCount++}`);
+      values.push(currentUserId);
+    } else if (userId) {
+      conditions.push(`user_id = $${paramCount++}`);
+      values.push(userId);
+    }
+    if (documentType) {
+      conditions.push(`document_type = $${paramCount++}`);
+      values.push(documentType);
+    }
+    if (status) {
+      conditions.push(`status = $${paramCount++}`);
+      values.push(status);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const result = await query(
+      `SELECT ${DOCUMENT_COLUMNS}, COUNT(*) OVER() AS total_count
+      FROM documents
+      ${whereClause}
+      ORDER BY created_at DESC
+      LIMIT $${paramCount++} OFFSET $${paramCount}`,
+      [...values, limit, (page - 1) * limit]
+    );
+
+    const total = result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0;
+
+    res.status(200).json({
+      success: true,
+      documents: result.rows.map(formatDocument),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error listing documents:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get document metadata
+ * GET /api/documents/:id
+ */
+export const getDocument = async (req, res, next) => {
+  try {
+    const document = await findViewableDocument(req, res);
+    if (!document) {
+      return;
+    }
+
+    res.status(200).json({
+      success: true,
+      document: formatDocument(document)
+    });
+  } catch (error) {
+    console.error('Error fetching document:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get a short-lived signed download URL for a document
+ * GET /api/documents/:id/download
+ */
+export const getDocumentDownloadUrl = async (req, res, next) => {
+  try {
+    const document = await findViewableDocument(req, res);
+    if (!document) {
+      return;
+    }
+
+    const expiresIn = getDownloadUrlExpirySeconds();
+    const url = await getStorage(document.storage_provider).getDownloadUrl(document.storage_key, {
+      expiresIn,
+      fileName: document.file_name,
+      contentType: document.mime_type
+    });
+
+    res.status(200).json({
+      success: true,
+      url,
+      expiresAt: new Date(Date.now() + expiresIn * 1000).toISOString()
+    });
+  } catch (error) {
+    console.error('Error creating document download URL:', error);
+    next(error);
+  }
+};
+
+/**
+ * Approve or reject a pending document
+ * POST /api/documents/:id/review
+ *
+ * Request body:
+ * {
+ *   "status": "rejected",
+ *   "notes": "Image is blurred, please upload a clearer scan"
+ * }
+ */
+export const reviewDocument = async (req, res, next) => {
+  try {
+    const reviewerId = req.user.userId;
+    const documentId = parseInt(req.params.id);
+
+    if (!documentId) {
+      return res.status(400).json({
+        error: 'Invalid document id'
+      });
+    }
+
+    // Validated by the reviewDocument schema (see routes)
+    const { status, notes } = req.body;
+
+    if (status === 'rejected' && !notes) {
+      return res.status(400).json({
+        error: 'Notes are required to reject a document'
+      });
+    }
+
+    const result = await query(
+      `UPDATE documents
+      SET status = $1, review_notes = $2, reviewed_by = $3, reviewed_at = CURRENT_TIMESTAMP
+      WHERE id = $4 AND status = 'pending'
+      RETURNING ${DOCUMENT_COLUMNS}`,
+      [status, notes ?? null, reviewerId, documentId]
+    );
+
+    if (result.rows.length === 0) {
+      const existing = await query('SELECT id FROM documents WHERE id = $1', [documentId]);
+      return existing.rows.length === 0
+        ? res.status(404).json({ error: 'Document not found' })
+        : res.status(409).json({ error: 'Only pending documents can be reviewed' });
+    }
+
+    const document = result.rows[0];
+
+    await recordAuditEvent({
+      userId: document.user_id,
+      actorId: reviewerId,
+      eventType: 'document_reviewed',
+      changes: [{ field: 'status', oldValue: 'pending', newValue: status }],
+      metadata: { documentId, documentType: document.document_type },
+      req
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Document ${status}`,
+      document: formatDocument(document)
+    });
+  } catch (error) {
+    console.error('Error reviewing document:', error);
+    next(error);
+  }
+};
+
+/**
+ * Delete a document that has not been approved
+ * DELETE /api/documents/:id
+ */
+export const deleteDocument = async (req, res, next) => {
+  try {
+    const userId = req.user.userId; // From JWT token (set by auth middleware)
+    const documentId = parseInt(req.params.id);
+
+    if (!documentId) {
+      return res.status(400).json({
+        error: 'Invalid document id'
+      });
+    }
+
+    const existing = await query(
+      `SELECT ${DOCUMENT_COLUMNS} FROM documents WHERE id = $1 AND user_id = $2`,
+      [documentId, userId]
+    );
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Document not found'
+      });
+    }
+
+    const document = existing.rows[0];
+
+    if (document.status === 'approved') {
+      return res.status(409).json({
+        error: 'Approved documents cannot be deleted'
+      });
+    }
+
+    await query("DELETE FROM documents WHERE id = $1 AND status <> 'approved'", [documentId]);
+    await getStorage(document.storage_provider).delete(document.storage_key);
+
+    await recordAuditEvent({
+      userId,
+      eventType: 'document_deleted',
+      metadata: { documentId, documentType: document.document_type },
+      req
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Document deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting document:', error);
+    next(error);
+  }
+};
+
+/**
+ * Serve a file from local storage through a signed URL
+ * GET /api/documents/files?key=...&expires=...&signature=...
+ *
+ * Only available with the local storage provider; S3 URLs point at S3 directly
+ */
+export const downloadLocalFile = async (req, res, next) => {
+  try {
+    if (getStorageProviderName() !== 'local') {
+      return res.status(404).json({
+        error: 'Not Found'
+      });
+    }
+
+    const storage = getStorage('local');
+
+    if (!storage.verifyDownload(req.query)) {
+      return res.status(403).json({
+        error: 'Download link is invalid or has expired'
+      });
+    }
+
+    let fileName;
+    let mimeType;
+
+    // Personal data exports are not documents; their key ends in the file name
+    if (req.query.key.startsWith(DATA_EXPORT_PREFIX)) {
+      fileName = req.query.key.split('/').pop();
+      mimeType = 'application/zip';
+    } else {
+      const result = await query(
+        'SELECT file_name, mime_type FROM documents WHERE storage_key = $1',
+        [req.query.key]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({
+          error: 'Document not found'
+        });
+      }
+
+      ({ file_name: fileName, mime_type: mimeType } = result.rows[0]);
+    }
+
+    res.set('Content-Type', mimeType);
+    res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.status(200).send(await storage.read(req.query.key));
+  } catch (error) {
+    console.error('Error downloading document:', error);
+    next(error);
+  }
+};
@@ -0,0 +1,97 @@
+import { query } from '../config/database.js';
+import { getEligibilityRules } from '../config/eligibility.js';
+import { USER_PROFILE_COLUMNS, formatUserProfile } from '../models/user.model.js';
+import { EMPLOYMENT_COLUMNS, formatEmployment } from '../models/employment.model.js';
+import { evaluateEligibility } from '../utils/eligibility.js';
+
+const INCOME_OVERRIDE_FIELDS = ['employmentType', 'monthlyNetIncome', 'existingEmiAmount', 'otherMonthlyObligations'];
+
+/**
+ * Check loan eligibility for the authenticated user
+ * POST /api/eligibility
+ * 
+ * Uses the saved profile and employment details. Income and obligations can
+ * be overridden in the request to try out scenarios without saving them.
+ * 
+ * Request body:
+ * {
+ *   "loanProduct": "home",
+ *   "amount": 4000000,          // optional: checked against the eligible amount
+ *   "tenureMonths": 240,        // optional: defaults to the longest allowed tenure
+ *   "monthlyNetIncome": 150000  // optional override (also employmentType, existingEmiAmount, otherMonthlyObligations)
+ * }
+ */
+export const checkEligibility = async (req, res, next) => {
+  try {
+    const userId = req.user.userId; // From JWT token (set by auth middleware)
+
+    // Validated and coerced by the eligibility schema (see routes)
+    const { loanProduct, amount, tenureMonths } = req.body;
+
+    const [profileResult, employmentResult] = await Promise.all([
+      query(`SELECT ${USER_PROFILE_COLUMNS} FROM users WHERE id = $1`, [userId]),
+      query(`SELECT ${EMPLOYMENT_COLUMNS} FROM employment_details WHERE user_id = $1`, [userId])
+    ]);
+
+    if (profileResult.rows.length === 0) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+
+    const profile = formatUserProfile(profileResult.rows[0]);
+    const employment = employmentResult.rows.length > 0 ? formatEmployment(employmentResult.rows[0]) : {};
+
+    for (const field of INCOME_OVERRIDE_FIELDS) {
+      if (req.body[field] !== undefined && req.body[field] !== null) {
+        employment[field] = req.body[field];
+      }
+    }
+
+    const missingFields = [
+      !profile.dateOfBirth && 'dateOfBirth',
+      !employment.employmentType && 'employmentType',
+      (employment.monthlyNetIncome === undefined || employment.monthlyNetIncome === null) && 'monthlyNetIncome'
+    ].filter(Boolean);
+
+    if (missingFields.length > 0) {
+      return res.status(422).json({
+        error: 'Complete your profile and employment details to check eligibility',
+        missingFields
+      });
+    }
+
+    const eligibility = evaluateEligibility({
+      loanProduct,
+      rules: getEligibilityRules()[loanProduct],
+      profile,
+      employment,
+      amount: amount ?? null,
+      tenureMonths: tenureMonths ?? null
+    });
+
+    res.status(200).json({
+      success: true,
+      eligibility
+    });
+  } catch (error) {
+    console.error('Error checking eligibility:', error);
+    next(error);
+  }
+};
+
+/**
+ * List the eligibility rule sets for every loan product
+ * GET /api/eligibility/rules
+ */
+export const listEligibilityRules = (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      rules: getEligibilityRules()
+    });
+  } catch (error) {
+    console.error('Error fetching eligibility rules:', error);
+    next(error);
+  }
+};
@@ -0,0 +1,142 @@
+import { query, getClient } from '../config/database.js';
+import { EMPLOYMENT_COLUMNS, formatEmployment } from '../models/employment.model.js';
+import { EMPLOYMENT_TYPE_REQUIRED_FIELDS } from '../schemas/employment.schema.js';
+import { diffFields, recordAuditEvent } from '../utils/audit.js';
+
+/**
+ * Get employment and income details
+ * GET /api/profile/employment
+ * 
+ * This endpoint is protected and requires authentication
+ */
+export const getEmployment = async (req, res, next) => {
+  try {
+    const userId = req.user.userId; // From JWT token (set by auth middleware)
+
+    const result = await query(
+      `SELECT ${EMPLOYMENT_COLUMNS} FROM employment_details WHERE user_id = $1`,
+      [userId]
+    );
+
+    res.status(200).json({
+      success: true,
+      employment: result.rows.length > 0 ? formatEmployment(result.rows[0]) : null
+    });
+  } catch (error) {
+    console.error('Error fetching employment details:', error);
+    next(error);
+  }
+};
+
+/**
+ * Save employment and income details (replaces any existing details)
+ * PUT /api/profile/employment
+ * 
+ * This endpoint is protected and requires authentication
+ * 
+ * Request body:
+ * {
+ *   "employmentType": "Salaried",
+ *   "employerName": "Acme Corp",
+ *   "designation": "Senior Engineer",
+ *   "monthlyNetIncome": 125000,
+ *   "yearsInCurrentJob": 4,
+ *   "totalExperienceYears": 9,
+ *   "existingEmiAmount": 18000,
+ *   "otherMonthlyObligations": 5000
+ * }
+ */
+export const saveEmployment = async (req, res, next) => {
+  try {
+    const userId = req.user.userId; // From JWT token (set by auth middleware)
+
+    // Validated and coerced by the employment schema (see routes)
+    const details = req.body;
+
+    // Fields required for the selected employment type
+    const errors = EMPLOYMENT_TYPE_REQUIRED_FIELDS[details.employmentType]
+      .filter((field) => details[field] === undefined || details[field] === null)
+      .map((field) => ({
+        field,
+        code: 'required',
+        message: `This field is required for ${details.employmentType} applicants`
+      }));
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        errors
+      });
+    }
+
+    const client = await getClient();
+    let employment;
+
+    try {
+      await client.query('BEGIN');
+
+      const before = await client.query(
+        `SELECT ${EMPLOYMENT_COLUMNS} FROM employment_details WHERE user_id = $1 FOR UPDATE`,
+        [userId]
+      );
+
+      const result = await client.query(
+        `INSERT INTO employment_details (
+          user_id, employment_type, employer_name, designation, business_name, nature_of_business,
+          monthly_net_income, annual_business_turnover, years_in_current_job, total_experience_years,
+          existing_emi_amount, other_monthly_obligations
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+        ON CONFLICT (user_id) DO UPDATE SET
+          employment_type = EXCLUDED.employment_type,
+          employer_name = EXCLUDED.employer_name,
+          designation = EXCLUDED.designation,
+          business_name = EXCLUDED.business_name,
+          nature_of_business = EXCLUDED.nature_of_business,
+          monthly_net_income = EXCLUDED.monthly_net_income,
+          annual_business_turnover = EXCLUDED.annual_business_turnover,
+          years_in_current_job = EXCLUDED.years_in_current_job,
+          total_experience_years = EXCLUDED.total_experience_years,
+          existing_emi_amount = EXCLUDED.existing_emi_amount,
+          other_monthly_obligations = EXCLUDED.other_monthly_obligations
+        RETURNING ${EMPLOYMENT_COLUMNS}`,
+        [
+          userId,
+          details.employmentType,
+          details.employerName ?? null,
+          details.designation ?? null,
+          details.businessName ?? null,
+          details.natureOfBusiness ?? null,
+          details.monthlyNetIncome,
+          details.annualBusinessTurnover ?? null,
+          details.yearsInCurrentJob ?? 0,
+          details.totalExperienceYears ?? 0,
+          details.existingEmiAmount ?? 0,
+          details.otherMonthlyObligations ?? 0
+        ]
+      );
+      employment = formatEmployment(result.rows[0]);
+
+      const changes = diffFields(before.rows.length > 0 ? formatEmployment(before.rows[0]) : {}, employment);
+      if (changes.length > 0) {
+        await recordAuditEvent({ userId, eventType: 'employment_updated', changes, req }, client);
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Employment details saved successfully',
+      employment
+    });
+  } catch (error) {
+    console.error('Error saving employment details:', error);
+    next(error);
+  }
+};
@@ -0,0 +1,238 @@
+import { query } from '../config/database.js';
+import { GOAL_COLUMNS, formatGoal } from '../models/goal.model.js';
+import { planGoal } from '../utils/goals.js';
+
+// Request field → goals column, in insert/update order
+const GOAL_FIELD_COLUMNS = {
+  name: 'name',
+  category: 'category',
+  targetAmount: 'target_amount',
+  targetDate: 'target_date',
+  currentSavings: 'current_savings',
+  monthlyContribution: 'monthly_contribution',
+  expectedReturn: 'expected_return',
+  inflationRate: 'inflation_rate',
+  notes: 'notes'
+};
+
+/**
+ * Build the API representation of a goal with its computed plan
+ * @param {Object} row - Row from the goals table
+ * @returns {Object} Goal with plan
+ */
+const goalWithPlan = (row) => {
+  const goal = formatGoal(row);
+  return { ...goal, plan: planGoal(goal) };
+};
+
+/**
+ * Reject target dates that are not in the future
+ * @param {Object} res - Express response
+ * @param {string} [targetDate] - Target date (YYYY-MM-DD)
+ * @returns {boolean} True if a 400 response was sent
+ */
+const rejectPastTargetDate = (res, targetDate) => {
+  if (targetDate === undefined || targetDate > new Date().toISOString().slice(0, 10)) {
+    return false;
+  }
+
+  res.status(400).json({
+    error: 'Validation failed',
+    errors: [{ field: 'targetDate', code: 'invalid_value', message: 'Target date must be in the future' }]
+  });
+  return true;
+};
+
+/**
+ * Create a goal
+ * POST /api/goals
+ *
+ * Request body:
+ * {
+ *   "name": "Down payment for a flat",
+ *   "category": "home_down_payment",
+ *   "targetAmount": 1500000,        // in today's rupees
+ *   "targetDate": "2029-03-31",
+ *   "currentSavings": 300000,       // optional
+ *   "monthlyContribution": 20000,   // optional: used to work out the loan gap
+ *   "expectedReturn": 10,           // optional (default: 10)
+ *   "inflationRate": 6              // optional (default: 6)
+ * }
+ */
+export const createGoal = async (req, res, next) => {
+  try {
+    const userId = req.user.userId; // From JWT token (set by auth middleware)
+
+    // Validated and coerced by the createGoal schema (see routes)
+    if (rejectPastTargetDate(res, req.body.targetDate)) {
+      return;
+    }
+
+    const fields = Object.keys(GOAL_FIELD_COLUMNS);
+    const result = await query(
+      `INSERT INTO goals (user_id, ${fields.map((field) => GOAL_FIELD_COLUMNS[field]).join(', ')})
+       VALUES ($1, ${fields.map((field, index) => `$${index + 2}`).join(', ')})
+       RETURNING ${GOAL_COLUMNS}`,
+      [userId, ...fields.map((field) => req.body[field] ?? null)]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Goal created successfully',
+      goal: goalWithPlan(result.rows[0])
+    });
+  } catch (error) {
+    console.error('Error creating goal:', error);
+    next(error);
+  }
+};
+
+/**
+ * List the current user's goals
+ * GET /api/goals
+ */
+export const listGoals = async (req, res, next) => {
+  try {
+    const userId = req.user.userId; // From JWT token (set by auth middleware)
+
+    const result = await query(
+      `SELECT ${GOAL_COLUMNS} FROM goals WHERE user_id = $1 ORDER BY target_date, id`,
+      [userId]
+    );
+
+    res.status(200).json({
+      success: true,
+      goals: result.rows.map(goalWithPlan)
+    });
+  } catch (error) {
+    console.error('Error listing goals:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get a goal
+ * GET /api/goals/:id
+ */
+export const getGoal = async (req, res, next) => {
+  try {
+    const userId = req.user.userId; // From JWT token (set by auth middleware)
+    const goalId = parseInt(req.params.id);
+
+    if (!goalId) {
+      return res.status(400).json({
+        error: 'Invalid goal id'
+      });
+    }
+
+    const result = await query(
+      `SELECT ${GOAL_COLUMNS} FROM goals WHERE id = $1 AND user_id = $2`,
+      [goalId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Goal not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      goal: goalWithPlan(result.rows[0])
+    });
+  } catch (error) {
+    console.error('Error fetching goal:', error);
+    next(error);
+  }
+};
+
+/**
+ * Update a goal
+ * PUT /api/goals/:id
+ *
+ * Only provided fields are updated; send null to clear monthlyContribution or notes
+ */
+export const updateGoal = async (req, res, next) => {
+  try {
+    const userId = req.user.userId; // From JWT token (set by auth middleware)
+    const goalId = parseInt(req.params.id);
+
+    if (!goalId) {
+      return res.status(400).json({
+        error: 'Invalid goal id'
+      });
+    }
+
+    // Validated and coerced by the updateGoal schema (see routes)
+    if (rejectPastTargetDate(res, req.body.targetDate)) {
+      return;
+    }
+
+    const fields = Object.keys(GOAL_FIELD_COLUMNS).filter((field) => req.body[field] !== undefined);
+
+    if (fields.length === 0) {
+      return res.status(400).json({
+        error: 'No goal fields provided to update'
+      });
+    }
+
+    const result = await query(
+      `UPDATE goals
+      SET ${fields.map((field, index) => `${GOAL_FIELD_COLUMNS[field]} = $${index + 1}`).join(', ')}
+      WHERE id = $${fields.length + 1} AND user_id = $${fields.length + 2}
+      RETURNING ${GOAL_COLUMNS}`,
+      [...fields.map((field) => req.body[field]), goalId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Goal not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Goal updated successfully',
+      goal: goalWithPlan(result.rows[0])
+    });
+  } catch (error) {
+    console.error('Error updating goal:', error);
+    next(error);
+  }
+};
+
+/**
+ * Delete a goal
+ * DELETE /api/goals/:id
+ */
+export const deleteGoal = async (req, res, next) => {
+  try {
+    const userId = req.user.userId; // From JWT token (set by auth middleware)
+    const goalId = parseInt(req.params.id);
+
+    if (!goalId) {
+      return res.status(400).json({
+        error: 'Invalid goal id'
+      });
+    }
+
+    const result = await query(
+      'DELETE FROM goals WHERE id = $1 AND user_id = $2 RETURNING id',
+      [goalId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Goal not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Goal deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting goal:', error);
+    next(error);
+  }
+};
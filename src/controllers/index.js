@@ -1,4 +1,15 @@
 // Export all controllers from here
 export * from './auth.controller.js';
 export * from './profile.controller.js';
-
+export * from './session.controller.js';
+export * from './admin.controller.js';
+export * from './schema.controller.js';
+export * from './application.controller.js';
+export * from './employment.controller.js';
+export * from './projection.controller.js';
+export * from './eligibility.controller.js';
+export * from './goal.controller.js';
+export * from './document.controller.js';
+export * from './co-applicant.controller.js';
+export * from './mobile.controller.js';
+export * from './privacy.controller.js';
@@ -0,0 +1,343 @@
+import { query, getClient } from '../config/database.js';
+import {
+  generateOTP,
+  isOTPExpired,
+  getOTPExpiryTime,
+  getOTPExpiryMinutes,
+  getOTPLimits,
+  hashOTP,
+  verifyOTPHash,
+  normalizeMobile
+} from '../utils/otp.js';
+import {
+  tooManyRequests,
+  rejectOverDailyIpLimit,
+  rejectOverDailyUserLimit,
+  rejectOverDailyLimit,
+  recordOtpSend
+} from '../utils/rate-limit.js';
+import { sendSms } from '../utils/sms/index.js';
+import { sendEmail } from '../utils/mail/index.js';
+import { isDevelopment } from '../utils/environment.js';
+import { hashEmailCode, verifyEmailCode } from '../utils/email-verification.js';
+import { recordAuditEvent } from '../utils/audit.js';
+
+/**
+ * Start changing the registered mobile number
+ * POST /api/profile/mobile/change
+ *
+ * This endpoint is protected and requires authentication
+ *
+ * An OTP is always sent to the new number. The change is also confirmed with
+ * an OTP sent to the current number or, if the current number is lost
+ * (oldNumberLost: true), with a code sent to the user's verified email.
+ * Starting a new request cancels any pending one.
+ *
+ * Request body:
+ * {
+ *   "newMobileNumber": "+919812345678",
+ *   "oldNumberLost": false   // optional
+ * }
+ */
+export const requestMobileChange = async (req, res, next) => {
+  try {
+    const userId = req.user.userId; // From JWT token (set by auth middleware)
+
+    // Validated and coerced by the requestMobileChange schema (see routes)
+    const { oldNumberLost } = req.body;
+    const newMobile = normalizeMobile(req.body.newMobileNumber);
+
+    const userResult = await query(
+      `SELECT u.mobile_number, u.email, u.is_verified, u.first_name,
+              EXTRACT(EPOCH FROM (MAX(m.created_at) + make_interval(secs => $2) - CURRENT_TIMESTAMP))::float AS cooldown_for
+       FROM users u
+       LEFT JOIN mobile_change_requests m ON m.user_id = u.id AND m.status = 'pending'
+       WHERE u.id = $1
+       GROUP BY u.id`,
+      [userId, getOTPLimits().resendCooldownSeconds]
+    );
+
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+
+    const user = userResult.rows[0];
+    const oldMobile = user.mobile_number;
+    const method = oldNumberLost ? 'email' : 'dual_otp';
+
+    if (newMobile === oldMobile) {
+      return res.status(400).json({
+        error: 'New mobile number must be different from the current one'
+      });
+    }
+
+    const existing = await query('SELECT id FROM users WHERE mobile_number = $1', [newMobile]);
+
+    if (existing.rows.length > 0) {
+      return res.status(409).json({
+        error: 'This mobile number is already registered to another account'
+      });
+    }
+
+    // Without the old number, a verified email is the second factor
+    if (method === 'email' && !(user.email && user.is_verified)) {
+      return res.status(422).json({
+        error: 'A verified email is required to change your number without access to the current one'
+      });
+    }
+
+    if (user.cooldown_for > 0) {
+      return tooManyRequests(res, user.cooldown_for, 'Please wait before requesting another code');
+    }
+
+    if (await rejectOverDailyIpLimit(res, req.ip) || await rejectOverDailyUserLimit(res, userId)) {
+      return;
+    }
+    if (await rejectOverDailyLimit(res, newMobile, `Daily OTP limit reached for ${newMobile}. Please try again later`)) {
+      return;
+    }
+    if (method === 'dual_otp' && await rejectOverDailyLimit(res, oldMobile, `Daily OTP limit reached for ${oldMobile}. Please try again later`)) {
+      return;
+    }
+
+    const newMobileOtp = generateOTP();
+    const confirmationCode = generateOTP();
+    const confirmationHash = method === 'dual_otp'
+      ? hashOTP(confirmationCode, oldMobile)
+      : hashEmailCode(confirmationCode, user.email);
+
+    await query(
+      `UPDATE mobile_change_requests SET status = 'cancelled'
+       WHERE user_id = $1 AND status = 'pending'`,
+      [userId]
+    );
+
+    const requestResult = await query(
+      `INSERT INTO mobile_change_requests
+         (user_id, old_mobile_number, new_mobile_number, method, new_otp_hash, confirmation_hash, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING id, expires_at`,
+      [userId, oldMobile, newMobile, method, hashOTP(newMobileOtp, newMobile), confirmationHash, getOTPExpiryTime()]
+    );
+    const request = requestResult.rows[0];
+
+    // Record the sends for daily caps
+    const sentTo = method === 'dual_otp' ? [newMobile, oldMobile] : [newMobile];
+    for (const mobileNumber of sentTo) {
+      await recordOtpSend(mobileNumber, req.ip, userId);
+    }
+
+    const expiryMinutes = getOTPExpiryMinutes();
+    const newNumberEnding = newMobile.slice(-4);
+
+    const newDelivery = await sendSms({
+      to: newMobile,
+      template: 'otp',
+      params: { otp: newMobileOtp, expiryMinutes },
+      userId
+    });
+
+    const confirmationDelivery = method === 'dual_otp'
+      ? await sendSms({
+        to: oldMobile,
+        template: 'mobile_change',
+        params: { otp: confirmationCode, newNumberEnding, expiryMinutes },
+        userId
+      })
+      : await sendEmail({
+        to: user.email,
+        template: 'mobile_change',
+        params: { name: user.first_name || 'there', code: confirmationCode, newNumberEnding, expiryMinutes },
+        userId
+      });
+
+    await recordAuditEvent({
+      userId,
+      eventType: 'mobile_change_requested',
+      metadata: { requestId: request.id, method, newNumberEnding },
+      req
+    });
+
+    // The outbox providers do not deliver anything, so return the codes for testing
+    // (development only)
+    const isOutbox = newDelivery.provider === 'outbox' && confirmationDelivery.provider === 'outbox' && isDevelopment();
+
+    res.status(201).json({
+      success: true,
+      message: method === 'dual_otp'
+        ? 'OTPs sent to your current and new mobile numbers'
+        : 'OTP sent to your new mobile number and a confirmation code to your email',
+      requestId: request.id,
+      method,
+      expiresAt: request.expires_at,
+      ...(isOutbox && {
+        newMobileOtp,
+        confirmationCode,
+        devMode: true,
+        note: 'Codes delivered to local outboxes'
+      })
+    });
+  } catch (error) {
+    console.error('Error requesting mobile number change:', error);
+    next(error);
+  }
+};
+
+/**
+ * Confirm a mobile number change with both codes
+ * POST /api/profile/mobile/verify
+ *
+ * This endpoint is protected and requires authentication
+ *
+ * On success the number is changed, pending login OTPs are discarded and
+ * every session (including the current one) is revoked, so the user has to
+ * sign in again with the new number.
+ *
+ * Request body:
+ * {
+ *   "requestId": 12,
+ *   "newMobileOtp": "123456",
+ *   "confirmationCode": "654321"   // OTP sent to the current number, or the emailed code
+ * }
+ */
+export const confirmMobileChange = async (req, res, next) => {
+  try {
+    const userId = req.user.userId; // From JWT token (set by auth middleware)
+
+    // Validated and coerced by the confirmMobileChange schema (see routes)
+    const { requestId, newMobileOtp, confirmationCode } = req.body;
+    const limits = getOTPLimits();
+
+    const result = await query(
+      `SELECT m.id, m.old_mobile_number, m.new_mobile_number, m.method, m.new_otp_hash,
+              m.confirmation_hash, m.status, m.failed_attempts, m.expires_at,
+              u.mobile_number AS current_mobile_number, u.email
+       FROM mobile_change_requests m
+       JOIN users u ON u.id = m.user_id
+       WHERE m.id = $1 AND m.user_id = $2`,
+      [requestId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Mobile change request not found'
+      });
+    }
+
+    const request = result.rows[0];
+
+    if (request.status !== 'pending' || request.current_mobile_number !== request.old_mobile_number) {
+      return res.status(409).json({
+        error: 'This request is no longer pending. Please start again'
+      });
+    }
+
+    if (isOTPExpired(request.expires_at)) {
+      return res.status(400).json({
+        error: 'Codes have expired. Please start again'
+      });
+    }
+
+    // Verify both codes (constant-time hash comparisons)
+    const invalidCodes = [
+      !verifyOTPHash(newMobileOtp, request.new_mobile_number, request.new_otp_hash) && 'newMobileOtp',
+      !(request.method === 'dual_otp'
+        ? verifyOTPHash(confirmationCode, request.old_mobile_number, request.confirmation_hash)
+        : Boolean(request.email) && verifyEmailCode(confirmationCode, request.email, request.confirmation_hash)
+      ) && 'confirmationCode'
+    ].filter(Boolean);
+
+    if (invalidCodes.length > 0) {
+      // Expire the request once the attempt limit is reached
+      const attemptResult = await query(
+        `UPDATE mobile_change_requests
+         SET failed_attempts = failed_attempts + 1,
+             status = CASE WHEN failed_attempts + 1 >= $2 THEN 'expired' ELSE status END
+         WHERE id = $1
+         RETURNING failed_attempts`,
+        [requestId, limits.maxAttempts]
+      );
+      const attemptsRemaining = Math.max(0, limits.maxAttempts - attemptResult.rows[0].failed_attempts);
+
+      return res.status(400).json({
+        error: attemptsRemaining > 0 ? 'Invalid code' : 'Too many failed attempts. Please start again',
+        invalidCodes,
+        attemptsRemaining
+      });
+    }
+
+    // Change the number, discard login OTPs and revoke sessions in one transaction
+    const client = await getClient();
+    let revokedCount;
+
+    try {
+      await client.query('BEGIN');
+
+      const completeResult = await client.query(
+        `UPDATE mobile_change_requests SET status = 'completed', completed_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND status = 'pending'
+         RETURNING id`,
+        [requestId]
+      );
+
+      // Guard against a concurrent confirmation or a number changed in between
+      const userResult = completeResult.rows.length === 0 ? null : await client.query(
+        `UPDATE users SET mobile_number = $1, updated_by = $2, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2 AND mobile_number = $3
+         RETURNING id`,
+        [request.new_mobile_number, userId, request.old_mobile_number]
+      );
+
+      if (!userResult || userResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({
+          error: 'This request is no longer pending. Please start again'
+        });
+      }
+
+      // Pending login OTPs were issued for the old number
+      await client.query('DELETE FROM otps WHERE user_id = $1', [userId]);
+
+      const revokeResult = await client.query(
+        `UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = 'mobile_changed'
+         WHERE user_id = $1 AND revoked_at IS NULL`,
+        [userId]
+      );
+      revokedCount = revokeResult.rowCount;
+
+      await recordAuditEvent({
+        userId,
+        eventType: 'mobile_number_changed',
+        changes: [{ field: 'mobileNumber', oldValue: request.old_mobile_number, newValue: request.new_mobile_number }],
+        metadata: { requestId, method: request.method, revokedSessions: revokedCount },
+        req
+      }, client);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+
+      // Another account registered the number after the request was made
+      if (error.code === '23505' && error.constraint === 'users_mobile_number_key') {
+        return res.status(409).json({
+          error: 'This mobile number is already registered to another account'
+        });
+      }
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Mobile number changed. Please sign in again with your new number',
+      mobileNumber: request.new_mobile_number,
+      revokedSessions: revokedCount
+    });
+  } catch (error) {
+    console.error('Error confirming mobile number change:', error);
+    next(error);
+  }
+};
@@ -0,0 +1,183 @@
+import { query } from '../config/database.js';
+import { ACCOUNT_DELETION_COLUMNS, formatDeletionRequest } from '../models/account-deletion.model.js';
+import { collectUserData, storeUserDataArchive } from '../utils/data-export.js';
+import { getDeletionGraceDays } from '../utils/account-deletion.js';
+import { recordAuditEvent } from '../utils/audit.js';
+
+/**
+ * Export all personal data held about the current user
+ * GET /api/profile/export?format=json
+ *
+ * This endpoint is protected and requires authentication
+ *
+ * format=json (default) returns the data in the response body. format=zip
+ * packs data.json together with the uploaded document files and returns a
+ * short-lived signed download URL for the archive.
+ */
+export const exportPersonalData = async (req, res, next) => {
+  try {
+    const userId = req.user.userId; // From JWT token (set by auth middleware)
+
+    // Validated by the dataExportQuery schema (see routes)
+    const { format } = req.query;
+
+    const result = format === 'zip' ? await storeUserDataArchive(userId) : await collectUserData(userId);
+
+    if (!result) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+
+    await recordAuditEvent({
+      userId,
+      eventType: 'data_exported',
+      metadata: { format },
+      req
+    });
+
+    if (format === 'zip') {
+      return res.status(200).json({
+        success: true,
+        ...result
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error exporting personal data:', error);
+    next(error);
+  }
+};
+
+/**
+ * Request deletion of the current user's account
+ * POST /api/profile/deletion
+ *
+ * This endpoint is protected and requires authentication
+ *
+ * The account is erased once the grace period (ACCOUNT_DELETION_GRACE_DAYS)
+ * has passed and can be used, and the request cancelled, until then. Users
+ * with approved or disbursed loans are anonymised instead of deleted.
+ *
+ * Request body:
+ * {
+ *   "reason": "No longer need the account"   // optional
+ * }
+ */
+export const requestAccountDeletion = async (req, res, next) => {
+  try {
+    const userId = req.user.userId; // From JWT token (set by auth middleware)
+
+    // Validated by the accountDeletion schema (see routes)
+    const { reason } = req.body;
+    const graceDays = getDeletionGraceDays();
+
+    let request;
+    try {
+      const result = await query(
+        `INSERT INTO account_deletion_requests (user_id, reason, scheduled_for)
+         VALUES ($1, $2, CURRENT_TIMESTAMP + make_interval(days => $3))
+         RETURNING ${ACCOUNT_DELETION_COLUMNS}`,
+        [userId, reason ?? null, graceDays]
+      );
+      request = result.rows[0];
+    } catch (error) {
+      if (error.code === '23505' && error.constraint === 'idx_account_deletion_requests_pending') {
+        return res.status(409).json({
+          error: 'Account deletion has already been requested'
+        });
+      }
+      throw error;
+    }
+
+    await recordAuditEvent({
+      userId,
+      eventType: 'deletion_requested',
+      metadata: { requestId: request.id, scheduledFor: request.scheduled_for },
+      req
+    });
+
+    res.status(202).json({
+      success: true,
+      message: `Your account will be deleted in ${graceDays} days. You can cancel until then`,
+      deletionRequest: formatDeletionRequest(request)
+    });
+  } catch (error) {
+    console.error('Error requesting account deletion:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get the current user's pending account deletion request
+ * GET /api/profile/deletion
+ *
+ * This endpoint is protected and requires authentication
+ */
+export const getAccountDeletion = async (req, res, next) => {
+  try {
+    const userId = req.user.userId; // From JWT token (set by auth middleware)
+
+    const result = await query(
+      `SELECT ${ACCOUNT_DELETION_COLUMNS} FROM account_deletion_requests
+       WHERE user_id = $1 AND status = 'pending'`,
+      [userId]
+    );
+
+    res.status(200).json({
+      success: true,
+      deletionRequest: result.rows.length > 0 ? formatDeletionRequest(result.rows[0]) : null
+    });
+  } catch (error) {
+    console.error('Error fetching account deletion request:', error);
+    next(error);
+  }
+};
+
+/**
+ * Cancel the current user's pending account deletion request
+ * DELETE /api/profile/deletion
+ *
+ * This endpoint is protected and requires authentication
+ */
+export const cancelAccountDeletion = async (req, res, next) => {
+  try {
+    const userId = req.user.userId; // From JWT token (set by auth middleware)
+
+    const result = await query(
+      `UPDATE account_deletion_requests
+       SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP
+       WHERE user_id = $1 AND status = 'pending'
+       RETURNING ${ACCOUNT_DELETION_COLUMNS}`,
+      [userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'No pending account deletion request'
+      });
+    }
+
+    const request = result.rows[0];
+
+    await recordAuditEvent({
+      userId,
+      eventType: 'deletion_cancelled',
+      metadata: { requestId: request.id },
+      req
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Account deletion cancelled',
+      deletionRequest: formatDeletionRequest(request)
+    });
+  } catch (error) {
+    console.error('Error cancelling account deletion:', error);
+    next(error);
+  }
+};
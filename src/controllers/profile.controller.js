@@ -1,4 +1,12 @@
-import { query } from '../config/database.js';
+import { query, getClient } from '../config/database.js';
+import { getOTPLimits, isOTPExpired } from '../utils/otp.js';
+import { USER_PROFILE_COLUMNS, formatUserProfile } from '../models/user.model.js';
+import { EMPLOYMENT_COLUMNS, formatEmployment } from '../models/employment.model.js';
+import { CO_APPLICANT_COLUMNS, formatCoApplicant } from '../models/co-applicant.model.js';
+import { diffFields, recordAuditEvent, getAuditHistory } from '../utils/audit.js';
+import { getProfileRequirements } from '../config/profile-requirements.js';
+import { assessProfileCompleteness } from '../utils/profile-completeness.js';
+import { sendEmailVerification, verifyEmailCode, checkEmailVerificationLimit } from '../utils/email-verification.js';
 
 /**
  * Save or update user profile
@@ -26,10 +34,15 @@ import { query } from '../config/database.js';
  *   "numberOfDependents": 2,
  *   "educationalQualification": "Bachelor's Degree"
  * }
+ * 
+ * Changing the email marks it unverified and sends a verification code
+ * (see POST /api/profile/email/verify). Returns 409 if another account uses the email.
  */
 export const saveProfile = async (req, res, next) => {
   try {
     const userId = req.user.userId; // From JWT token (set by auth middleware)
+
+    // Validated and coerced by the profile schema (see routes)
     const {
       firstName,
       lastName,
@@ -53,85 +66,6 @@ export const saveProfile = async (req, res, next) => {
       isActive
     } = req.body;
 
-    // Validate required fields
-    if (!firstName || !lastName) {
-      return res.status(400).json({
-        error: 'First name and last name are required'
-      });
-    }
-
-    // Validate date of birth format if provided
-    if (dateOfBirth) {
-      const dobDate = new Date(dateOfBirth);
-      if (isNaN(dobDate.getTime())) {
-        return res.status(400).json({
-          error: 'Invalid date of birth format. Use YYYY-MM-DD'
-        });
-      }
-    }
-
-    // Validate gender if provided
-    if (gender && !['Male', 'Female', 'Other'].includes(gender)) {
-      return res.status(400).json({
-        error: 'Invalid gender. Must be one of: Male, Female, Other'
-      });
-    }
-
-    // Validate marital status if provided
-    if (maritalStatus && !['Single', 'Married', 'Divorced', 'Widowed'].includes(maritalStatus)) {
-      return res.status(400).json({
-        error: 'Invalid marital status. Must be one of: Single, Married, Divorced, Widowed'
-      });
-    }
-
-    // Validate residential status if provided
-    if (residentialStatus && !['Owned', 'Rental', 'Parental'].includes(residentialStatus)) {
-      return res.status(400).json({
-        error: 'Invalid residential status. Must be one of: Owned, Rental, Parental'
-      });
-    }
-
-    // Validate email format if provided
-    if (email) {
-      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-      if (!emailRegex.test(email)) {
-        return res.status(400).json({
-          error: 'Invalid email format'
-        });
-      }
-    }
-
-    // Validate numeric fields
-    if (durationOfStayYears !== undefined && (isNaN(durationOfStayYears) || durationOfStayYears < 0)) {
-      return res.status(400).json({
-        error: 'Duration of stay (years) must be a non-negative number'
-      });
-    }
-
-    if (durationOfStayMonths !== undefined && (isNaN(durationOfStayMonths) || durationOfStayMonths < 0 || durationOfStayMonths > 11)) {
-      return res.status(400).json({
-        error: 'Duration of stay (months) must be a number between 0 and 11'
-      });
-    }
-
-    if (numberOfDependents !== undefined && (isNaN(numberOfDependents) || numberOfDependents < 0)) {
-      return res.status(400).json({
-        error: 'Number of dependents must be a non-negative number'
-      });
-    }
-
-    // Check if user exists
-    const userCheck = await query(
-      'SELECT id FROM users WHERE id = $1',
-      [userId]
-    );
-
-    if (userCheck.rows.length === 0) {
-      return res.status(404).json({
-        error: 'User not found'
-      });
-    }
-
     // Prepare update query
     const updateFields = [];
     const updateValues = [];
@@ -187,6 +121,9 @@ export const saveProfile = async (req, res, next) => {
       updateValues.push(motherName);
     }
     if (email !== undefined) {
+      // A new address has to be verified again (SET expressions see the old email)
+      updateFields.push(`is_verified = CASE WHEN LOWER(email) IS DISTINCT FROM LOWER($${paramCount}) THEN false ELSE is_verified END`);
+      updateFields.push(`email_verified_at = CASE WHEN LOWER(email) IS DISTINCT FROM LOWER($${paramCount}) THEN NULL ELSE email_verified_at END`);
       updateFields.push(`email = $${paramCount++}`);
       updateValues.push(email);
     }
@@ -226,101 +163,113 @@ export const saveProfile = async (req, res, next) => {
       });
     }
 
-    // Set created_by on first update if not set
-    const userData = await query(
-      'SELECT created_by FROM users WHERE id = $1',
-      [userId]
-    );
+    if (email) {
+      const emailResult = await query(
+        'SELECT id FROM users WHERE LOWER(email) = LOWER($1) AND id <> $2',
+        [email, userId]
+      );
 
-    if (!userData.rows[0].created_by) {
-      updateFields.push(`created_by = $${paramCount++}`);
-      updateValues.push(userId);
+      if (emailResult.rows.length > 0) {
+        return res.status(409).json({
+          error: 'This email is already in use by another account'
+        });
+      }
     }
 
+    // Set created_by on first update if not set
+    updateFields.push(`created_by = COALESCE(created_by, $${paramCount++})`);
+    updateValues.push(userId);
+
     // Always update updated_by and updated_at
     updateFields.push(`updated_by = $${paramCount++}`);
     updateValues.push(userId);
     updateFields.push(`updated_at = CURRENT_TIMESTAMP`);
 
-    // Build and execute update query
+    // Build update query
     const updateQuery = `
       UPDATE users 
       SET ${updateFields.join(', ')}
       WHERE id = $${paramCount}
-      RETURNING 
-        id,
-        mobile_number,
-        first_name,
-        last_name,
-        date_of_birth,
-        gender,
-        marital_status,
-        father_name,
-        mother_name,
-        email,
-        address,
-        city,
-        state,
-        country,
-        zipcode,
-        residential_status,
-        duration_of_stay_years,
-        duration_of_stay_months,
-        number_of_dependents,
-        educational_qualification,
-        avatar,
-        is_active,
-        is_verified,
-        created_by,
-        created_at,
-        updated_by,
-        updated_at
+      RETURNING ${USER_PROFILE_COLUMNS}
     `;
     updateValues.push(userId);
 
-    const result = await query(updateQuery, updateValues);
+    // Update and audit in one transaction so the history matches what was saved
+    const client = await getClient();
+    let before;
+    let user;
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({
-        error: 'User not found'
-      });
+    try {
+      await client.query('BEGIN');
+
+      const beforeResult = await client.query(
+        `SELECT ${USER_PROFILE_COLUMNS} FROM users WHERE id = $1 FOR UPDATE`,
+        [userId]
+      );
+
+      if (beforeResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({
+          error: 'User not found'
+        });
+      }
+
+      const result = await client.query(updateQuery, updateValues);
+      before = formatUserProfile(beforeResult.rows[0]);
+      user = result.rows[0];
+
+      const changes = diffFields(before, formatUserProfile(user));
+      if (changes.length > 0) {
+        await recordAuditEvent({ userId, eventType: 'profile_updated', changes, req }, client);
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+
+      // Lost a race with another account saving the same email
+      if (error.code === '23505' && error.constraint === 'users_email_key') {
+        return res.status(409).json({
+          error: 'This email is already in use by another account'
+        });
+      }
+      throw error;
+    } finally {
+      client.release();
     }
 
-    const user = result.rows[0];
+    // Send a verification code when the email changed. The profile is already
+    // saved, so a delivery failure is reported rather than failing the request.
+    // The resend cooldown and daily cap apply, so flipping the email back and
+    // forth can't be used to flood an inbox; the user can request a code later.
+    let emailVerification;
+    if (user.email && user.email.toLowerCase() !== (before.email || '').toLowerCase()) {
+      try {
+        const limit = await checkEmailVerificationLimit(userId);
+        emailVerification = limit.allowed
+          ? await sendEmailVerification({ userId, email: user.email, name: user.first_name })
+          : { pending: true, retryAfter: limit.retryAfter };
+      } catch (error) {
+        console.error('Error sending email verification:', error);
+        emailVerification = { sentTo: user.email, error: 'Verification email could not be sent. Please request a new code' };
+      }
+
+      if (emailVerification.provider) {
+        await recordAuditEvent({
+          userId,
+          eventType: 'email_verification_sent',
+          metadata: { provider: emailVerification.provider },
+          req
+        });
+      }
+    }
 
     // Build response with all fields (including null values)
     res.status(200).json({
       success: true,
       message: 'Profile updated successfully',
-      user: {
-        id: user.id,
-        mobileNumber: user.mobile_number,
-        firstName: user.first_name || null,
-        lastName: user.last_name || null,
-        dateOfBirth: user.date_of_birth || null,
-        gender: user.gender || null,
-        maritalStatus: user.marital_status || null,
-        fatherName: user.father_name || null,
-        motherName: user.mother_name || null,
-        email: user.email || null,
-        address: user.address || null,
-        city: user.city || null,
-        state: user.state || null,
-        country: user.country || null,
-        zipcode: user.zipcode || null,
-        residentialStatus: user.residential_status || null,
-        durationOfStayYears: user.duration_of_stay_years ?? null,
-        durationOfStayMonths: user.duration_of_stay_months ?? null,
-        numberOfDependents: user.number_of_dependents ?? null,
-        educationalQualification: user.educational_qualification || null,
-        avatar: user.avatar || null,
-        isActive: user.is_active ?? true,
-        isVerified: user.is_verified ?? false,
-        createdBy: user.created_by || null,
-        createdAt: user.created_at || null,
-        updatedBy: user.updated_by || null,
-        updatedAt: user.updated_at || null
-      }
+      user: formatUserProfile(user),
+      ...(emailVerification && { emailVerification })
     });
   } catch (error) {
     console.error('Error saving profile:', error);
@@ -339,34 +288,7 @@ export const getProfile = async (req, res, next) => {
     const userId = req.user.userId; // From JWT token (set by auth middleware)
 
     const result = await query(
-      `SELECT 
-        id,
-        mobile_number,
-        first_name,
-        last_name,
-        date_of_birth,
-        gender,
-        marital_status,
-        father_name,
-        mother_name,
-        email,
-        address,
-        city,
-        state,
-        country,
-        zipcode,
-        residential_status,
-        duration_of_stay_years,
-        duration_of_stay_months,
-        number_of_dependents,
-        educational_qualification,
-        avatar,
-        is_active,
-        is_verified,
-        created_by,
-        created_at,
-        updated_by,
-        updated_at
+      `SELECT ${USER_PROFILE_COLUMNS}
       FROM users 
       WHERE id = $1`,
       [userId]
@@ -380,38 +302,22 @@ export const getProfile = async (req, res, next) => {
 
     const user = result.rows[0];
 
+    const employmentResult = await query(
+      `SELECT ${EMPLOYMENT_COLUMNS} FROM employment_details WHERE user_id = $1`,
+      [userId]
+    );
+
+    const coApplicantResult = await query(
+      `SELECT ${CO_APPLICANT_COLUMNS} FROM co_applicants WHERE user_id = $1 ORDER BY id`,
+      [userId]
+    );
+
     // Build response with all fields (including null values)
     res.status(200).json({
       success: true,
-      user: {
-        id: user.id,
-        mobileNumber: user.mobile_number,
-        firstName: user.first_name || null,
-        lastName: user.last_name || null,
-        dateOfBirth: user.date_of_birth || null,
-        gender: user.gender || null,
-        maritalStatus: user.marital_status || null,
-        fatherName: user.father_name || null,
-        motherName: user.mother_name || null,
-        email: user.email || null,
-        address: user.address || null,
-        city: user.city || null,
-        state: user.state || null,
-        country: user.country || null,
-        zipcode: user.zipcode || null,
-        residentialStatus: user.residential_status || null,
-        durationOfStayYears: user.duration_of_stay_years ?? null,
-        durationOfStayMonths: user.duration_of_stay_months ?? null,
-        numberOfDependents: user.number_of_dependents ?? null,
-        educationalQualification: user.educational_qualification || null,
-        avatar: user.avatar || null,
-        isActive: user.is_active ?? true,
-        isVerified: user.is_verified ?? false,
-        createdBy: user.created_by || null,
-        createdAt: user.created_at || null,
-        updatedBy: user.updated_by || null,
-        updatedAt: user.updated_at || null
-      }
+      user: formatUserProfile(user),
+      employment: employmentResult.rows.length > 0 ? formatEmployment(employmentResult.rows[0]) : null,
+      coApplicants: coApplicantResult.rows.map(formatCoApplicant)
     });
   } catch (error) {
     console.error('Error fetching profile:', error);
@@ -419,3 +325,251 @@ export const getProfile = async (req, res, next) => {
   }
 };
 
+/**
+ * Get profile completeness and what's missing
+ * GET /api/profile/completeness?loanProduct=home
+ * 
+ * This endpoint is protected and requires authentication
+ * 
+ * Query params (optional): loanProduct - score against that product's
+ * required fields instead of the general requirements
+ */
+export const getProfileCompleteness = async (req, res, next) => {
+  try {
+    const userId = req.user.userId; // From JWT token (set by auth middleware)
+
+    // Validated by the profileCompletenessQuery schema (see routes)
+    const { loanProduct } = req.query;
+
+    const result = await query(
+      `SELECT ${USER_PROFILE_COLUMNS} FROM users WHERE id = $1`,
+      [userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+
+    const requirements = getProfileRequirements();
+    const requiredFields = requirements[loanProduct] || requirements.default;
+
+    res.status(200).json({
+      success: true,
+      loanProduct: loanProduct || null,
+      completeness: assessProfileCompleteness(formatUserProfile(result.rows[0]), requiredFields)
+    });
+  } catch (error) {
+    console.error('Error fetching profile completeness:', error);
+    next(error);
+  }
+};
+
+/**
+ * Send a verification code to the profile email
+ * POST /api/profile/email/send-verification
+ * 
+ * This endpoint is protected and requires authentication
+ */
+export const sendEmailVerificationCode = async (req, res, next) => {
+  try {
+    const userId = req.user.userId; // From JWT token (set by auth middleware)
+
+    const result = await query(
+      'SELECT email, first_name, is_verified FROM users WHERE id = $1',
+      [userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+
+    const { email, first_name: firstName, is_verified: isVerified } = result.rows[0];
+
+    if (!email) {
+      return res.status(400).json({
+        error: 'Add an email to your profile first'
+      });
+    }
+
+    if (isVerified) {
+      return res.status(409).json({
+        error: 'Email is already verified'
+      });
+    }
+
+    const limit = await checkEmailVerificationLimit(userId);
+    if (!limit.allowed) {
+      res.set('Retry-After', String(limit.retryAfter));
+      return res.status(429).json({
+        error: limit.reason === 'daily_limit'
+          ? 'Daily verification email limit reached. Please try again later'
+          : 'Please wait before requesting another code',
+        retryAfter: limit.retryAfter
+      });
+    }
+
+    const emailVerification = await sendEmailVerification({ userId, email, name: firstName });
+
+    await recordAuditEvent({
+      userId,
+      eventType: 'email_verification_sent',
+      metadata: { provider: emailVerification.provider },
+      req
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification code sent',
+      emailVerification
+    });
+  } catch (error) {
+    console.error('Error sending email verification:', error);
+    next(error);
+  }
+};
+
+/**
+ * Verify the profile email with the emailed code
+ * POST /api/profile/email/verify
+ * 
+ * This endpoint is protected and requires authentication
+ * 
+ * Request body:
+ * {
+ *   "code": "123456"
+ * }
+ */
+export const verifyEmail = async (req, res, next) => {
+  try {
+    const userId = req.user.userId; // From JWT token (set by auth middleware)
+
+    // Validated by the verifyEmail schema (see routes)
+    const { code } = req.body;
+    const limits = getOTPLimits();
+
+    const result = await query(
+      `SELECT ev.email, ev.code_hash, ev.expires_at, ev.failed_attempts, u.email AS current_email
+       FROM email_verifications ev
+       JOIN users u ON u.id = ev.user_id
+       WHERE ev.user_id = $1`,
+      [userId]
+    );
+
+    // A code sent to a previous address cannot verify the current one
+    if (result.rows.length === 0 || result.rows[0].email !== result.rows[0].current_email) {
+      return res.status(400).json({
+        error: 'No verification code pending. Please request a new code'
+      });
+    }
+
+    const pending = result.rows[0];
+
+    if (pending.failed_attempts >= limits.maxAttempts) {
+      return res.status(400).json({
+        error: 'Too many failed attempts. Please request a new code'
+      });
+    }
+
+    if (isOTPExpired(pending.expires_at)) {
+      return res.status(400).json({
+        error: 'Verification code has expired. Please request a new code'
+      });
+    }
+
+    // Verify code (constant-time hash comparison)
+    if (!verifyEmailCode(code, pending.email, pending.code_hash)) {
+      const attemptResult = await query(
+        `UPDATE email_verifications SET failed_attempts = failed_attempts + 1
+         WHERE user_id = $1
+         RETURNING failed_attempts`,
+        [userId]
+      );
+
+      return res.status(400).json({
+        error: 'Invalid code',
+        attemptsRemaining: Math.max(0, limits.maxAttempts - attemptResult.rows[0].failed_attempts)
+      });
+    }
+
+    // Mark verified and consume the code in one transaction
+    const client = await getClient();
+    let user;
+
+    try {
+      await client.query('BEGIN');
+
+      const updateResult = await client.query(
+        `UPDATE users SET is_verified = true, email_verified_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND email = $2
+         RETURNING ${USER_PROFILE_COLUMNS}`,
+        [userId, pending.email]
+      );
+      user = updateResult.rows[0];
+
+      await client.query('DELETE FROM email_verifications WHERE user_id = $1', [userId]);
+
+      if (user) {
+        await recordAuditEvent({
+          userId,
+          eventType: 'email_verified',
+          changes: [{ field: 'isVerified', oldValue: false, newValue: true }],
+          metadata: { email: pending.email },
+          req
+        }, client);
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    // The email changed between the lookup and the update
+    if (!user) {
+      return res.status(400).json({
+        error: 'No verification code pending. Please request a new code'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully',
+      user: formatUserProfile(user)
+    });
+  } catch (error) {
+    console.error('Error verifying email:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get profile change history and account events for the current user
+ * GET /api/profile/history
+ * 
+ * This endpoint is protected and requires authentication
+ * 
+ * Query params (optional): eventType, page, limit
+ */
+export const getProfileHistory = async (req, res, next) => {
+  try {
+    const userId = req.user.userId; // From JWT token (set by auth middleware)
+
+    // Validated and coerced by the auditHistoryQuery schema (see routes)
+    const history = await getAuditHistory(userId, req.query);
+
+    res.status(200).json({
+      success: true,
+      history: history.entries,
+      pagination: history.pagination
+    });
+  } catch (error) {
+    console.error('Error fetching profile history:', error);
+    next(error);
+  }
+};
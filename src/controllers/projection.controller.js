@@ -0,0 +1,274 @@
+import { amortize } from '../utils/amortization.js';
+import { simulatePrepayments } from '../utils/prepayment.js';
+import { projectInvestment } from '../utils/investment.js';
+import { compareOffers as rankOffers } from '../utils/offers.js';
+import { projectTax } from '../utils/tax.js';
+import { getTaxRules, getDefaultTaxYear } from '../config/tax.js';
+import { toCsv } from '../utils/csv.js';
+
+const SCHEDULE_CSV_COLUMNS = [
+  { key: 'period', header: 'Period' },
+  { key: 'dueDate', header: 'Due Date' },
+  { key: 'openingBalance', header: 'Opening Balance', format: 'money' },
+  { key: 'installment', header: 'Installment', format: 'money' },
+  { key: 'principal', header: 'Principal', format: 'money' },
+  { key: 'interest', header: 'Interest', format: 'money' },
+  { key: 'closingBalance', header: 'Closing Balance', format: 'money' }
+];
+
+const PREPAYMENT_SCHEDULE_CSV_COLUMNS = [
+  ...SCHEDULE_CSV_COLUMNS.slice(0, -1),
+  { key: 'prepayment', header: 'Prepayment', format: 'money' },
+  { key: 'charges', header: 'Charges', format: 'money' },
+  SCHEDULE_CSV_COLUMNS[SCHEDULE_CSV_COLUMNS.length - 1]
+];
+
+const INVESTMENT_CSV_COLUMNS = [
+  { key: 'year', header: 'Year' },
+  { key: 'monthlyInvestment', header: 'Monthly Investment', format: 'money' },
+  { key: 'invested', header: 'Invested', format: 'money' },
+  { key: 'totalInvested', header: 'Total Invested', format: 'money' },
+  { key: 'gains', header: 'Gains', format: 'money' },
+  { key: 'corpus', header: 'Corpus', format: 'money' },
+  { key: 'realCorpus', header: 'Corpus (Today\'s Value)', format: 'money' }
+];
+
+/**
+ * Send a calculator input error in the validation error format
+ * @param {Object} res - Express response
+ * @param {Error} error - Error from calculationError()
+ */
+const sendCalculationError = (res, error) => {
+  res.status(400).json({
+    error: 'Validation failed',
+    errors: [{ field: error.field, code: 'invalid_value', message: error.message }]
+  });
+};
+
+/**
+ * Send rows (e.g. a schedule) as a CSV download
+ * @param {Object} res - Express response
+ * @param {string} filename - Download filename
+ * @param {Array<Object>} rows - Rows to export
+ * @param {Array<Object>} [columns] - CSV columns (default: SCHEDULE_CSV_COLUMNS)
+ */
+const sendCsv = (res, filename, rows, columns = SCHEDULE_CSV_COLUMNS) => {
+  res.set('Content-Type', 'text/csv; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  res.status(200).send(toCsv(columns, rows));
+};
+
+/**
+ * Calculate EMI and amortization schedule
+ * POST /api/projections/emi
+ * 
+ * Add ?format=csv to download the schedule as CSV
+ * 
+ * Request body:
+ * {
+ *   "principal": 1000000,
+ *   "annualRate": 8.5,
+ *   "tenureMonths": 240,
+ *   "paymentFrequency": "monthly",      // optional: monthly | quarterly | half_yearly | yearly
+ *   "compoundingFrequency": "monthly",  // optional: daily | monthly | quarterly | half_yearly | yearly
+ *   "emiRounding": "nearest_paisa",     // optional: nearest_paisa | ceil_rupee
+ *   "startDate": "2025-01-05"           // optional: first due date
+ * }
+ */
+export const calculateEmi = (req, res, next) => {
+  try {
+    // Validated and coerced by the emi schema (see routes)
+    const result = amortize(req.body);
+
+    if (req.query.format === 'csv') {
+      return sendCsv(res, 'amortization-schedule.csv', result.schedule);
+    }
+
+    res.status(200).json({
+      success: true,
+      emi: result.emi,
+      numberOfPayments: result.numberOfPayments,
+      totalInterest: result.totalInterest,
+      totalPayment: result.totalPayment,
+      schedule: result.schedule
+    });
+  } catch (error) {
+    if (error.field) {
+      return sendCalculationError(res, error);
+    }
+    console.error('Error calculating EMI:', error);
+    next(error);
+  }
+};
+
+/**
+ * Simulate part-prepayments and foreclosure
+ * POST /api/projections/prepayment
+ *
+ * Returns the baseline totals, the revised schedule and the interest saved.
+ * Add ?format=csv to download the revised schedule as CSV
+ *
+ * Request body (loan fields as for /emi, plus):
+ * {
+ *   "principal": 5000000,
+ *   "annualRate": 8.5,
+ *   "tenureMonths": 240,
+ *   "strategy": "reduce_tenure",           // optional: reduce_tenure | reduce_emi
+ *   "prepayments": [
+ *     { "amount": 100000, "afterInstallment": 24 },
+ *     { "amount": 50000, "afterInstallment": 36, "type": "recurring", "repeatEvery": 12, "endInstallment": 120 }
+ *   ],
+ *   "prepaymentChargePercent": 0,          // optional
+ *   "forecloseAfterInstallment": 180,      // optional
+ *   "foreclosureChargePercent": 2          // optional
+ * }
+ */
+export const simulatePrepayment = (req, res, next) => {
+  try {
+    // Validated and coerced by the prepayment schema (see routes)
+    const result = simulatePrepayments(req.body);
+
+    if (req.query.format === 'csv') {
+      return sendCsv(res, 'prepayment-schedule.csv', result.revised.schedule, PREPAYMENT_SCHEDULE_CSV_COLUMNS);
+    }
+
+    res.status(200).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    if (error.field) {
+      return sendCalculationError(res, error);
+    }
+    console.error('Error simulating prepayment:', error);
+    next(error);
+  }
+};
+
+/**
+ * Project SIP, lump sum and step-up SIP growth
+ * POST /api/projections/investment
+ *
+ * Returns the final corpus (nominal and in today's rupees), a year-by-year
+ * breakdown and, when band returns are given, pessimistic/expected/optimistic
+ * projections. Add ?format=csv to download the year-by-year breakdown as CSV
+ *
+ * Request body:
+ * {
+ *   "monthlyInvestment": 10000,     // optional if lumpSum is given
+ *   "lumpSum": 200000,              // optional if monthlyInvestment is given
+ *   "annualStepUpPercent": 10,      // optional
+ *   "years": 15,
+ *   "annualReturn": 12,
+ *   "inflationRate": 6,             // optional (default: 6)
+ *   "pessimisticReturn": 8,         // optional
+ *   "optimisticReturn": 15          // optional
+ * }
+ */
+export const calculateInvestmentProjection = (req, res, next) => {
+  try {
+    // Validated and coerced by the investment schema (see routes)
+    const result = projectInvestment(req.body);
+
+    if (req.query.format === 'csv') {
+      return sendCsv(res, 'investment-projection.csv', result.yearly, INVESTMENT_CSV_COLUMNS);
+    }
+
+    res.status(200).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    if (error.field) {
+      return sendCalculationError(res, error);
+    }
+    console.error('Error projecting investment growth:', error);
+    next(error);
+  }
+};
+
+/**
+ * Compare loan offers side by side
+ * POST /api/projections/offers/compare
+ *
+ * Returns each offer's APR (IRR of the net amount received against the
+ * installments), total interest, total payable and total cost, ranked from
+ * cheapest to most expensive
+ *
+ * Request body:
+ * {
+ *   "principal": 500000,
+ *   "offers": [
+ *     { "name": "Bank A", "annualRate": 10.5, "tenureMonths": 36, "processingFeePercent": 2 },
+ *     { "name": "NBFC B", "annualRate": 6, "tenureMonths": 36, "rateType": "flat" },
+ *     { "name": "Bank C", "annualRate": 10, "tenureMonths": 36, "insurancePremium": 12000, "insuranceFinanced": true }
+ *   ]
+ * }
+ */
+export const compareOffers = (req, res, next) => {
+  try {
+    // Validated and coerced by the compareOffers schema (see routes)
+    const result = rankOffers(req.body);
+
+    res.status(200).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error comparing offers:', error);
+    next(error);
+  }
+};
+
+/**
+ * Project yearly income tax under the old and new regimes with a home loan
+ * POST /api/projections/tax
+ *
+ * Splits the loan's payments into interest and principal per year, applies
+ * them as section 24(b) and 80C deductions and reports the loan's tax benefit
+ * and post-tax cost each year
+ *
+ * Request body:
+ * {
+ *   "taxYear": "FY2025-26",                 // optional (default: latest rules)
+ *   "annualIncome": 1800000,
+ *   "incomeGrowthPercent": 5,               // optional
+ *   "otherSection80C": 50000,               // optional
+ *   "loan": { "principal": 5000000, "annualRate": 8.5, "tenureMonths": 240 },  // optional
+ *   "years": 10                             // optional (default: loan tenure)
+ * }
+ */
+export const calculateTaxProjection = (req, res, next) => {
+  try {
+    // Validated and coerced by the taxProjection schema (see routes)
+    const result = projectTax({ ...req.body, taxYear: req.body.taxYear || getDefaultTaxYear() });
+
+    res.status(200).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    if (error.field) {
+      return sendCalculationError(res, error);
+    }
+    console.error('Error projecting tax:', error);
+    next(error);
+  }
+};
+
+/**
+ * List the tax rule versions (slabs, deduction limits) available for projections
+ * GET /api/projections/tax/rules
+ */
+export const listTaxRules = (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      defaultTaxYear: getDefaultTaxYear(),
+      rules: getTaxRules()
+    });
+  } catch (error) {
+    console.error('Error fetching tax rules:', error);
+    next(error);
+  }
+};
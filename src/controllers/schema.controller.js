@@ -0,0 +1,34 @@
+import { schemas } from '../schemas/index.js';
+import { toJsonSchema } from '../utils/validator.js';
+
+/**
+ * List available request schemas
+ * GET /api/schemas
+ */
+export const listSchemas = (req, res) => {
+  res.status(200).json({
+    success: true,
+    schemas: Object.keys(schemas)
+  });
+};
+
+/**
+ * Get a request schema as JSON Schema
+ * GET /api/schemas/:name
+ */
+export const getSchema = (req, res) => {
+  const schema = Object.hasOwn(schemas, req.params.name) ? schemas[req.params.name] : null;
+
+  if (!schema) {
+    return res.status(404).json({
+      error: 'Schema not found'
+    });
+  }
+
+  res.status(200).json({
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    $id: `${req.baseUrl}/${req.params.name}`,
+    title: req.params.name,
+    ...toJsonSchema(schema)
+  });
+};
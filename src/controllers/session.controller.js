@@ -0,0 +1,106 @@
+import { query } from '../config/database.js';
+import { isValidSessionId } from '../utils/session.js';
+
+/**
+ * List active sessions (logged-in devices) for the current user
+ * GET /api/auth/sessions
+ * 
+ * This endpoint is protected and requires authentication
+ */
+export const listSessions = async (req, res, next) => {
+  try {
+    const { userId, sid } = req.user; // From JWT token (set by auth middleware)
+
+    const result = await query(
+      `SELECT id, device_name, platform, ip_address, user_agent, last_seen_at, created_at
+       FROM sessions
+       WHERE user_id = $1 AND revoked_at IS NULL AND refresh_expires_at > CURRENT_TIMESTAMP
+       ORDER BY last_seen_at DESC NULLS LAST`,
+      [userId]
+    );
+
+    res.status(200).json({
+      success: true,
+      sessions: result.rows.map((session) => ({
+        id: session.id,
+        deviceName: session.device_name || null,
+        platform: session.platform || null,
+        ipAddress: session.ip_address || null,
+        userAgent: session.user_agent || null,
+        lastSeenAt: session.last_seen_at || null,
+        createdAt: session.created_at || null,
+        isCurrent: session.id === sid
+      }))
+    });
+  } catch (error) {
+    console.error('Error listing sessions:', error);
+    next(error);
+  }
+};
+
+/**
+ * Sign out a specific session (remote sign-out)
+ * DELETE /api/auth/sessions/:id
+ * 
+ * This endpoint is protected and requires authentication
+ */
+export const revokeSession = async (req, res, next) => {
+  try {
+    const userId = req.user.userId; // From JWT token (set by auth middleware)
+    const { id } = req.params;
+
+    if (!isValidSessionId(id)) {
+      return res.status(400).json({
+        error: 'Invalid session id'
+      });
+    }
+
+    const result = await query(
+      `UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = 'remote_signout'
+       WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+       RETURNING id`,
+      [id, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Session not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Session signed out successfully'
+    });
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    next(error);
+  }
+};
+
+/**
+ * Sign out everywhere else (all sessions except the current one)
+ * DELETE /api/auth/sessions
+ * 
+ * This endpoint is protected and requires authentication
+ */
+export const revokeOtherSessions = async (req, res, next) => {
+  try {
+    const { userId, sid } = req.user; // From JWT token (set by auth middleware)
+
+    const result = await query(
+      `UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = 'signout_others'
+       WHERE user_id = $1 AND id <> $2 AND revoked_at IS NULL`,
+      [userId, sid]
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Signed out from all other devices',
+      revokedCount: result.rowCount
+    });
+  } catch (error) {
+    console.error('Error revoking other sessions:', error);
+    next(error);
+  }
+};
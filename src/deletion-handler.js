@@ -0,0 +1,10 @@
+import { processDueDeletions } from './utils/account-deletion.js';
+
+// Scheduled job: erase accounts whose deletion grace period has passed
+// Kept apart from handler.js so the job doesn't load the Express app (and its
+// JWT configuration), which it has no use for
+export const handler = async () => {
+  const summary = await processDueDeletions();
+  console.log('Account deletions processed:', summary);
+  return summary;
+};
@@ -6,6 +6,7 @@ export const handler = serverlessExpress({
   app,
   binaryMimeTypes: [
     'application/octet-stream',
+    'application/pdf',
     'image/*',
     'font/*'
   ]
@@ -1,10 +1,13 @@
 import { verifyToken } from '../utils/jwt.js';
+import { query } from '../config/database.js';
 
 /**
  * Authentication middleware to verify JWT token
  * Use this middleware on protected routes
  */
 export const authenticate = async (req, res, next) => {
+  let decoded;
+
   try {
     // Get token from Authorization header
     const authHeader = req.headers.authorization;
@@ -27,16 +30,71 @@ export const authenticate = async (req, res, next) => {
     }
 
     // Verify token
-    const decoded = verifyToken(token);
-
-    // Attach user info to request object
-    req.user = decoded;
-
-    next();
+    decoded = await verifyToken(token);
   } catch (error) {
     return res.status(401).json({
       error: error.message || 'Invalid or expired token'
     });
   }
+
+  try {
+    // Reject tokens whose session has been revoked (logout, refresh token reuse)
+    if (!decoded.sid) {
+      return res.status(401).json({
+        error: 'Session is no longer valid. Please sign in again'
+      });
+    }
+
+    const sessionResult = await query(
+      `SELECT s.revoked_at, s.last_seen_at < CURRENT_TIMESTAMP - INTERVAL '1 minute' AS is_stale,
+              u.role, u.is_active
+       FROM sessions s
+       JOIN users u ON u.id = s.user_id
+       WHERE s.id = $1 AND s.user_id = $2`,
+      [decoded.sid, decoded.userId]
+    );
+
+    if (sessionResult.rows.length === 0 || sessionResult.rows[0].revoked_at) {
+      return res.status(401).json({
+        error: 'Session has been revoked'
+      });
+    }
+
+    if (sessionResult.rows[0].is_active === false) {
+      return res.status(403).json({
+        error: 'Account has been deactivated'
+      });
+    }
+
+    // Track last activity (throttled to one write per minute per session)
+    if (sessionResult.rows[0].is_stale !== false) {
+      await query(
+        'UPDATE sessions SET last_seen_at = CURRENT_TIMESTAMP, ip_address = $2 WHERE id = $1',
+        [decoded.sid, req.ip]
+      );
+    }
+
+    // Attach user info to request object (role is read from the database
+    // so role changes take effect immediately)
+    req.user = { ...decoded, role: sessionResult.rows[0].role };
+
+    next();
+  } catch (error) {
+    next(error);
+  }
 };
 
+/**
+ * Authorization middleware to restrict a route to specific roles
+ * Must be used after authenticate
+ * @param {...string} roles - Allowed roles (applicant, underwriter, admin)
+ */
+export const authorize = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({
+      error: 'You do not have permission to access this resource'
+    });
+  }
+
+  next();
+};
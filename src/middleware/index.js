@@ -1,3 +1,4 @@
 // Export middleware functions here
-export { authenticate } from './auth.middleware.js';
+export { authenticate, authorize } from './auth.middleware.js';
 
+export { validate } from './validate.middleware.js';
@@ -0,0 +1,26 @@
+import { validate as validateSchema } from '../utils/validator.js';
+
+/**
+ * Validation middleware
+ * Validates and coerces req[source] against a schema, replacing it with the
+ * coerced value. Responds with all field errors at once:
+ * {
+ *   "error": "Validation failed",
+ *   "errors": [{ "field": "email", "code": "invalid_format", "message": "Invalid email format" }]
+ * }
+ * @param {Object} schema - Field rules (see utils/validator.js)
+ * @param {string} [source] - Request property to validate: body | query | params (default: body)
+ */
+export const validate = (schema, source = 'body') => (req, res, next) => {
+  const { value, errors } = validateSchema(schema, req[source]);
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      errors
+    });
+  }
+
+  req[source] = value;
+  next();
+};
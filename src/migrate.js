@@ -0,0 +1,57 @@
+import dotenv from 'dotenv';
+import { closeDB } from './config/database.js';
+import { migrateUp, migrateDown, getMigrationStatus } from './utils/migrations.js';
+
+// Load environment variables from .env file
+dotenv.config();
+
+/**
+ * Migration CLI
+ * Usage:
+ *   node src/migrate.js up                 Apply pending migrations
+ *   node src/migrate.js status             Show migration status
+ *   node src/migrate.js down [--steps N]   Roll back the last N migrations (default 1)
+ */
+async function main() {
+  const [command = 'up', ...args] = process.argv.slice(2);
+
+  switch (command) {
+    case 'up': {
+      const applied = await migrateUp();
+      console.log(applied.length > 0 ? `✅ Applied ${applied.length} migration(s)` : '✅ Database is up to date');
+      break;
+    }
+
+    case 'status': {
+      const status = await getMigrationStatus();
+      for (const migration of status) {
+        const appliedAt = migration.appliedAt ? new Date(migration.appliedAt).toISOString() : '';
+        console.log(`${migration.status.padEnd(9)} ${migration.version}_${migration.name} ${appliedAt}`);
+      }
+      break;
+    }
+
+    case 'down': {
+      const stepsIndex = args.indexOf('--steps');
+      const steps = stepsIndex >= 0 ? parseInt(args[stepsIndex + 1]) : 1;
+
+      if (!steps || steps < 1) {
+        throw new Error('--steps must be a positive number');
+      }
+
+      const rolledBack = await migrateDown(steps);
+      console.log(`✅ Rolled back ${rolledBack.length} migration(s)`);
+      break;
+    }
+
+    default:
+      throw new Error(`Unknown command: ${command}. Use up, status or down`);
+  }
+}
+
+main()
+  .catch((error) => {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => closeDB());
@@ -0,0 +1,45 @@
+/**
+ * Account deletion request statuses, columns and response formatting
+ */
+
+// Allowed values (mirror the CHECK constraints in migration 018)
+export const DELETION_STATUSES = ['pending', 'cancelled', 'completed'];
+export const DELETION_OUTCOMES = ['deleted', 'anonymised'];
+
+// Loans in these statuses must be kept for regulatory record-keeping, so a
+// user who has one is anonymised instead of deleted
+export const RETAINED_APPLICATION_STATUSES = ['approved', 'disbursed'];
+
+/**
+ * Columns selected/returned for an account deletion request
+ */
+export const ACCOUNT_DELETION_COLUMNS = `
+  id,
+  user_id,
+  reason,
+  status,
+  outcome,
+  scheduled_for,
+  cancelled_at,
+  completed_at,
+  created_at,
+  updated_at
+`;
+
+/**
+ * Build the API representation of an account_deletion_requests row
+ * @param {Object} request - Row from the account_deletion_requests table
+ * @returns {Object} Deletion request
+ */
+export function formatDeletionRequest(request) {
+  return {
+    id: request.id,
+    reason: request.reason || null,
+    status: request.status,
+    outcome: request.outcome || null,
+    scheduledFor: request.scheduled_for,
+    cancelledAt: request.cancelled_at || null,
+    completedAt: request.completed_at || null,
+    createdAt: request.created_at || null
+  };
+}
@@ -0,0 +1,104 @@
+/**
+ * Loan application products, status workflow and response formatting
+ */
+
+// Allowed values (mirror the CHECK constraints in migration 011)
+export const LOAN_PRODUCTS = ['personal', 'home', 'vehicle', 'education', 'business'];
+export const APPLICATION_STATUSES = ['draft', 'submitted', 'under_review', 'approved', 'rejected', 'disbursed'];
+
+/**
+ * Allowed status transitions and the roles that may perform them
+ * The applicant role is only ever allowed on the user's own applications, and
+ * staff-only transitions never on the staff member's own applications
+ */
+export const APPLICATION_TRANSITIONS = {
+  draft: {
+    submitted: { roles: ['applicant'] }
+  },
+  submitted: {
+    under_review: { roles: ['underwriter', 'admin'] }
+  },
+  under_review: {
+    approved: { roles: ['underwriter', 'admin'] },
+    rejected: { roles: ['underwriter', 'admin'], reasonRequired: true }
+  },
+  approved: {
+    disbursed: { roles: ['admin'] }
+  }
+};
+
+// Timestamp column set when an application enters a status
+export const STATUS_TIMESTAMP_COLUMNS = {
+  submitted: 'submitted_at',
+  under_review: 'review_started_at',
+  approved: 'approved_at',
+  rejected: 'rejected_at',
+  disbursed: 'disbursed_at'
+};
+
+// Profile fields that must be filled in before an application can be submitted
+export const REQUIRED_PROFILE_FIELDS_FOR_SUBMISSION = ['firstName', 'lastName', 'dateOfBirth'];
+
+/**
+ * Columns selected/returned for a loan application
+ */
+export const APPLICATION_COLUMNS = `
+  id,
+  user_id,
+  loan_product,
+  amount,
+  tenure_months,
+  purpose,
+  status,
+  profile_snapshot,
+  decision_reason,
+  submitted_at,
+  review_started_at,
+  approved_at,
+  rejected_at,
+  disbursed_at,
+  created_at,
+  updated_at
+`;
+
+/**
+ * Build the API representation of a loan application row
+ * @param {Object} application - Row from the loan_applications table
+ * @returns {Object} Loan application
+ */
+export function formatApplication(application) {
+  return {
+    id: application.id,
+    userId: application.user_id,
+    loanProduct: application.loan_product,
+    amount: application.amount !== null ? parseFloat(application.amount) : null,
+    tenureMonths: application.tenure_months,
+    purpose: application.purpose || null,
+    status: application.status,
+    profileSnapshot: application.profile_snapshot || null,
+    decisionReason: application.decision_reason || null,
+    submittedAt: application.submitted_at || null,
+    reviewStartedAt: application.review_started_at || null,
+    approvedAt: application.approved_at || null,
+    rejectedAt: application.rejected_at || null,
+    disbursedAt: application.disbursed_at || null,
+    createdAt: application.created_at || null,
+    updatedAt: application.updated_at || null
+  };
+}
+
+/**
+ * Build the API representation of a status transition row
+ * @param {Object} transition - Row from the loan_application_transitions table
+ * @returns {Object} Transition
+ */
+export function formatTransition(transition) {
+  return {
+    id: transition.id,
+    fromStatus: transition.from_status || null,
+    toStatus: transition.to_status,
+    reason: transition.reason || null,
+    actorId: transition.actor_id || null,
+    createdAt: transition.created_at
+  };
+}
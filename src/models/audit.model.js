@@ -0,0 +1,51 @@
+/**
+ * Audit log event types and response formatting
+ */
+
+export const AUDIT_EVENT_TYPES = [
+  'profile_updated',
+  'employment_updated',
+  'otp_sent',
+  'otp_failed',
+  'otp_locked',
+  'login',
+  'logout',
+  'user_status_changed',
+  'user_role_changed',
+  'document_uploaded',
+  'document_reviewed',
+  'document_deleted',
+  'co_applicant_added',
+  'co_applicant_updated',
+  'co_applicant_removed',
+  'co_applicant_invited',
+  'co_applicant_responded',
+  'email_verification_sent',
+  'email_verified',
+  'mobile_change_requested',
+  'mobile_number_changed',
+  'data_exported',
+  'deletion_requested',
+  'deletion_cancelled',
+  'account_deleted'
+];
+
+/**
+ * Build the API representation of an audit_log row
+ * @param {Object} entry - Row from the audit_log table
+ * @returns {Object} Audit entry
+ */
+export function formatAuditEntry(entry) {
+  return {
+    id: Number(entry.id),
+    eventType: entry.event_type,
+    field: entry.field || null,
+    oldValue: entry.old_value ?? null,
+    newValue: entry.new_value ?? null,
+    actorId: entry.actor_id || null,
+    ipAddress: entry.ip_address || null,
+    userAgent: entry.user_agent || null,
+    metadata: entry.metadata || null,
+    createdAt: entry.created_at
+  };
+}
@@ -0,0 +1,79 @@
+/**
+ * Co-applicant and guarantor roles, relationships, columns and response formatting
+ */
+
+// Allowed values (mirror the CHECK constraints in migration 015)
+export const CO_APPLICANT_ROLES = ['co_applicant', 'guarantor'];
+export const CO_APPLICANT_RELATIONSHIPS = [
+  'Spouse',
+  'Parent',
+  'Child',
+  'Sibling',
+  'Other Relative',
+  'Friend',
+  'Business Partner'
+];
+export const CONSENT_STATUSES = ['pending', 'confirmed', 'declined'];
+
+// Most co-applicants and guarantors a user can add
+export const MAX_CO_APPLICANTS = 4;
+
+/**
+ * Columns selected/returned for a co-applicant (the invite OTP hash is never returned)
+ */
+export const CO_APPLICANT_COLUMNS = `
+  id,
+  user_id,
+  role,
+  relationship,
+  first_name,
+  last_name,
+  date_of_birth,
+  gender,
+  mobile_number,
+  email,
+  employment_type,
+  monthly_net_income,
+  existing_emi_amount,
+  consent_status,
+  consent_at,
+  invite_sent_at,
+  invite_expires_at,
+  created_at,
+  updated_at
+`;
+
+/**
+ * Convert a NUMERIC column (returned as a string by pg) to a number
+ * @param {string|null} value - Column value
+ * @returns {number|null} Parsed number
+ */
+const toNumber = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+/**
+ * Build the API representation of a co_applicants row
+ * @param {Object} coApplicant - Row from the co_applicants table
+ * @returns {Object} Co-applicant
+ */
+export function formatCoApplicant(coApplicant) {
+  return {
+    id: coApplicant.id,
+    role: coApplicant.role,
+    relationship: coApplicant.relationship,
+    firstName: coApplicant.first_name,
+    lastName: coApplicant.last_name,
+    dateOfBirth: coApplicant.date_of_birth || null,
+    gender: coApplicant.gender || null,
+    mobileNumber: coApplicant.mobile_number,
+    email: coApplicant.email || null,
+    employmentType: coApplicant.employment_type || null,
+    monthlyNetIncome: toNumber(coApplicant.monthly_net_income),
+    existingEmiAmount: toNumber(coApplicant.existing_emi_amount) ?? 0,
+    consentStatus: coApplicant.consent_status,
+    consentAt: coApplicant.consent_at || null,
+    inviteSentAt: coApplicant.invite_sent_at || null,
+    inviteExpiresAt: coApplicant.invite_expires_at || null,
+    createdAt: coApplicant.created_at || null,
+    updatedAt: coApplicant.updated_at || null
+  };
+}
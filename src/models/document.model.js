@@ -0,0 +1,81 @@
+/**
+ * KYC document types, review statuses and response formatting
+ */
+
+const MB = 1024 * 1024;
+
+/**
+ * Accepted document types with their allowed MIME types and size limits
+ * (keys mirror the CHECK constraint in migration 014)
+ */
+export const DOCUMENT_TYPES = {
+  pan: {
+    label: 'PAN card',
+    mimeTypes: ['application/pdf', 'image/jpeg', 'image/png'],
+    maxSizeBytes: 2 * MB
+  },
+  aadhaar: {
+    label: 'Aadhaar card',
+    mimeTypes: ['application/pdf', 'image/jpeg', 'image/png'],
+    maxSizeBytes: 2 * MB
+  },
+  bank_statement: {
+    label: 'Bank statement',
+    mimeTypes: ['application/pdf'],
+    maxSizeBytes: 5 * MB
+  },
+  salary_slip: {
+    label: 'Salary slip',
+    mimeTypes: ['application/pdf', 'image/jpeg', 'image/png'],
+    maxSizeBytes: 2 * MB
+  }
+};
+
+// Largest upload accepted for any document type (request body limit)
+export const MAX_DOCUMENT_SIZE_BYTES = Math.max(...Object.values(DOCUMENT_TYPES).map((type) => type.maxSizeBytes));
+
+export const DOCUMENT_STATUSES = ['pending', 'approved', 'rejected'];
+
+/**
+ * Columns selected/returned for a document
+ */
+export const DOCUMENT_COLUMNS = `
+  id,
+  user_id,
+  document_type,
+  file_name,
+  mime_type,
+  size_bytes,
+  checksum,
+  storage_provider,
+  storage_key,
+  status,
+  review_notes,
+  reviewed_by,
+  reviewed_at,
+  created_at,
+  updated_at
+`;
+
+/**
+ * Build the API representation of a documents row (storage details are internal)
+ * @param {Object} document - Row from the documents table
+ * @returns {Object} Document metadata
+ */
+export function formatDocument(document) {
+  return {
+    id: document.id,
+    userId: document.user_id,
+    documentType: document.document_type,
+    fileName: document.file_name,
+    mimeType: document.mime_type,
+    sizeBytes: document.size_bytes,
+    checksum: document.checksum,
+    status: document.status,
+    reviewNotes: document.review_notes || null,
+    reviewedBy: document.reviewed_by || null,
+    reviewedAt: document.reviewed_at || null,
+    createdAt: document.created_at || null,
+    updatedAt: document.updated_at || null
+  };
+}
@@ -0,0 +1,55 @@
+/**
+ * Employment and income details columns and response formatting
+ */
+
+// Allowed values (mirror the CHECK constraint in migration 012)
+export const EMPLOYMENT_TYPES = ['Salaried', 'Self-Employed'];
+
+/**
+ * Columns selected/returned for employment details
+ */
+export const EMPLOYMENT_COLUMNS = `
+  employment_type,
+  employer_name,
+  designation,
+  business_name,
+  nature_of_business,
+  monthly_net_income,
+  annual_business_turnover,
+  years_in_current_job,
+  total_experience_years,
+  existing_emi_amount,
+  other_monthly_obligations,
+  created_at,
+  updated_at
+`;
+
+/**
+ * Convert a NUMERIC column (returned as a string by pg) to a number
+ * @param {string|null} value - Column value
+ * @returns {number|null} Parsed number
+ */
+const toNumber = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+/**
+ * Build the API representation of an employment_details row
+ * @param {Object} employment - Row from the employment_details table
+ * @returns {Object} Employment details
+ */
+export function formatEmployment(employment) {
+  return {
+    employmentType: employment.employment_type,
+    employerName: employment.employer_name || null,
+    designation: employment.designation || null,
+    businessName: employment.business_name || null,
+    natureOfBusiness: employment.nature_of_business || null,
+    monthlyNetIncome: toNumber(employment.monthly_net_income),
+    annualBusinessTurnover: toNumber(employment.annual_business_turnover),
+    yearsInCurrentJob: employment.years_in_current_job ?? null,
+    totalExperienceYears: employment.total_experience_years ?? null,
+    existingEmiAmount: toNumber(employment.existing_emi_amount) ?? 0,
+    otherMonthlyObligations: toNumber(employment.other_monthly_obligations) ?? 0,
+    createdAt: employment.created_at || null,
+    updatedAt: employment.updated_at || null
+  };
+}
@@ -0,0 +1,75 @@
+/**
+ * Savings goal categories, columns and response formatting
+ */
+
+// Allowed values (mirror the CHECK constraint in migration 013)
+export const GOAL_CATEGORIES = [
+  'home_down_payment',
+  'education',
+  'retirement',
+  'vehicle',
+  'wedding',
+  'emergency_fund',
+  'travel',
+  'other'
+];
+
+// Loan product that can close the gap for each goal category (null: not loan-fundable)
+export const GOAL_LOAN_PRODUCTS = {
+  home_down_payment: 'home',
+  education: 'education',
+  retirement: null,
+  vehicle: 'vehicle',
+  wedding: 'personal',
+  emergency_fund: null,
+  travel: 'personal',
+  other: 'personal'
+};
+
+/**
+ * Columns selected/returned for a goal
+ */
+export const GOAL_COLUMNS = `
+  id,
+  user_id,
+  name,
+  category,
+  target_amount,
+  target_date,
+  current_savings,
+  monthly_contribution,
+  expected_return,
+  inflation_rate,
+  notes,
+  created_at,
+  updated_at
+`;
+
+/**
+ * Convert a NUMERIC column (returned as a string by pg) to a number
+ * @param {string|null} value - Column value
+ * @returns {number|null} Parsed number
+ */
+const toNumber = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+/**
+ * Build the API representation of a goals row
+ * @param {Object} goal - Row from the goals table
+ * @returns {Object} Goal
+ */
+export function formatGoal(goal) {
+  return {
+    id: goal.id,
+    name: goal.name,
+    category: goal.category,
+    targetAmount: toNumber(goal.target_amount),
+    targetDate: goal.target_date,
+    currentSavings: toNumber(goal.current_savings),
+    monthlyContribution: toNumber(goal.monthly_contribution),
+    expectedReturn: toNumber(goal.expected_return),
+    inflationRate: toNumber(goal.inflation_rate),
+    notes: goal.notes || null,
+    createdAt: goal.created_at || null,
+    updatedAt: goal.updated_at || null
+  };
+}
@@ -3,3 +3,43 @@
 // Example queries can be added in controllers or separate query files
 
 export { query, getClient } from '../config/database.js';
+export {
+  ROLES,
+  GENDERS,
+  MARITAL_STATUSES,
+  RESIDENTIAL_STATUSES,
+  USER_PROFILE_COLUMNS,
+  formatUserProfile
+} from './user.model.js';
+export { AUDIT_EVENT_TYPES, formatAuditEntry } from './audit.model.js';
+export {
+  LOAN_PRODUCTS,
+  APPLICATION_STATUSES,
+  APPLICATION_TRANSITIONS,
+  APPLICATION_COLUMNS,
+  formatApplication,
+  formatTransition
+} from './application.model.js';
+export { EMPLOYMENT_TYPES, EMPLOYMENT_COLUMNS, formatEmployment } from './employment.model.js';
+export { GOAL_CATEGORIES, GOAL_LOAN_PRODUCTS, GOAL_COLUMNS, formatGoal } from './goal.model.js';
+export {
+  DOCUMENT_TYPES,
+  DOCUMENT_STATUSES,
+  DOCUMENT_COLUMNS,
+  formatDocument
+} from './document.model.js';
+export {
+  CO_APPLICANT_ROLES,
+  CO_APPLICANT_RELATIONSHIPS,
+  CONSENT_STATUSES,
+  MAX_CO_APPLICANTS,
+  CO_APPLICANT_COLUMNS,
+  formatCoApplicant
+} from './co-applicant.model.js';
+export {
+  DELETION_STATUSES,
+  DELETION_OUTCOMES,
+  RETAINED_APPLICATION_STATUSES,
+  ACCOUNT_DELETION_COLUMNS,
+  formatDeletionRequest
+} from './account-deletion.model.js';
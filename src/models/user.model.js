@@ -0,0 +1,84 @@
+/**
+ * User profile columns and response formatting
+ * Shared by the profile and admin controllers
+ */
+
+// Allowed values (mirror the CHECK constraints in migrations 003 and 009)
+export const ROLES = ['applicant', 'underwriter', 'admin'];
+export const GENDERS = ['Male', 'Female', 'Other'];
+export const MARITAL_STATUSES = ['Single', 'Married', 'Divorced', 'Widowed'];
+export const RESIDENTIAL_STATUSES = ['Owned', 'Rental', 'Parental'];
+
+/**
+ * Columns selected/returned for a user profile
+ */
+export const USER_PROFILE_COLUMNS = `
+  id,
+  mobile_number,
+  first_name,
+  last_name,
+  date_of_birth,
+  gender,
+  marital_status,
+  father_name,
+  mother_name,
+  email,
+  address,
+  city,
+  state,
+  country,
+  zipcode,
+  residential_status,
+  duration_of_stay_years,
+  duration_of_stay_months,
+  number_of_dependents,
+  educational_qualification,
+  avatar,
+  role,
+  is_active,
+  is_verified,
+  email_verified_at,
+  created_by,
+  created_at,
+  updated_by,
+  updated_at
+`;
+
+/**
+ * Build the API representation of a user row (including null values)
+ * @param {Object} user - Row from the users table
+ * @returns {Object} User profile
+ */
+export function formatUserProfile(user) {
+  return {
+    id: user.id,
+    mobileNumber: user.mobile_number,
+    firstName: user.first_name || null,
+    lastName: user.last_name || null,
+    dateOfBirth: user.date_of_birth || null,
+    gender: user.gender || null,
+    maritalStatus: user.marital_status || null,
+    fatherName: user.father_name || null,
+    motherName: user.mother_name || null,
+    email: user.email || null,
+    address: user.address || null,
+    city: user.city || null,
+    state: user.state || null,
+    country: user.country || null,
+    zipcode: user.zipcode || null,
+    residentialStatus: user.residential_status || null,
+    durationOfStayYears: user.duration_of_stay_years ?? null,
+    durationOfStayMonths: user.duration_of_stay_months ?? null,
+    numberOfDependents: user.number_of_dependents ?? null,
+    educationalQualification: user.educational_qualification || null,
+    avatar: user.avatar || null,
+    role: user.role || 'applicant',
+    isActive: user.is_active ?? true,
+    isVerified: user.is_verified ?? false,
+    emailVerifiedAt: user.email_verified_at || null,
+    createdBy: user.created_by || null,
+    createdAt: user.created_at || null,
+    updatedBy: user.updated_by || null,
+    updatedAt: user.updated_at || null
+  };
+}
@@ -0,0 +1,29 @@
+import dotenv from 'dotenv';
+import { closeDB } from './config/database.js';
+import { processDueDeletions } from './utils/account-deletion.js';
+
+// Load environment variables from .env file
+dotenv.config();
+
+/**
+ * Account deletion CLI
+ * Erases accounts whose deletion grace period has passed (the same work the
+ * scheduled DeletionJobFunction in deletion-handler.js does on Lambda)
+ * Usage:
+ *   node src/process-deletions.js
+ */
+async function main() {
+  const { deleted, anonymised, failed } = await processDueDeletions();
+  console.log(`✅ Deleted ${deleted}, anonymised ${anonymised} account(s)`);
+
+  if (failed > 0) {
+    throw new Error(`${failed} deletion request(s) failed and will be retried on the next run`);
+  }
+}
+
+main()
+  .catch((error) => {
+    console.error('❌ Account deletion failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => closeDB());
@@ -0,0 +1,48 @@
+import express from 'express';
+import { authenticate, authorize } from '../middleware/auth.middleware.js';
+import { validate } from '../middleware/validate.middleware.js';
+import { listUsersQuerySchema, userStatusSchema, userRoleSchema } from '../schemas/admin.schema.js';
+import { auditHistoryQuerySchema } from '../schemas/audit.schema.js';
+import { listUsers, getUser, getUserHistory, setUserStatus, setUserRole } from '../controllers/admin.controller.js';
+
+const router = express.Router();
+
+// All admin routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/admin/users
+ * @desc    List and search users
+ * @access  Private (Underwriters and admins)
+ */
+router.get('/users', authorize('underwriter', 'admin'), validate(listUsersQuerySchema, 'query'), listUsers);
+
+/**
+ * @route   GET /api/admin/users/:id
+ * @desc    Get a user's profile
+ * @access  Private (Underwriters and admins)
+ */
+router.get('/users/:id', authorize('underwriter', 'admin'), getUser);
+
+/**
+ * @route   GET /api/admin/users/:id/history
+ * @desc    Get a user's audit history
+ * @access  Private (Underwriters and admins)
+ */
+router.get('/users/:id/history', authorize('underwriter', 'admin'), validate(auditHistoryQuerySchema, 'query'), getUserHistory);
+
+/**
+ * @route   PATCH /api/admin/users/:id/status
+ * @desc    Activate or deactivate a user
+ * @access  Private (Admins only)
+ */
+router.patch('/users/:id/status', authorize('admin'), validate(userStatusSchema), setUserStatus);
+
+/**
+ * @route   PATCH /api/admin/users/:id/role
+ * @desc    Change a user's role
+ * @access  Private (Admins only)
+ */
+router.patch('/users/:id/role', authorize('admin'), validate(userRoleSchema), setUserRole);
+
+export default router;
@@ -0,0 +1,58 @@
+import express from 'express';
+import { authenticate } from '../middleware/auth.middleware.js';
+import { validate } from '../middleware/validate.middleware.js';
+import {
+  createApplicationSchema,
+  updateApplicationSchema,
+  applicationTransitionSchema,
+  listApplicationsQuerySchema
+} from '../schemas/application.schema.js';
+import {
+  createApplication,
+  listApplications,
+  getApplication,
+  updateApplication,
+  transitionApplication
+} from '../controllers/application.controller.js';
+
+const router = express.Router();
+
+// All application routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   POST /api/applications
+ * @desc    Create a draft loan application
+ * @access  Private (Authenticated users only)
+ */
+router.post('/', validate(createApplicationSchema), createApplication);
+
+/**
+ * @route   GET /api/applications
+ * @desc    List loan applications (own applications, or all for underwriters/admins)
+ * @access  Private (Authenticated users only)
+ */
+router.get('/', validate(listApplicationsQuerySchema, 'query'), listApplications);
+
+/**
+ * @route   GET /api/applications/:id
+ * @desc    Get a loan application with its status history
+ * @access  Private (Owner, underwriters and admins)
+ */
+router.get('/:id', getApplication);
+
+/**
+ * @route   PUT /api/applications/:id
+ * @desc    Update a draft loan application
+ * @access  Private (Owner only)
+ */
+router.put('/:id', validate(updateApplicationSchema), updateApplication);
+
+/**
+ * @route   POST /api/applications/:id/transitions
+ * @desc    Move a loan application to a new status
+ * @access  Private (Owner for submission, underwriters/admins for review decisions)
+ */
+router.post('/:id/transitions', validate(applicationTransitionSchema), transitionApplication);
+
+export default router;
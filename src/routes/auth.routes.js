@@ -1,5 +1,9 @@
 import express from 'express';
-import { sendOtp, verifyOtp } from '../controllers/auth.controller.js';
+import { authenticate } from '../middleware/auth.middleware.js';
+import { validate } from '../middleware/validate.middleware.js';
+import { sendOtpSchema, verifyOtpSchema, refreshSessionSchema } from '../schemas/auth.schema.js';
+import { sendOtp, verifyOtp, refreshSession, logout } from '../controllers/auth.controller.js';
+import { listSessions, revokeSession, revokeOtherSessions } from '../controllers/session.controller.js';
 
 const router = express.Router();
 
@@ -8,14 +12,48 @@ const router = express.Router();
  * @desc    Send OTP to mobile number
  * @access  Public
  */
-router.post('/send-otp', sendOtp);
+router.post('/send-otp', validate(sendOtpSchema), sendOtp);
 
 /**
  * @route   POST /api/auth/verify-otp
  * @desc    Verify OTP and create session
  * @access  Public
  */
-router.post('/verify-otp', verifyOtp);
+router.post('/verify-otp', validate(verifyOtpSchema), verifyOtp);
 
-export default router;
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Rotate refresh token and issue a new access token
+ * @access  Public (requires a valid refresh token)
+ */
+router.post('/refresh', validate(refreshSessionSchema), refreshSession);
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Revoke the current session
+ * @access  Private (Authenticated users only)
+ */
+router.post('/logout', authenticate, logout);
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List active sessions (logged-in devices)
+ * @access  Private (Authenticated users only)
+ */
+router.get('/sessions', authenticate, listSessions);
+
+/**
+ * @route   DELETE /api/auth/sessions
+ * @desc    Sign out everywhere else (all sessions except the current one)
+ * @access  Private (Authenticated users only)
+ */
+router.delete('/sessions', authenticate, revokeOtherSessions);
 
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Sign out a specific session
+ * @access  Private (Authenticated users only)
+ */
+router.delete('/sessions/:id', authenticate, revokeSession);
+
+export default router;
@@ -0,0 +1,73 @@
+import express from 'express';
+import { authenticate } from '../middleware/auth.middleware.js';
+import { validate } from '../middleware/validate.middleware.js';
+import {
+  createCoApplicantSchema,
+  updateCoApplicantSchema,
+  respondCoApplicantInviteSchema
+} from '../schemas/co-applicant.schema.js';
+import {
+  addCoApplicant,
+  listCoApplicants,
+  getCoApplicant,
+  updateCoApplicant,
+  removeCoApplicant,
+  resendCoApplicantInvite,
+  respondToCoApplicantInvite
+} from '../controllers/co-applicant.controller.js';
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/co-applicants/:id/respond
+ * @desc    Confirm or decline an invite with the OTP sent to the co-applicant
+ * @access  Public (invite OTP)
+ */
+router.post('/:id/respond', validate(respondCoApplicantInviteSchema), respondToCoApplicantInvite);
+
+// All other co-applicant routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   POST /api/co-applicants
+ * @desc    Add a co-applicant or guarantor and send them an invite
+ * @access  Private (Authenticated users only)
+ */
+router.post('/', validate(createCoApplicantSchema), addCoApplicant);
+
+/**
+ * @route   GET /api/co-applicants
+ * @desc    List co-applicants and guarantors
+ * @access  Private (Authenticated users only)
+ */
+router.get('/', listCoApplicants);
+
+/**
+ * @route   GET /api/co-applicants/:id
+ * @desc    Get a co-applicant
+ * @access  Private (Authenticated users only)
+ */
+router.get('/:id', getCoApplicant);
+
+/**
+ * @route   PUT /api/co-applicants/:id
+ * @desc    Update a co-applicant (consent must be collected again)
+ * @access  Private (Authenticated users only)
+ */
+router.put('/:id', validate(updateCoApplicantSchema), updateCoApplicant);
+
+/**
+ * @route   DELETE /api/co-applicants/:id
+ * @desc    Remove a co-applicant
+ * @access  Private (Authenticated users only)
+ */
+router.delete('/:id', removeCoApplicant);
+
+/**
+ * @route   POST /api/co-applicants/:id/invite
+ * @desc    Resend the invite OTP
+ * @access  Private (Authenticated users only)
+ */
+router.post('/:id/invite', resendCoApplicantInvite);
+
+export default router;
@@ -0,0 +1,79 @@
+import express from 'express';
+import { authenticate, authorize } from '../middleware/auth.middleware.js';
+import { validate } from '../middleware/validate.middleware.js';
+import { MAX_DOCUMENT_SIZE_BYTES } from '../models/document.model.js';
+import {
+  uploadDocumentQuerySchema,
+  listDocumentsQuerySchema,
+  reviewDocumentSchema
+} from '../schemas/document.schema.js';
+import {
+  uploadDocument,
+  listDocuments,
+  getDocument,
+  getDocumentDownloadUrl,
+  reviewDocument,
+  deleteDocument,
+  downloadLocalFile
+} from '../controllers/document.controller.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/documents/files
+ * @desc    Download a file from local storage through a signed URL (development only)
+ * @access  Public (signed URL)
+ */
+router.get('/files', downloadLocalFile);
+
+// All other document routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   POST /api/documents
+ * @desc    Upload a KYC or income document (raw file body)
+ * @access  Private (Authenticated users only)
+ */
+router.post(
+  '/',
+  validate(uploadDocumentQuerySchema, 'query'),
+  express.raw({ type: () => true, limit: MAX_DOCUMENT_SIZE_BYTES }),
+  uploadDocument
+);
+
+/**
+ * @route   GET /api/documents
+ * @desc    List documents (own documents, or all for underwriters/admins)
+ * @access  Private (Authenticated users only)
+ */
+router.get('/', validate(listDocumentsQuerySchema, 'query'), listDocuments);
+
+/**
+ * @route   GET /api/documents/:id
+ * @desc    Get document metadata and review status
+ * @access  Private (Owner, underwriters and admins)
+ */
+router.get('/:id', getDocument);
+
+/**
+ * @route   GET /api/documents/:id/download
+ * @desc    Get a short-lived signed download URL
+ * @access  Private (Owner, underwriters and admins)
+ */
+router.get('/:id/download', getDocumentDownloadUrl);
+
+/**
+ * @route   POST /api/documents/:id/review
+ * @desc    Approve or reject a pending document
+ * @access  Private (Underwriters and admins)
+ */
+router.post('/:id/review', authorize('underwriter', 'admin'), validate(reviewDocumentSchema), reviewDocument);
+
+/**
+ * @route   DELETE /api/documents/:id
+ * @desc    Delete a document that has not been approved
+ * @access  Private (Owner only)
+ */
+router.delete('/:id', deleteDocument);
+
+export default router;
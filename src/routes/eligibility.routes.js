@@ -0,0 +1,23 @@
+import express from 'express';
+import { authenticate } from '../middleware/auth.middleware.js';
+import { validate } from '../middleware/validate.middleware.js';
+import { eligibilitySchema } from '../schemas/eligibility.schema.js';
+import { checkEligibility, listEligibilityRules } from '../controllers/eligibility.controller.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/eligibility/rules
+ * @desc    List the eligibility rule sets for every loan product
+ * @access  Public
+ */
+router.get('/rules', listEligibilityRules);
+
+/**
+ * @route   POST /api/eligibility
+ * @desc    Check loan eligibility (maximum amount and tenure) for the current user
+ * @access  Private (Authenticated users only)
+ */
+router.post('/', authenticate, validate(eligibilitySchema), checkEligibility);
+
+export default router;
@@ -0,0 +1,47 @@
+import express from 'express';
+import { authenticate } from '../middleware/auth.middleware.js';
+import { validate } from '../middleware/validate.middleware.js';
+import { createGoalSchema, updateGoalSchema } from '../schemas/goal.schema.js';
+import { createGoal, listGoals, getGoal, updateGoal, deleteGoal } from '../controllers/goal.controller.js';
+
+const router = express.Router();
+
+// All goal routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   POST /api/goals
+ * @desc    Create a savings goal
+ * @access  Private (Authenticated users only)
+ */
+router.post('/', validate(createGoalSchema), createGoal);
+
+/**
+ * @route   GET /api/goals
+ * @desc    List the current user's goals with their plans
+ * @access  Private (Authenticated users only)
+ */
+router.get('/', listGoals);
+
+/**
+ * @route   GET /api/goals/:id
+ * @desc    Get a goal with its plan (required contribution, progress, loan gap)
+ * @access  Private (Owner only)
+ */
+router.get('/:id', getGoal);
+
+/**
+ * @route   PUT /api/goals/:id
+ * @desc    Update a goal
+ * @access  Private (Owner only)
+ */
+router.put('/:id', validate(updateGoalSchema), updateGoal);
+
+/**
+ * @route   DELETE /api/goals/:id
+ * @desc    Delete a goal
+ * @access  Private (Owner only)
+ */
+router.delete('/:id', deleteGoal);
+
+export default router;
@@ -1,6 +1,14 @@
 import express from 'express';
 import authRoutes from './auth.routes.js';
 import profileRoutes from './profile.routes.js';
+import adminRoutes from './admin.routes.js';
+import schemaRoutes from './schema.routes.js';
+import applicationRoutes from './application.routes.js';
+import projectionRoutes from './projection.routes.js';
+import eligibilityRoutes from './eligibility.routes.js';
+import goalRoutes from './goal.routes.js';
+import documentRoutes from './document.routes.js';
+import coApplicantRoutes from './co-applicant.routes.js';
 
 const router = express.Router();
 
@@ -11,7 +19,15 @@ router.get('/', (req, res) => {
     version: '1.0.0',
     endpoints: {
       auth: '/api/auth',
-      profile: '/api/profile'
+      profile: '/api/profile',
+      applications: '/api/applications',
+      projections: '/api/projections',
+      eligibility: '/api/eligibility',
+      goals: '/api/goals',
+      documents: '/api/documents',
+      coApplicants: '/api/co-applicants',
+      admin: '/api/admin',
+      schemas: '/api/schemas'
     }
   });
 });
@@ -19,6 +35,14 @@ router.get('/', (req, res) => {
 // Route handlers
 router.use('/auth', authRoutes);
 router.use('/profile', profileRoutes);
+router.use('/applications', applicationRoutes);
+router.use('/projections', projectionRoutes);
+router.use('/eligibility', eligibilityRoutes);
+router.use('/goals', goalRoutes);
+router.use('/documents', documentRoutes);
+router.use('/co-applicants', coApplicantRoutes);
+router.use('/admin', adminRoutes);
+router.use('/schemas', schemaRoutes);
 
 export default router;
 
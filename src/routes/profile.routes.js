@@ -1,6 +1,33 @@
 import express from 'express';
 import { authenticate } from '../middleware/auth.middleware.js';
-import { saveProfile, getProfile } from '../controllers/profile.controller.js';
+import { validate } from '../middleware/validate.middleware.js';
+import {
+  profileSchema,
+  profileCompletenessQuerySchema,
+  verifyEmailSchema,
+  requestMobileChangeSchema,
+  confirmMobileChangeSchema,
+  dataExportQuerySchema,
+  accountDeletionSchema
+} from '../schemas/profile.schema.js';
+import { auditHistoryQuerySchema } from '../schemas/audit.schema.js';
+import { employmentSchema } from '../schemas/employment.schema.js';
+import {
+  saveProfile,
+  getProfile,
+  getProfileCompleteness,
+  sendEmailVerificationCode,
+  verifyEmail,
+  getProfileHistory
+} from '../controllers/profile.controller.js';
+import { getEmployment, saveEmployment } from '../controllers/employment.controller.js';
+import { requestMobileChange, confirmMobileChange } from '../controllers/mobile.controller.js';
+import {
+  exportPersonalData,
+  requestAccountDeletion,
+  getAccountDeletion,
+  cancelAccountDeletion
+} from '../controllers/privacy.controller.js';
 
 const router = express.Router();
 
@@ -19,7 +46,91 @@ router.get('/', getProfile);
  * @desc    Save or update user profile
  * @access  Private (Authenticated users only)
  */
-router.put('/', saveProfile);
+router.put('/', validate(profileSchema), saveProfile);
+
+/**
+ * @route   GET /api/profile/completeness
+ * @desc    Get profile completeness with missing and invalid fields
+ * @access  Private (Authenticated users only)
+ */
+router.get('/completeness', validate(profileCompletenessQuerySchema, 'query'), getProfileCompleteness);
+
+/**
+ * @route   POST /api/profile/email/send-verification
+ * @desc    Send a verification code to the profile email
+ * @access  Private (Authenticated users only)
+ */
+router.post('/email/send-verification', sendEmailVerificationCode);
+
+/**
+ * @route   POST /api/profile/email/verify
+ * @desc    Verify the profile email with the emailed code
+ * @access  Private (Authenticated users only)
+ */
+router.post('/email/verify', validate(verifyEmailSchema), verifyEmail);
+
+/**
+ * @route   POST /api/profile/mobile/change
+ * @desc    Start changing the registered mobile number (sends OTPs)
+ * @access  Private (Authenticated users only)
+ */
+router.post('/mobile/change', validate(requestMobileChangeSchema), requestMobileChange);
+
+/**
+ * @route   POST /api/profile/mobile/verify
+ * @desc    Confirm the mobile number change and sign out everywhere
+ * @access  Private (Authenticated users only)
+ */
+router.post('/mobile/verify', validate(confirmMobileChangeSchema), confirmMobileChange);
+
+/**
+ * @route   GET /api/profile/history
+ * @desc    Get profile change history and account events
+ * @access  Private (Authenticated users only)
+ */
+router.get('/history', validate(auditHistoryQuerySchema, 'query'), getProfileHistory);
+
+/**
+ * @route   GET /api/profile/export
+ * @desc    Export all personal data (JSON, or a download URL for a ZIP with document files)
+ * @access  Private (Authenticated users only)
+ */
+router.get('/export', validate(dataExportQuerySchema, 'query'), exportPersonalData);
+
+/**
+ * @route   POST /api/profile/deletion
+ * @desc    Request account deletion after a grace period
+ * @access  Private (Authenticated users only)
+ */
+router.post('/deletion', validate(accountDeletionSchema), requestAccountDeletion);
+
+/**
+ * @route   GET /api/profile/deletion
+ * @desc    Get the pending account deletion request
+ * @access  Private (Authenticated users only)
+ */
+router.get('/deletion', getAccountDeletion);
+
+/**
+ * @route   DELETE /api/profile/deletion
+ * @desc    Cancel the pending account deletion request
+ * @access  Private (Authenticated users only)
+ */
+router.delete('/deletion', cancelAccountDeletion);
+
+/**
+ * @route   GET /api/profile/employment
+ * @desc    Get employment and income details
+ * @access  Private (Authenticated users only)
+ */
+router.get('/employment', getEmployment);
+
+/**
+ * @route   PUT /api/profile/employment
+ * @desc    Save employment and income details
+ * @access  Private (Authenticated users only)
+ */
+router.put('/employment', validate(employmentSchema), saveEmployment);
 
 export default router;
 
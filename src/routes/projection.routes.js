@@ -0,0 +1,64 @@
+import express from 'express';
+import { validate } from '../middleware/validate.middleware.js';
+import {
+  emiSchema,
+  prepaymentSchema,
+  investmentSchema,
+  compareOffersSchema,
+  taxProjectionSchema,
+  exportFormatQuerySchema
+} from '../schemas/projection.schema.js';
+import {
+  calculateEmi,
+  simulatePrepayment,
+  calculateInvestmentProjection,
+  compareOffers,
+  calculateTaxProjection,
+  listTaxRules
+} from '../controllers/projection.controller.js';
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/projections/emi
+ * @desc    Calculate EMI, total interest and amortization schedule (JSON or CSV)
+ * @access  Public
+ */
+router.post('/emi', validate(exportFormatQuerySchema, 'query'), validate(emiSchema), calculateEmi);
+
+/**
+ * @route   POST /api/projections/prepayment
+ * @desc    Simulate part-prepayments and foreclosure against the baseline schedule (JSON or CSV)
+ * @access  Public
+ */
+router.post('/prepayment', validate(exportFormatQuerySchema, 'query'), validate(prepaymentSchema), simulatePrepayment);
+
+/**
+ * @route   POST /api/projections/investment
+ * @desc    Project SIP, lump sum and step-up SIP growth with inflation and return bands (JSON or CSV)
+ * @access  Public
+ */
+router.post('/investment', validate(exportFormatQuerySchema, 'query'), validate(investmentSchema), calculateInvestmentProjection);
+
+/**
+ * @route   POST /api/projections/offers/compare
+ * @desc    Compare loan offers by APR, total interest and total payable
+ * @access  Public
+ */
+router.post('/offers/compare', validate(compareOffersSchema), compareOffers);
+
+/**
+ * @route   POST /api/projections/tax
+ * @desc    Project yearly tax under the old and new regimes with home loan deductions
+ * @access  Public
+ */
+router.post('/tax', validate(taxProjectionSchema), calculateTaxProjection);
+
+/**
+ * @route   GET /api/projections/tax/rules
+ * @desc    List the versioned tax slab tables and deduction limits
+ * @access  Public
+ */
+router.get('/tax/rules', listTaxRules);
+
+export default router;
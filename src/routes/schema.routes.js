@@ -0,0 +1,20 @@
+import express from 'express';
+import { listSchemas, getSchema } from '../controllers/schema.controller.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/schemas
+ * @desc    List available request schemas
+ * @access  Public
+ */
+router.get('/', listSchemas);
+
+/**
+ * @route   GET /api/schemas/:name
+ * @desc    Get a request schema as JSON Schema
+ * @access  Public
+ */
+router.get('/:name', getSchema);
+
+export default router;
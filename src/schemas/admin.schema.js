@@ -0,0 +1,23 @@
+/**
+ * Validation schemas for admin endpoints
+ */
+
+import { ROLES, GENDERS, MARITAL_STATUSES } from '../models/user.model.js';
+
+export const listUsersQuerySchema = {
+  search: { type: 'string', maxLength: 255 },
+  isActive: { type: 'boolean' },
+  gender: { type: 'string', enum: GENDERS },
+  maritalStatus: { type: 'string', enum: MARITAL_STATUSES },
+  role: { type: 'string', enum: ROLES },
+  page: { type: 'integer', min: 1, default: 1 },
+  limit: { type: 'integer', min: 1, max: 100, default: 20 }
+};
+
+export const userStatusSchema = {
+  isActive: { type: 'boolean', required: true }
+};
+
+export const userRoleSchema = {
+  role: { type: 'string', required: true, enum: ROLES }
+};
@@ -0,0 +1,31 @@
+/**
+ * Validation schemas for loan application endpoints
+ */
+
+import { LOAN_PRODUCTS, APPLICATION_STATUSES } from '../models/application.model.js';
+
+export const createApplicationSchema = {
+  loanProduct: { type: 'string', required: true, enum: LOAN_PRODUCTS },
+  amount: { type: 'number', required: true, min: 1000, max: 100000000 },
+  tenureMonths: { type: 'integer', required: true, min: 3, max: 360 },
+  purpose: { type: 'string', maxLength: 1000 }
+};
+
+export const updateApplicationSchema = {
+  loanProduct: { type: 'string', enum: LOAN_PRODUCTS, nullable: false },
+  amount: { type: 'number', min: 1000, max: 100000000, nullable: false },
+  tenureMonths: { type: 'integer', min: 3, max: 360, nullable: false },
+  purpose: { type: 'string', maxLength: 1000 }
+};
+
+export const applicationTransitionSchema = {
+  status: { type: 'string', required: true, enum: APPLICATION_STATUSES },
+  reason: { type: 'string', maxLength: 1000 }
+};
+
+export const listApplicationsQuerySchema = {
+  status: { type: 'string', enum: APPLICATION_STATUSES },
+  userId: { type: 'integer', min: 1 },
+  page: { type: 'integer', min: 1, default: 1 },
+  limit: { type: 'integer', min: 1, max: 100, default: 20 }
+};
@@ -0,0 +1,11 @@
+/**
+ * Validation schemas for audit history endpoints
+ */
+
+import { AUDIT_EVENT_TYPES } from '../models/audit.model.js';
+
+export const auditHistoryQuerySchema = {
+  eventType: { type: 'string', enum: AUDIT_EVENT_TYPES },
+  page: { type: 'integer', min: 1, default: 1 },
+  limit: { type: 'integer', min: 1, max: 100, default: 20 }
+};
@@ -0,0 +1,33 @@
+/**
+ * Validation schemas for auth endpoints
+ */
+
+import { getOTPLength } from '../utils/otp.js';
+
+// E.164-style mobile number (format: +919876543210 or 9876543210)
+export const MOBILE_NUMBER_RULE = {
+  type: 'string',
+  required: true,
+  pattern: /^\+?[1-9]\d{1,14}$/,
+  message: 'Invalid mobile number format'
+};
+
+export const sendOtpSchema = {
+  mobileNumber: MOBILE_NUMBER_RULE
+};
+
+export const verifyOtpSchema = {
+  mobileNumber: MOBILE_NUMBER_RULE,
+  otp: {
+    type: 'string',
+    required: true,
+    pattern: new RegExp(`^\\d{${getOTPLength()}}$`),
+    message: `Invalid OTP format. OTP must be ${getOTPLength()} digits`
+  },
+  deviceName: { type: 'string', maxLength: 255 },
+  platform: { type: 'string', maxLength: 50 }
+};
+
+export const refreshSessionSchema = {
+  refreshToken: { type: 'string', required: true }
+};
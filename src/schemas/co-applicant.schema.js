@@ -0,0 +1,42 @@
+/**
+ * Validation schemas for co-applicant and guarantor endpoints
+ */
+
+import { GENDERS } from '../models/user.model.js';
+import { EMPLOYMENT_TYPES } from '../models/employment.model.js';
+import { CO_APPLICANT_ROLES, CO_APPLICANT_RELATIONSHIPS } from '../models/co-applicant.model.js';
+import { MOBILE_NUMBER_RULE, verifyOtpSchema } from './auth.schema.js';
+
+export const createCoApplicantSchema = {
+  role: { type: 'string', required: true, enum: CO_APPLICANT_ROLES },
+  relationship: { type: 'string', required: true, enum: CO_APPLICANT_RELATIONSHIPS },
+  firstName: { type: 'string', required: true, maxLength: 255 },
+  lastName: { type: 'string', required: true, maxLength: 255 },
+  dateOfBirth: { type: 'date' },
+  gender: { type: 'string', enum: GENDERS },
+  mobileNumber: { ...MOBILE_NUMBER_RULE, description: 'The invite OTP is sent to this number' },
+  email: { type: 'string', format: 'email', maxLength: 255 },
+  employmentType: { type: 'string', enum: EMPLOYMENT_TYPES },
+  monthlyNetIncome: { type: 'number', min: 0 },
+  existingEmiAmount: { type: 'number', min: 0, default: 0, nullable: false }
+};
+
+export const updateCoApplicantSchema = {
+  role: { type: 'string', enum: CO_APPLICANT_ROLES, nullable: false },
+  relationship: { type: 'string', enum: CO_APPLICANT_RELATIONSHIPS, nullable: false },
+  firstName: { type: 'string', maxLength: 255, nullable: false },
+  lastName: { type: 'string', maxLength: 255, nullable: false },
+  dateOfBirth: { type: 'date' },
+  gender: { type: 'string', enum: GENDERS },
+  mobileNumber: { ...MOBILE_NUMBER_RULE, required: false, nullable: false },
+  email: { type: 'string', format: 'email', maxLength: 255 },
+  employmentType: { type: 'string', enum: EMPLOYMENT_TYPES },
+  monthlyNetIncome: { type: 'number', min: 0 },
+  existingEmiAmount: { type: 'number', min: 0, nullable: false }
+};
+
+export const respondCoApplicantInviteSchema = {
+  mobileNumber: MOBILE_NUMBER_RULE,
+  otp: verifyOtpSchema.otp,
+  decision: { type: 'string', required: true, enum: ['confirm', 'decline'] }
+};
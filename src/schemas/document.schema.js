@@ -0,0 +1,23 @@
+/**
+ * Validation schemas for document endpoints
+ */
+
+import { DOCUMENT_TYPES, DOCUMENT_STATUSES } from '../models/document.model.js';
+
+export const uploadDocumentQuerySchema = {
+  documentType: { type: 'string', required: true, enum: Object.keys(DOCUMENT_TYPES) },
+  fileName: { type: 'string', maxLength: 255, description: 'Original file name (default: derived from the document type)' }
+};
+
+export const listDocumentsQuerySchema = {
+  documentType: { type: 'string', enum: Object.keys(DOCUMENT_TYPES) },
+  status: { type: 'string', enum: DOCUMENT_STATUSES },
+  userId: { type: 'integer', min: 1 },
+  page: { type: 'integer', min: 1, default: 1 },
+  limit: { type: 'integer', min: 1, max: 100, default: 20 }
+};
+
+export const reviewDocumentSchema = {
+  status: { type: 'string', required: true, enum: ['approved', 'rejected'] },
+  notes: { type: 'string', maxLength: 1000, description: 'Required when rejecting' }
+};
@@ -0,0 +1,16 @@
+/**
+ * Validation schemas for loan eligibility endpoints
+ */
+
+import { LOAN_PRODUCTS } from '../models/application.model.js';
+import { EMPLOYMENT_TYPES } from '../models/employment.model.js';
+
+export const eligibilitySchema = {
+  loanProduct: { type: 'string', required: true, enum: LOAN_PRODUCTS },
+  amount: { type: 'number', min: 1000, max: 100000000, description: 'Requested loan amount' },
+  tenureMonths: { type: 'integer', min: 3, max: 360, description: 'Requested tenure' },
+  employmentType: { type: 'string', enum: EMPLOYMENT_TYPES, description: 'Overrides saved employment details' },
+  monthlyNetIncome: { type: 'number', min: 0, description: 'Overrides saved employment details' },
+  existingEmiAmount: { type: 'number', min: 0, description: 'Overrides saved employment details' },
+  otherMonthlyObligations: { type: 'number', min: 0, description: 'Overrides saved employment details' }
+};
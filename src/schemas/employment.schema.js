@@ -0,0 +1,27 @@
+/**
+ * Validation schemas for employment and income endpoints
+ */
+
+import { EMPLOYMENT_TYPES } from '../models/employment.model.js';
+
+export const employmentSchema = {
+  employmentType: { type: 'string', required: true, enum: EMPLOYMENT_TYPES },
+  employerName: { type: 'string', maxLength: 255, description: 'Required for Salaried' },
+  designation: { type: 'string', maxLength: 255 },
+  businessName: { type: 'string', maxLength: 255, description: 'Required for Self-Employed' },
+  natureOfBusiness: { type: 'string', maxLength: 255 },
+  monthlyNetIncome: { type: 'number', required: true, min: 0 },
+  annualBusinessTurnover: { type: 'number', min: 0, description: 'Required for Self-Employed' },
+  yearsInCurrentJob: { type: 'integer', min: 0, max: 60 },
+  totalExperienceYears: { type: 'integer', min: 0, max: 60 },
+  existingEmiAmount: { type: 'number', min: 0, default: 0 },
+  otherMonthlyObligations: { type: 'number', min: 0, default: 0 }
+};
+
+/**
+ * Fields required for each employment type, checked after schema validation
+ */
+export const EMPLOYMENT_TYPE_REQUIRED_FIELDS = {
+  'Salaried': ['employerName'],
+  'Self-Employed': ['businessName', 'annualBusinessTurnover']
+};
@@ -0,0 +1,29 @@
+/**
+ * Validation schemas for goal endpoints
+ */
+
+import { GOAL_CATEGORIES } from '../models/goal.model.js';
+
+export const createGoalSchema = {
+  name: { type: 'string', required: true, maxLength: 255 },
+  category: { type: 'string', required: true, enum: GOAL_CATEGORIES },
+  targetAmount: { type: 'number', required: true, min: 1, max: 10000000000, description: "In today's rupees" },
+  targetDate: { type: 'date', required: true },
+  currentSavings: { type: 'number', min: 0, max: 10000000000, default: 0, nullable: false },
+  monthlyContribution: { type: 'number', min: 0, max: 100000000, description: 'Planned monthly saving, used to work out the loan gap' },
+  expectedReturn: { type: 'number', min: 0, max: 50, default: 10, nullable: false, description: 'Expected annual return in percent' },
+  inflationRate: { type: 'number', min: 0, max: 50, default: 6, nullable: false },
+  notes: { type: 'string', maxLength: 1000 }
+};
+
+export const updateGoalSchema = {
+  name: { type: 'string', maxLength: 255, nullable: false },
+  category: { type: 'string', enum: GOAL_CATEGORIES, nullable: false },
+  targetAmount: { type: 'number', min: 1, max: 10000000000, nullable: false },
+  targetDate: { type: 'date', nullable: false },
+  currentSavings: { type: 'number', min: 0, max: 10000000000, nullable: false },
+  monthlyContribution: { type: 'number', min: 0, max: 100000000 },
+  expectedReturn: { type: 'number', min: 0, max: 50, nullable: false },
+  inflationRate: { type: 'number', min: 0, max: 50, nullable: false },
+  notes: { type: 'string', maxLength: 1000 }
+};
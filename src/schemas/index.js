@@ -0,0 +1,80 @@
+/**
+ * Registry of validation schemas, exported as JSON Schema via /api/schemas
+ */
+
+import { sendOtpSchema, verifyOtpSchema, refreshSessionSchema } from './auth.schema.js';
+import {
+  profileSchema,
+  profileCompletenessQuerySchema,
+  verifyEmailSchema,
+  requestMobileChangeSchema,
+  confirmMobileChangeSchema,
+  dataExportQuerySchema,
+  accountDeletionSchema
+} from './profile.schema.js';
+import { listUsersQuerySchema, userStatusSchema, userRoleSchema } from './admin.schema.js';
+import { auditHistoryQuerySchema } from './audit.schema.js';
+import {
+  createApplicationSchema,
+  updateApplicationSchema,
+  applicationTransitionSchema,
+  listApplicationsQuerySchema
+} from './application.schema.js';
+import { employmentSchema } from './employment.schema.js';
+import { emiSchema, prepaymentSchema, investmentSchema, compareOffersSchema, taxProjectionSchema } from './projection.schema.js';
+import { eligibilitySchema } from './eligibility.schema.js';
+import { createGoalSchema, updateGoalSchema } from './goal.schema.js';
+import { uploadDocumentQuerySchema, listDocumentsQuerySchema, reviewDocumentSchema } from './document.schema.js';
+import {
+  createCoApplicantSchema,
+  updateCoApplicantSchema,
+  respondCoApplicantInviteSchema
+} from './co-applicant.schema.js';
+
+export const schemas = {
+  sendOtp: sendOtpSchema,
+  verifyOtp: verifyOtpSchema,
+  refreshSession: refreshSessionSchema,
+  profile: profileSchema,
+  profileCompletenessQuery: profileCompletenessQuerySchema,
+  verifyEmail: verifyEmailSchema,
+  requestMobileChange: requestMobileChangeSchema,
+  confirmMobileChange: confirmMobileChangeSchema,
+  dataExportQuery: dataExportQuerySchema,
+  accountDeletion: accountDeletionSchema,
+  listUsersQuery: listUsersQuerySchema,
+  userStatus: userStatusSchema,
+  userRole: userRoleSchema,
+  auditHistoryQuery: auditHistoryQuerySchema,
+  createApplication: createApplicationSchema,
+  updateApplication: updateApplicationSchema,
+  applicationTransition: applicationTransitionSchema,
+  listApplicationsQuery: listApplicationsQuerySchema,
+  employment: employmentSchema,
+  emi: emiSchema,
+  prepayment: prepaymentSchema,
+  investment: investmentSchema,
+  compareOffers: compareOffersSchema,
+  taxProjection: taxProjectionSchema,
+  eligibility: eligibilitySchema,
+  createGoal: createGoalSchema,
+  updateGoal: updateGoalSchema,
+  uploadDocumentQuery: uploadDocumentQuerySchema,
+  listDocumentsQuery: listDocumentsQuerySchema,
+  reviewDocument: reviewDocumentSchema,
+  createCoApplicant: createCoApplicantSchema,
+  updateCoApplicant: updateCoApplicantSchema,
+  respondCoApplicantInvite: respondCoApplicantInviteSchema
+};
+
+export * from './auth.schema.js';
+export * from './profile.schema.js';
+export * from './admin.schema.js';
+export * from './audit.schema.js';
+export * from './application.schema.js';
+export * from './employment.schema.js';
+export * from './projection.schema.js';
+export * from './eligibility.schema.js';
+export * from './goal.schema.js';
+export * from './document.schema.js';
+export * from './co-applicant.schema.js';
@@ -0,0 +1,77 @@
+/**
+ * Validation schemas for profile endpoints
+ */
+
+import { GENDERS, MARITAL_STATUSES, RESIDENTIAL_STATUSES } from '../models/user.model.js';
+import { LOAN_PRODUCTS } from '../models/application.model.js';
+import { getOTPLength } from '../utils/otp.js';
+import { MOBILE_NUMBER_RULE, verifyOtpSchema } from './auth.schema.js';
+
+export const profileSchema = {
+  firstName: { type: 'string', required: true, maxLength: 255 },
+  lastName: { type: 'string', required: true, maxLength: 255 },
+  dateOfBirth: { type: 'date' },
+  gender: { type: 'string', enum: GENDERS },
+  maritalStatus: { type: 'string', enum: MARITAL_STATUSES },
+  fatherName: { type: 'string', maxLength: 255 },
+  motherName: { type: 'string', maxLength: 255 },
+  email: { type: 'string', format: 'email', maxLength: 255 },
+  address: { type: 'string' },
+  city: { type: 'string', maxLength: 255 },
+  state: { type: 'string', maxLength: 255 },
+  country: { type: 'string', maxLength: 255 },
+  zipcode: { type: 'string', maxLength: 20 },
+  residentialStatus: { type: 'string', enum: RESIDENTIAL_STATUSES },
+  durationOfStayYears: { type: 'integer', min: 0 },
+  durationOfStayMonths: { type: 'integer', min: 0, max: 11 },
+  numberOfDependents: { type: 'integer', min: 0 },
+  educationalQualification: { type: 'string', maxLength: 255 },
+  avatar: { type: 'string' },
+  isActive: { type: 'boolean', nullable: false }
+};
+
+export const profileCompletenessQuerySchema = {
+  loanProduct: { type: 'string', enum: LOAN_PRODUCTS, description: 'Score against this product\'s requirements (default: general requirements)' }
+};
+
+export const verifyEmailSchema = {
+  code: {
+    type: 'string',
+    required: true,
+    pattern: new RegExp(`^\\d{${getOTPLength()}}$`),
+    message: `Invalid code format. Code must be ${getOTPLength()} digits`
+  }
+};
+
+export const requestMobileChangeSchema = {
+  newMobileNumber: MOBILE_NUMBER_RULE,
+  oldNumberLost: {
+    type: 'boolean',
+    default: false,
+    nullable: false,
+    description: 'Confirm with a code sent to the verified email instead of the current number'
+  }
+};
+
+export const confirmMobileChangeSchema = {
+  requestId: { type: 'integer', required: true, min: 1 },
+  newMobileOtp: { ...verifyOtpSchema.otp, description: 'OTP sent to the new number' },
+  confirmationCode: {
+    ...verifyOtpSchema.otp,
+    description: 'OTP sent to the current number, or the emailed code when the old number is lost'
+  }
+};
+
+export const dataExportQuerySchema = {
+  format: {
+    type: 'string',
+    enum: ['json', 'zip'],
+    default: 'json',
+    nullable: false,
+    description: 'json for the data only, zip to include uploaded document files'
+  }
+};
+
+export const accountDeletionSchema = {
+  reason: { type: 'string', maxLength: 1000 }
+};
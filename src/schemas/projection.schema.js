@@ -0,0 +1,101 @@
+/**
+ * Validation schemas for projection (calculator) endpoints
+ */
+
+import { PAYMENT_FREQUENCIES, COMPOUNDING_FREQUENCIES } from '../utils/finance.js';
+import { EMI_ROUNDING_MODES } from '../utils/amortization.js';
+import { PREPAYMENT_STRATEGIES, PREPAYMENT_TYPES } from '../utils/prepayment.js';
+import { RATE_TYPES } from '../utils/offers.js';
+
+export const emiSchema = {
+  principal: { type: 'number', required: true, min: 1, max: 10000000000 },
+  annualRate: { type: 'number', required: true, min: 0, max: 100 },
+  tenureMonths: { type: 'integer', required: true, min: 1, max: 600 },
+  paymentFrequency: { type: 'string', enum: Object.keys(PAYMENT_FREQUENCIES), default: 'monthly', nullable: false },
+  compoundingFrequency: { type: 'string', enum: Object.keys(COMPOUNDING_FREQUENCIES), default: 'monthly', nullable: false },
+  emiRounding: { type: 'string', enum: EMI_ROUNDING_MODES, default: 'nearest_paisa', nullable: false },
+  startDate: { type: 'date', description: 'First installment due date' }
+};
+
+export const prepaymentSchema = {
+  ...emiSchema,
+  strategy: { type: 'string', enum: PREPAYMENT_STRATEGIES, default: 'reduce_tenure', nullable: false },
+  prepayments: {
+    type: 'array',
+    maxItems: 50,
+    default: [],
+    nullable: false,
+    items: {
+      type: 'object',
+      required: true,
+      properties: {
+        amount: { type: 'number', required: true, min: 1 },
+        afterInstallment: { type: 'integer', required: true, min: 1, description: 'Paid together with this installment' },
+        type: { type: 'string', enum: PREPAYMENT_TYPES, default: 'one_time', nullable: false },
+        repeatEvery: { type: 'integer', min: 1, description: 'Installments between recurring prepayments' },
+        endInstallment: { type: 'integer', min: 1, description: 'Last installment a recurring prepayment may fall on' }
+      }
+    }
+  },
+  prepaymentChargePercent: { type: 'number', min: 0, max: 100, default: 0, nullable: false },
+  forecloseAfterInstallment: { type: 'integer', min: 1, description: 'Pay off the outstanding principal after this installment' },
+  foreclosureChargePercent: { type: 'number', min: 0, max: 100, default: 0, nullable: false }
+};
+
+export const investmentSchema = {
+  monthlyInvestment: { type: 'number', min: 0, max: 100000000, default: 0, nullable: false, description: 'SIP installment in the first year' },
+  lumpSum: { type: 'number', min: 0, max: 10000000000, default: 0, nullable: false },
+  annualStepUpPercent: { type: 'number', min: 0, max: 100, default: 0, nullable: false },
+  years: { type: 'integer', required: true, min: 1, max: 60 },
+  annualReturn: { type: 'number', required: true, min: -50, max: 100, description: 'Expected annual return (CAGR) in percent' },
+  inflationRate: { type: 'number', min: 0, max: 50, default: 6, nullable: false },
+  pessimisticReturn: { type: 'number', min: -50, max: 100 },
+  optimisticReturn: { type: 'number', min: -50, max: 100 }
+};
+
+export const compareOffersSchema = {
+  principal: { type: 'number', required: true, min: 1, max: 10000000000, description: 'Amount needed, shared by all offers' },
+  offers: {
+    type: 'array',
+    required: true,
+    minItems: 2,
+    maxItems: 10,
+    items: {
+      type: 'object',
+      required: true,
+      properties: {
+        name: { type: 'string', maxLength: 100 },
+        annualRate: { type: 'number', required: true, min: 0, max: 100 },
+        tenureMonths: { type: 'integer', required: true, min: 1, max: 600 },
+        rateType: { type: 'string', enum: RATE_TYPES, default: 'reducing', nullable: false },
+        processingFeePercent: { type: 'number', min: 0, max: 100, default: 0, nullable: false },
+        processingFeeAmount: { type: 'number', min: 0, default: 0, nullable: false, description: 'Fixed fee, added to any percentage fee' },
+        insurancePremium: { type: 'number', min: 0, default: 0, nullable: false },
+        insuranceFinanced: { type: 'boolean', default: false, nullable: false, description: 'Premium added to the loan instead of paid upfront' }
+      }
+    }
+  }
+};
+
+export const taxProjectionSchema = {
+  taxYear: { type: 'string', maxLength: 20, description: 'Rule version, e.g. FY2025-26 (default: latest)' },
+  annualIncome: { type: 'number', required: true, min: 0, max: 10000000000, description: 'Gross income in the first year' },
+  incomeGrowthPercent: { type: 'number', min: 0, max: 100, default: 0, nullable: false },
+  salaried: { type: 'boolean', default: true, nullable: false, description: 'Claim the standard deduction' },
+  otherSection80C: { type: 'number', min: 0, default: 0, nullable: false, description: 'Other 80C investments per year, e.g. PPF, ELSS' },
+  otherDeductions: { type: 'number', min: 0, default: 0, nullable: false, description: 'Other old-regime deductions per year, e.g. 80D' },
+  loan: {
+    type: 'object',
+    description: 'Home loan on a self-occupied property',
+    properties: {
+      principal: { type: 'number', required: true, min: 1, max: 10000000000 },
+      annualRate: { type: 'number', required: true, min: 0, max: 100 },
+      tenureMonths: { type: 'integer', required: true, min: 1, max: 600 }
+    }
+  },
+  years: { type: 'integer', min: 1, max: 50, description: 'Years to project (default: loan tenure)' }
+};
+
+export const exportFormatQuerySchema = {
+  format: { type: 'string', enum: ['json', 'csv'], default: 'json', nullable: false }
+};
@@ -0,0 +1,231 @@
+/**
+ * Account deletion (right to erasure)
+ * A deletion request waits out a grace period during which the user can
+ * cancel it; a scheduled job then erases the account:
+ * - Without approved or disbursed loans the user row is deleted together
+ *   with everything that belongs to it, including uploaded files
+ * - Otherwise those loans, their status history and the approved documents
+ *   are kept for the retention period required of lenders, and the user row
+ *   is anonymised: personal fields are cleared, the mobile number is
+ *   replaced and the account is deactivated
+ * In both cases login OTPs, sessions, goals, employment details,
+ * co-applicants, pending verifications and message delivery records are
+ * removed, along with the OTP send log for every number the user has held
+ * or asked to change to. The audit log keeps its rows as the record of processing, but
+ * their before/after values, IP addresses, user agents and metadata are
+ * cleared through redact_user_audit() (migration 019).
+ *
+ * Config: ACCOUNT_DELETION_GRACE_DAYS (default: 30)
+ */
+
+import { query, getClient } from '../config/database.js';
+import { RETAINED_APPLICATION_STATUSES } from '../models/account-deletion.model.js';
+import { recordAuditEvent } from './audit.js';
+import { getStorage } from './storage/index.js';
+
+// Personal fields cleared when a user row has to be kept
+const ANONYMISED_COLUMNS = [
+  'first_name',
+  'last_name',
+  'date_of_birth',
+  'gender',
+  'marital_status',
+  'father_name',
+  'mother_name',
+  'email',
+  'address',
+  'city',
+  'state',
+  'country',
+  'zipcode',
+  'residential_status',
+  'duration_of_stay_years',
+  'duration_of_stay_months',
+  'number_of_dependents',
+  'educational_qualification',
+  'avatar',
+  'email_verified_at'
+];
+
+/**
+ * Get the number of days between a deletion request and the deletion
+ * @returns {number} Days
+ */
+export function getDeletionGraceDays() {
+  return parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS || '30');
+}
+
+/**
+ * Erase or anonymise a user within a transaction
+ * @param {Object} client - pg client with an open transaction
+ * @param {number} userId - User id
+ * @returns {Promise<Object>} { outcome, retainedApplicationIds, redactedAuditEntries, files } where files are { storage_provider, storage_key } to remove after commit
+ */
+async function eraseUser(client, userId) {
+  // Audit rows outlive the user row, so they are redacted either way
+  const redactResult = await client.query('SELECT redact_user_audit($1) AS redacted', [userId]);
+  const redactedAuditEntries = redactResult.rows[0].redacted;
+
+  const userResult = await client.query('SELECT mobile_number FROM users WHERE id = $1 FOR UPDATE', [userId]);
+
+  if (userResult.rows.length === 0) {
+    return { outcome: 'deleted', retainedApplicationIds: [], redactedAuditEntries, files: [] };
+  }
+
+  const mobileNumber = userResult.rows[0].mobile_number;
+
+  const retainedResult = await client.query(
+    'SELECT id FROM loan_applications WHERE user_id = $1 AND status = ANY($2) ORDER BY id',
+    [userId, RETAINED_APPLICATION_STATUSES]
+  );
+  const retainedApplicationIds = retainedResult.rows.map((row) => row.id);
+  const retain = retainedApplicationIds.length > 0;
+
+  const filesResult = await client.query(
+    `DELETE FROM documents WHERE user_id = $1 ${retain ? "AND status <> 'approved'" : ''}
+     RETURNING storage_provider, storage_key`,
+    [userId]
+  );
+
+  await client.query(
+    'DELETE FROM loan_applications WHERE user_id = $1 AND status <> ALL($2)',
+    [userId, RETAINED_APPLICATION_STATUSES]
+  );
+
+  // Every number the user has held or asked to change to, collected before the change requests go
+  const changedNumbers = await client.query(
+    `SELECT old_mobile_number AS mobile_number FROM mobile_change_requests WHERE user_id = $1
+     UNION SELECT new_mobile_number FROM mobile_change_requests WHERE user_id = $1`,
+    [userId]
+  );
+  const mobileNumbers = [mobileNumber, ...changedNumbers.rows.map((row) => row.mobile_number)];
+
+  for (const table of ['goals', 'employment_details', 'co_applicants', 'email_verifications', 'mobile_change_requests', 'otps', 'sessions', 'email_messages']) {
+    await client.query(`DELETE FROM ${table} WHERE user_id = $1`, [userId]);
+  }
+  await client.query('DELETE FROM sms_messages WHERE user_id = $1 OR mobile_number = ANY($2)', [userId, mobileNumbers]);
+  await client.query('DELETE FROM otp_send_log WHERE requested_by = $1 OR mobile_number = ANY($2)', [userId, mobileNumbers]);
+
+  // Staff accounts may have created or updated other users
+  await client.query('UPDATE users SET created_by = NULL WHERE created_by = $1', [userId]);
+  await client.query('UPDATE users SET updated_by = NULL WHERE updated_by = $1', [userId]);
+
+  if (retain) {
+    await client.query(
+      `UPDATE users
+       SET ${ANONYMISED_COLUMNS.map((column) => `${column} = NULL`).join(', ')},
+           mobile_number = 'deleted-' || id,
+           is_active = false,
+           is_verified = false,
+           deleted_at = CURRENT_TIMESTAMP,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [userId]
+    );
+  } else {
+    await client.query('DELETE FROM users WHERE id = $1', [userId]);
+  }
+
+  return {
+    outcome: retain ? 'anonymised' : 'deleted',
+    retainedApplicationIds,
+    redactedAuditEntries,
+    files: filesResult.rows
+  };
+}
+
+/**
+ * Process one pending deletion request
+ * @param {number} requestId - Account deletion request id
+ * @returns {Promise<string|null>} Outcome (deleted | anonymised), or null if the request is no longer pending
+ */
+async function processDeletionRequest(requestId) {
+  const client = await getClient();
+  let result;
+
+  try {
+    await client.query('BEGIN');
+
+    // Skip requests another run is already processing
+    const requestResult = await client.query(
+      `SELECT id, user_id FROM account_deletion_requests
+       WHERE id = $1 AND status = 'pending'
+       FOR UPDATE SKIP LOCKED`,
+      [requestId]
+    );
+
+    if (requestResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const userId = requestResult.rows[0].user_id;
+    result = await eraseUser(client, userId);
+
+    await client.query(
+      `UPDATE account_deletion_requests
+       SET status = 'completed', outcome = $1, completed_at = CURRENT_TIMESTAMP
+       WHERE id = $2`,
+      [result.outcome, requestId]
+    );
+
+    await recordAuditEvent({
+      userId,
+      eventType: 'account_deleted',
+      metadata: {
+        requestId,
+        outcome: result.outcome,
+        retainedApplicationIds: result.retainedApplicationIds,
+        redactedAuditEntries: result.redactedAuditEntries,
+        deletedDocuments: result.files.length
+      }
+    }, client);
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  // The rows are gone, so a file that fails to delete is only logged
+  for (const file of result.files) {
+    try {
+      await getStorage(file.storage_provider).delete(file.storage_key);
+    } catch (error) {
+      console.error(`Error deleting stored file ${file.storage_key}:`, error);
+    }
+  }
+
+  return result.outcome;
+}
+
+/**
+ * Process every deletion request whose grace period has passed
+ * A failed request is logged and retried on the next run
+ * @returns {Promise<Object>} { deleted, anonymised, failed } counts
+ */
+export async function processDueDeletions() {
+  const due = await query(
+    `SELECT id FROM account_deletion_requests
+     WHERE status = 'pending' AND scheduled_for <= CURRENT_TIMESTAMP
+     ORDER BY scheduled_for`
+  );
+
+  const summary = { deleted: 0, anonymised: 0, failed: 0 };
+
+  for (const { id } of due.rows) {
+    try {
+      const outcome = await processDeletionRequest(id);
+      if (outcome) {
+        summary[outcome]++;
+      }
+    } catch (error) {
+      console.error(`Error processing account deletion request ${id}:`, error);
+      summary.failed++;
+    }
+  }
+
+  return summary;
+}
@@ -0,0 +1,166 @@
+/**
+ * EMI calculation and amortization schedule utility
+ *
+ * Rounding rules:
+ * - EMI is rounded half-up to the nearest paisa ('nearest_paisa', default)
+ *   or up to the next whole rupee ('ceil_rupee', common lender practice)
+ * - Interest for each period is rounded half-up to the nearest paisa
+ * - Principal for each period is EMI minus that period's interest
+ * - The final installment is adjusted so the closing balance is exactly zero
+ */
+
+import { PAYMENT_FREQUENCIES, calculationError, toPaise, fromPaise, roundHalfUp, periodicRate, addMonths } from './finance.js';
+
+export const EMI_ROUNDING_MODES = ['nearest_paisa', 'ceil_rupee'];
+
+/**
+ * Calculate the EMI (equal periodic installment)
+ * @param {number} principalPaise - Loan amount in paise
+ * @param {number} rate - Periodic interest rate as a fraction
+ * @param {number} periods - Number of installments
+ * @param {string} [rounding] - One of EMI_ROUNDING_MODES (default: nearest_paisa)
+ * @returns {number} EMI in paise
+ */
+export function calculateEmi(principalPaise, rate, periods, rounding = 'nearest_paisa') {
+  const exact = rate === 0
+    ? principalPaise / periods
+    : (principalPaise * rate * Math.pow(1 + rate, periods)) / (Math.pow(1 + rate, periods) - 1);
+
+  return rounding === 'ceil_rupee' ? Math.ceil(exact / 100 - 1e-9) * 100 : roundHalfUp(exact);
+}
+
+/**
+ * Calculate the largest loan an installment can repay (inverse of calculateEmi)
+ * @param {number} emiPaise - Installment in paise
+ * @param {number} rate - Periodic interest rate as a fraction
+ * @param {number} periods - Number of installments
+ * @returns {number} Principal in paise (rounded down)
+ */
+export function calculatePrincipalForEmi(emiPaise, rate, periods) {
+  const exact = rate === 0
+    ? emiPaise * periods
+    : (emiPaise * (Math.pow(1 + rate, periods) - 1)) / (rate * Math.pow(1 + rate, periods));
+
+  return Math.floor(exact + 1e-9);
+}
+
+/**
+ * Build an amortization schedule from a balance and a fixed installment
+ * @param {Object} options
+ * @param {number} options.principalPaise - Opening balance in paise
+ * @param {number} options.rate - Periodic interest rate as a fraction
+ * @param {number} options.periods - Number of installments
+ * @param {number} options.emiPaise - Installment in paise
+ * @param {number} [options.monthsPerPeriod] - Months between installments (default: 1)
+ * @param {string} [options.startDate] - First due date (YYYY-MM-DD)
+ * @returns {Array<Object>} Schedule rows with amounts in paise
+ */
+export function buildSchedule({ principalPaise, rate, periods, emiPaise, monthsPerPeriod = 1, startDate = null }) {
+  const schedule = [];
+  let balance = principalPaise;
+
+  for (let period = 1; period <= periods && balance > 0; period++) {
+    const interest = roundHalfUp(balance * rate);
+    let principal = emiPaise - interest;
+
+    // Final installment (or an early payoff caused by EMI rounding) clears the balance
+    if (period === periods || principal >= balance) {
+      principal = balance;
+    }
+
+    schedule.push({
+      period,
+      dueDate: startDate ? addMonths(startDate, (period - 1) * monthsPerPeriod) : null,
+      openingBalance: balance,
+      installment: principal + interest,
+      principal,
+      interest,
+      closingBalance: balance - principal
+    });
+
+    balance -= principal;
+  }
+
+  return schedule;
+}
+
+/**
+ * Convert a schedule row from paise to rupees
+ * @param {Object} row - Schedule row in paise
+ * @returns {Object} Schedule row in rupees
+ */
+export function formatScheduleRow(row) {
+  return {
+    ...row,
+    openingBalance: fromPaise(row.openingBalance),
+    installment: fromPaise(row.installment),
+    principal: fromPaise(row.principal),
+    interest: fromPaise(row.interest),
+    closingBalance: fromPaise(row.closingBalance)
+  };
+}
+
+/**
+ * Resolve loan inputs into per-period terms
+ * @param {Object} options
+ * @param {number} options.principal - Loan amount in rupees
+ * @param {number} options.annualRate - Nominal annual rate in percent
+ * @param {number} options.tenureMonths - Tenure in months (multiple of the payment interval)
+ * @param {string} [options.paymentFrequency] - Key of PAYMENT_FREQUENCIES (default: monthly)
+ * @param {string} [options.compoundingFrequency] - Key of COMPOUNDING_FREQUENCIES (default: monthly)
+ * @param {string} [options.emiRounding] - One of EMI_ROUNDING_MODES (default: nearest_paisa)
+ * @returns {Object} { principalPaise, rate, periods, monthsPerPeriod, emiPaise }
+ * @throws {Error} With status 400 if the tenure is not a whole number of payment periods
+ */
+export function resolveLoanTerms({
+  principal,
+  annualRate,
+  tenureMonths,
+  paymentFrequency = 'monthly',
+  compoundingFrequency = 'monthly',
+  emiRounding = 'nearest_paisa'
+}) {
+  const monthsPerPeriod = 12 / PAYMENT_FREQUENCIES[paymentFrequency];
+
+  if (tenureMonths % monthsPerPeriod !== 0) {
+    throw calculationError('tenureMonths', `Tenure must be a multiple of ${monthsPerPeriod} months for ${paymentFrequency} payments`);
+  }
+
+  const periods = tenureMonths / monthsPerPeriod;
+  const rate = periodicRate(annualRate, compoundingFrequency, paymentFrequency);
+  const principalPaise = toPaise(principal);
+  const emiPaise = calculateEmi(principalPaise, rate, periods, emiRounding);
+
+  return { principalPaise, rate, periods, monthsPerPeriod, emiPaise };
+}
+
+/**
+ * Sum a numeric column of a schedule
+ * @param {Array<Object>} schedule - Schedule rows
+ * @param {string} key - Column name
+ * @returns {number} Total
+ */
+export function sumSchedule(schedule, key) {
+  return schedule.reduce((sum, row) => sum + row[key], 0);
+}
+
+/**
+ * Calculate EMI, totals and the full amortization schedule for a loan
+ * @param {Object} options - Loan inputs (see resolveLoanTerms)
+ * @param {string} [options.startDate] - First due date (YYYY-MM-DD)
+ * @returns {Object} { emi, numberOfPayments, periodicRate, totalInterest, totalPayment, schedule } (amounts in rupees)
+ * @throws {Error} With status 400 if the tenure is not a whole number of payment periods
+ */
+export function amortize({ startDate = null, ...loan }) {
+  const { principalPaise, rate, periods, monthsPerPeriod, emiPaise } = resolveLoanTerms(loan);
+  const schedule = buildSchedule({ principalPaise, rate, periods, emiPaise, monthsPerPeriod, startDate });
+
+  return {
+    emi: fromPaise(emiPaise),
+    numberOfPayments: schedule.length,
+    periodicRate: rate,
+    totalInterest: fromPaise(sumSchedule(schedule, 'interest')),
+    totalPayment: fromPaise(sumSchedule(schedule, 'installment')),
+    schedule: schedule.map(formatScheduleRow)
+  };
+}
@@ -0,0 +1,115 @@
+/**
+ * Audit logging utility
+ * Writes to the append-only audit_log table (rows can only be redacted, on
+ * account deletion, see migration 019)
+ */
+
+import { query } from '../config/database.js';
+import { formatAuditEntry } from '../models/audit.model.js';
+
+// Response fields that change on every update and are not audited
+const IGNORED_FIELDS = ['id', 'createdBy', 'createdAt', 'updatedBy', 'updatedAt'];
+
+/**
+ * Compute per-field changes between two formatted records
+ * @param {Object} before - Record before the change
+ * @param {Object} after - Record after the change
+ * @returns {Array<Object>} Changes: { field, oldValue, newValue }
+ */
+export function diffFields(before, after) {
+  const changes = [];
+
+  for (const field of Object.keys(after)) {
+    if (IGNORED_FIELDS.includes(field)) {
+      continue;
+    }
+
+    const oldValue = before[field] ?? null;
+    const newValue = after[field] ?? null;
+
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes.push({ field, oldValue, newValue });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Record an audit event
+ * Field changes are stored one row per field; events without changes are a single row
+ * @param {Object} event
+ * @param {number} event.userId - User the event is about
+ * @param {number} [event.actorId] - User who performed the action (default: userId)
+ * @param {string} event.eventType - Event type (see AUDIT_EVENT_TYPES)
+ * @param {Array<Object>} [event.changes] - { field, oldValue, newValue }
+ * @param {Object} [event.metadata] - Extra event details
+ * @param {Object} [event.req] - Express request (for IP and user agent)
+ * @param {Object} [db] - pg client to write within a transaction (default: pool)
+ */
+export async function recordAuditEvent(
+  { userId, actorId = userId, eventType, changes = [], metadata = null, req = null },
+  db = { query }
+) {
+  const rows = changes.length > 0 ? changes : [{ field: null, oldValue: null, newValue: null }];
+  const values = [];
+  const placeholders = rows.map((change, index) => {
+    const offset = index * 9;
+    values.push(
+      userId,
+      actorId,
+      eventType,
+      change.field,
+      change.oldValue === null ? null : JSON.stringify(change.oldValue),
+      change.newValue === null ? null : JSON.stringify(change.newValue),
+      req ? req.ip : null,
+      req ? req.get('user-agent') || null : null,
+      metadata ? JSON.stringify(metadata) : null
+    );
+    return `(${Array.from({ length: 9 }, (_, i) => `$${offset + i + 1}`).join(', ')})`;
+  });
+
+  await db.query(
+    `INSERT INTO audit_log (user_id, actor_id, event_type, field, old_value, new_value, ip_address, user_agent, metadata)
+     VALUES ${placeholders.join(', ')}`,
+    values
+  );
+}
+
+/**
+ * Get paginated audit history for a user (newest first)
+ * @param {number} userId - User id
+ * @param {Object} [options] - { eventType, page, limit }
+ * @returns {Promise<Object>} { entries, pagination }
+ */
+export async function getAuditHistory(userId, { eventType, page = 1, limit = 20 } = {}) {
+  const values = [userId];
+  let eventFilter = '';
+
+  if (eventType) {
+    values.push(eventType);
+    eventFilter = 'AND event_type = $2';
+  }
+
+  const result = await query(
+    `SELECT id, user_id, actor_id, event_type, field, old_value, new_value, ip_address, user_agent, metadata, created_at,
+            COUNT(*) OVER() AS total_count
+     FROM audit_log
+     WHERE user_id = $1 ${eventFilter}
+     ORDER BY created_at DESC, id DESC
+     LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+    [...values, limit, (page - 1) * limit]
+  );
+
+  const total = result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0;
+
+  return {
+    entries: result.rows.map(formatAuditEntry),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    }
+  };
+}
@@ -5,17 +5,20 @@
 
 import { SecretsManagerClient, GetSecretValueCommand } from '@aws-sdk/client-secrets-manager';
 
-let cachedSecret = null;
+// Cached secrets keyed by secret name: { value, fetchedAt }
+const cachedSecrets = new Map();
 
 /**
  * Get secret from AWS Secrets Manager
  * @param {string} secretName - Name or ARN of the secret in Secrets Manager
+ * @param {number} [maxAgeMs] - Refetch the secret once the cached value is older than this (default: never)
  * @returns {Promise<Object|String>} Secret value (parsed JSON or string)
  */
-export async function getSecret(secretName) {
+export async function getSecret(secretName, maxAgeMs = Infinity) {
   // Return cached secret if available (for Lambda reuse)
-  if (cachedSecret) {
-    return cachedSecret;
+  const cached = cachedSecrets.get(secretName);
+  if (cached && Date.now() - cached.fetchedAt < maxAgeMs) {
+    return cached.value;
   }
 
   try {
@@ -44,7 +47,7 @@ export async function getSecret(secretName) {
       throw new Error('Secret value is empty');
     }
 
-    cachedSecret = secret;
+    cachedSecrets.set(secretName, { value: secret, fetchedAt: Date.now() });
     return secret;
   } catch (error) {
     console.error('Error fetching secret from AWS Secrets Manager:', error);
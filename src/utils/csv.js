@@ -0,0 +1,34 @@
+/**
+ * CSV serialization utility
+ */
+
+/**
+ * Escape a value for CSV (RFC 4180)
+ * @param {*} value - Cell value
+ * @param {string} [format] - 'money' to always print 2 decimals
+ * @returns {string} Escaped cell
+ */
+function escapeCell(value, format) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const text = format === 'money' && typeof value === 'number' ? value.toFixed(2) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Convert rows to CSV
+ * @param {Array<Object>} columns - { key, header, format } for each column
+ * @param {Array<Object>} rows - Data rows
+ * @returns {string} CSV text (with header row, CRLF line endings)
+ */
+export function toCsv(columns, rows) {
+  const lines = [columns.map((column) => escapeCell(column.header)).join(',')];
+
+  for (const row of rows) {
+    lines.push(columns.map((column) => escapeCell(row[column.key], column.format)).join(','));
+  }
+
+  return `${lines.join('\r\n')}\r\n`;
+}
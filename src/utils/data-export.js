@@ -0,0 +1,233 @@
+/**
+ * Personal data export (right of access)
+ * Gathers everything held about a user into one document: profile,
+ * employment, co-applicants, goals, loan applications with their status
+ * history, document metadata, devices, account history, mobile number
+ * changes, the pending email verification, OTP sends to their numbers and
+ * the messages sent to them. Secrets (OTP, refresh token and code hashes)
+ * are never included. The ZIP export adds the uploaded document files; it is
+ * written to storage under exports/ and handed out through a signed download
+ * URL, since it can outgrow a Lambda response. Archives are removed after a
+ * day (S3 lifecycle rule in template.yaml).
+ */
+
+import { randomUUID } from 'crypto';
+import { query } from '../config/database.js';
+import { USER_PROFILE_COLUMNS, formatUserProfile } from '../models/user.model.js';
+import { EMPLOYMENT_COLUMNS, formatEmployment } from '../models/employment.model.js';
+import { CO_APPLICANT_COLUMNS, formatCoApplicant } from '../models/co-applicant.model.js';
+import { GOAL_COLUMNS, formatGoal } from '../models/goal.model.js';
+import { APPLICATION_COLUMNS, formatApplication, formatTransition } from '../models/application.model.js';
+import { DOCUMENT_COLUMNS, formatDocument } from '../models/document.model.js';
+import { ACCOUNT_DELETION_COLUMNS, formatDeletionRequest } from '../models/account-deletion.model.js';
+import { formatAuditEntry } from '../models/audit.model.js';
+import { getStorage, getDownloadUrlExpirySeconds } from './storage/index.js';
+import { createZip } from './zip.js';
+
+// Storage key prefix of ZIP exports
+export const DATA_EXPORT_PREFIX = 'exports/';
+
+/**
+ * Build the API representation of an sms_messages or email_messages row
+ * @param {Object} message - Row from sms_messages or email_messages
+ * @returns {Object} Message delivery record (the body is never stored)
+ */
+const formatMessage = (message) => ({
+  id: message.id,
+  to: message.mobile_number || message.email,
+  template: message.template,
+  status: message.status,
+  createdAt: message.created_at
+});
+
+/**
+ * Collect all personal data held about a user
+ * @param {number} userId - User id
+ * @returns {Promise<Object|null>} Export document, or null if the user does not exist
+ */
+export async function collectUserData(userId) {
+  const userResult = await query(`SELECT ${USER_PROFILE_COLUMNS} FROM users WHERE id = $1`, [userId]);
+
+  if (userResult.rows.length === 0) {
+    return null;
+  }
+
+  const [
+    employment,
+    coApplicants,
+    goals,
+    applications,
+    transitions,
+    documents,
+    sessions,
+    auditLog,
+    smsMessages,
+    emailMessages,
+    mobileChangeRequests,
+    emailVerification,
+    otpSends,
+    deletionRequests
+  ] = await Promise.all([
+    query(`SELECT ${EMPLOYMENT_COLUMNS} FROM employment_details WHERE user_id = $1`, [userId]),
+    query(`SELECT ${CO_APPLICANT_COLUMNS} FROM co_applicants WHERE user_id = $1 ORDER BY id`, [userId]),
+    query(`SELECT ${GOAL_COLUMNS} FROM goals WHERE user_id = $1 ORDER BY id`, [userId]),
+    query(`SELECT ${APPLICATION_COLUMNS} FROM loan_applications WHERE user_id = $1 ORDER BY id`, [userId]),
+    query(
+      `SELECT t.id, t.application_id, t.from_status, t.to_status, t.reason, t.actor_id, t.created_at
+       FROM loan_application_transitions t
+       JOIN loan_applications a ON a.id = t.application_id
+       WHERE a.user_id = $1
+       ORDER BY t.created_at, t.id`,
+      [userId]
+    ),
+    query(`SELECT ${DOCUMENT_COLUMNS} FROM documents WHERE user_id = $1 ORDER BY id`, [userId]),
+    query(
+      `SELECT id, device_name, platform, ip_address, user_agent, last_seen_at, revoked_at, revoked_reason, created_at
+       FROM sessions WHERE user_id = $1 ORDER BY created_at`,
+      [userId]
+    ),
+    query(
+      `SELECT id, user_id, actor_id, event_type, field, old_value, new_value, ip_address, user_agent, metadata, created_at
+       FROM audit_log WHERE user_id = $1 ORDER BY created_at, id`,
+      [userId]
+    ),
+    query('SELECT id, mobile_number, template, status, created_at FROM sms_messages WHERE user_id = $1 ORDER BY id', [userId]),
+    query('SELECT id, email, template, status, created_at FROM email_messages WHERE user_id = $1 ORDER BY id', [userId]),
+    query(
+      `SELECT id, old_mobile_number, new_mobile_number, method, status, expires_at, completed_at, created_at
+       FROM mobile_change_requests WHERE user_id = $1 ORDER BY id`,
+      [userId]
+    ),
+    query('SELECT email, expires_at, last_sent_at, created_at FROM email_verifications WHERE user_id = $1', [userId]),
+    // Sends the user triggered, and sends to any number they have held or asked to change to
+    query(
+      `SELECT id, mobile_number, ip_address, created_at FROM otp_send_log
+       WHERE requested_by = $1
+          OR mobile_number IN (
+            SELECT mobile_number FROM users WHERE id = $1
+            UNION SELECT old_mobile_number FROM mobile_change_requests WHERE user_id = $1
+            UNION SELECT new_mobile_number FROM mobile_change_requests WHERE user_id = $1
+          )
+       ORDER BY id`,
+      [userId]
+    ),
+    query(`SELECT ${ACCOUNT_DELETION_COLUMNS} FROM account_deletion_requests WHERE user_id = $1 ORDER BY id`, [userId])
+  ]);
+
+  return {
+    exportedAt: new Date().toISOString(),
+    profile: formatUserProfile(userResult.rows[0]),
+    employment: employment.rows.length > 0 ? formatEmployment(employment.rows[0]) : null,
+    coApplicants: coApplicants.rows.map(formatCoApplicant),
+    goals: goals.rows.map(formatGoal),
+    applications: applications.rows.map((application) => ({
+      ...formatApplication(application),
+      transitions: transitions.rows
+        .filter((transition) => transition.application_id === application.id)
+        .map(formatTransition)
+    })),
+    documents: documents.rows.map(formatDocument),
+    sessions: sessions.rows.map((session) => ({
+      id: session.id,
+      deviceName: session.device_name || null,
+      platform: session.platform || null,
+      ipAddress: session.ip_address || null,
+      userAgent: session.user_agent || null,
+      lastSeenAt: session.last_seen_at || null,
+      revokedAt: session.revoked_at || null,
+      revokedReason: session.revoked_reason || null,
+      createdAt: session.created_at || null
+    })),
+    history: auditLog.rows.map(formatAuditEntry),
+    mobileChangeRequests: mobileChangeRequests.rows.map((request) => ({
+      id: request.id,
+      oldMobileNumber: request.old_mobile_number,
+      newMobileNumber: request.new_mobile_number,
+      method: request.method,
+      status: request.status,
+      expiresAt: request.expires_at,
+      completedAt: request.completed_at || null,
+      createdAt: request.created_at
+    })),
+    emailVerification: emailVerification.rows.length > 0
+      ? {
+          email: emailVerification.rows[0].email,
+          expiresAt: emailVerification.rows[0].expires_at,
+          lastSentAt: emailVerification.rows[0].last_sent_at || null,
+          createdAt: emailVerification.rows[0].created_at || null
+        }
+      : null,
+    otpSends: otpSends.rows.map((send) => ({
+      id: send.id,
+      mobileNumber: send.mobile_number,
+      ipAddress: send.ip_address || null,
+      createdAt: send.created_at
+    })),
+    messages: {
+      sms: smsMessages.rows.map(formatMessage),
+      email: emailMessages.rows.map(formatMessage)
+    },
+    deletionRequests: deletionRequests.rows.map(formatDeletionRequest)
+  };
+}
+
+/**
+ * Build a ZIP export: data.json plus every uploaded document under documents/
+ * @param {number} userId - User id
+ * @returns {Promise<Buffer|null>} ZIP file contents, or null if the user does not exist
+ */
+async function createUserDataArchive(userId) {
+  const data = await collectUserData(userId);
+
+  if (!data) {
+    return null;
+  }
+
+  const documents = await query(
+    `SELECT ${DOCUMENT_COLUMNS} FROM documents WHERE user_id = $1 ORDER BY id`,
+    [userId]
+  );
+
+  const entries = [{ name: 'data.json', data: JSON.stringify(data, null, 2) }];
+
+  for (const document of documents.rows) {
+    entries.push({
+      name: `documents/${document.id}-${document.file_name}`,
+      data: await getStorage(document.storage_provider).read(document.storage_key),
+      modifiedAt: document.created_at
+    });
+  }
+
+  return createZip(entries);
+}
+
+/**
+ * Build a ZIP export and store it for download
+ * @param {number} userId - User id
+ * @returns {Promise<Object|null>} { url, fileName, expiresAt }, or null if the user does not exist
+ */
+export async function storeUserDataArchive(userId) {
+  const archive = await createUserDataArchive(userId);
+
+  if (!archive) {
+    return null;
+  }
+
+  const fileName = `personal-data-${new Date().toISOString().slice(0, 10)}.zip`;
+  const storageKey = `${DATA_EXPORT_PREFIX}${userId}/${randomUUID()}/${fileName}`;
+  const storage = getStorage();
+  await storage.put(storageKey, archive, 'application/zip');
+
+  const expiresIn = getDownloadUrlExpirySeconds();
+  const url = await storage.getDownloadUrl(storageKey, {
+    expiresIn,
+    fileName,
+    contentType: 'application/zip'
+  });
+
+  return {
+    url,
+    fileName,
+    expiresAt: new Date(Date.now() + expiresIn * 1000).toISOString()
+  };
+}
@@ -0,0 +1,187 @@
+/**
+ * Loan eligibility engine
+ *
+ * Evaluates a product rule set (see config/eligibility.js) against the
+ * applicant's profile and income, and sizes the largest loan they qualify for:
+ *
+ * 1. EMI capacity = monthly income × allowed FOIR − existing EMIs and obligations
+ *    (FOIR = fixed obligations to income ratio, reduced for extra dependents)
+ * 2. Maximum tenure = the shortest of the product limit, the months left until
+ *    the maximum age at maturity and the requested tenure
+ * 3. Maximum amount = the principal the EMI capacity repays over that tenure,
+ *    rounded down to the nearest thousand and capped at the product limit
+ *
+ * Every rule is reported as passed or failed with a human readable reason.
+ * The applicant is eligible only if all rules pass; the sized amount is
+ * reported either way so a failing rule can be explained alongside it.
+ */
+
+import { toPaise, fromPaise, roundMoney, periodicRate, monthsBetween } from './finance.js';
+import { calculateEmi, calculatePrincipalForEmi } from './amortization.js';
+
+const AMOUNT_ROUNDING = 1000;
+
+/**
+ * Build a rule result
+ * @param {string} rule - Rule name
+ * @param {boolean} passed - Whether the rule passed
+ * @param {string} message - Reason
+ * @returns {Object} { rule, passed, message }
+ */
+const ruleResult = (rule, passed, message) => ({ rule, passed, message });
+
+/**
+ * Evaluate loan eligibility for an applicant
+ * @param {Object} options
+ * @param {string} options.loanProduct - Loan product
+ * @param {Object} options.rules - Rule set for the product
+ * @param {Object} options.profile - Formatted user profile (dateOfBirth required)
+ * @param {Object} options.employment - Formatted employment details (monthly income and obligations)
+ * @param {number} [options.amount] - Requested loan amount in rupees
+ * @param {number} [options.tenureMonths] - Requested tenure in months
+ * @param {Date} [options.asOf] - Evaluation date (default: now)
+ * @returns {Object} { eligible, maxEligibleAmount, maxTenureMonths, emiCapacity, foir, rules, ... }
+ */
+export function evaluateEligibility({ loanProduct, rules, profile, employment, amount = null, tenureMonths = null, asOf = new Date() }) {
+  const results = [];
+  const rate = periodicRate(rules.annualRate);
+
+  // Age
+  const ageMonths = monthsBetween(profile.dateOfBirth, asOf);
+  const ageYears = Math.floor(ageMonths / 12);
+  results.push(ruleResult(
+    'min_age',
+    ageYears >= rules.minAge,
+    ageYears >= rules.minAge
+      ? `Age ${ageYears} meets the minimum of ${rules.minAge}`
+      : `Age ${ageYears} is below the minimum of ${rules.minAge}`
+  ));
+
+  // Tenure, limited by age at maturity
+  const maxAgeAtMaturity = typeof rules.maxAgeAtMaturity === 'number'
+    ? rules.maxAgeAtMaturity
+    : rules.maxAgeAtMaturity[employment.employmentType];
+  const monthsToAgeLimit = Math.max(0, maxAgeAtMaturity * 12 - ageMonths);
+  const maxTenureMonths = Math.min(rules.maxTenureMonths, monthsToAgeLimit);
+
+  results.push(ruleResult(
+    'age_at_maturity',
+    maxTenureMonths >= rules.minTenureMonths,
+    maxTenureMonths >= rules.minTenureMonths
+      ? `A tenure of up to ${maxTenureMonths} months keeps age at maturity within ${maxAgeAtMaturity}`
+      : `Age at maturity would exceed ${maxAgeAtMaturity} even at the minimum tenure of ${rules.minTenureMonths} months`
+  ));
+
+  let tenure = maxTenureMonths;
+  if (tenureMonths !== null) {
+    const withinLimits = tenureMonths >= rules.minTenureMonths && tenureMonths <= maxTenureMonths;
+    results.push(ruleResult(
+      'requested_tenure',
+      withinLimits,
+      withinLimits
+        ? `Requested tenure of ${tenureMonths} months is allowed`
+        : `Requested tenure must be between ${rules.minTenureMonths} and ${maxTenureMonths} months`
+    ));
+    tenure = Math.min(tenureMonths, maxTenureMonths);
+  }
+
+  // Income and experience
+  const income = employment.monthlyNetIncome || 0;
+  results.push(ruleResult(
+    'min_income',
+    income >= rules.minMonthlyIncome,
+    income >= rules.minMonthlyIncome
+      ? `Monthly income of ${income} meets the minimum of ${rules.minMonthlyIncome}`
+      : `Monthly income of ${income} is below the minimum of ${rules.minMonthlyIncome}`
+  ));
+
+  const experience = employment.totalExperienceYears ?? employment.yearsInCurrentJob ?? 0;
+  results.push(ruleResult(
+    'min_experience',
+    experience >= rules.minExperienceYears,
+    experience >= rules.minExperienceYears
+      ? `${experience} year(s) of experience meets the minimum of ${rules.minExperienceYears}`
+      : `${experience} year(s) of experience is below the minimum of ${rules.minExperienceYears}`
+  ));
+
+  // Residence
+  const { residentialStatus } = profile;
+  const residenceAllowed = rules.allowedResidentialStatuses.includes(residentialStatus);
+  results.push(ruleResult(
+    'residential_status',
+    residenceAllowed,
+    residenceAllowed
+      ? `Residential status ${residentialStatus} is accepted`
+      : residentialStatus
+        ? `Residential status ${residentialStatus} is not accepted for ${loanProduct} loans`
+        : 'Residential status is not provided'
+  ));
+
+  if (residentialStatus === 'Rental') {
+    const stayMonths = (profile.durationOfStayYears || 0) * 12 + (profile.durationOfStayMonths || 0);
+    results.push(ruleResult(
+      'residence_stability',
+      stayMonths >= rules.minStayMonthsIfRented,
+      stayMonths >= rules.minStayMonthsIfRented
+        ? `${stayMonths} month(s) at the current rented address meets the minimum of ${rules.minStayMonthsIfRented}`
+        : `${stayMonths} month(s) at the current rented address is below the minimum of ${rules.minStayMonthsIfRented}`
+    ));
+  }
+
+  // FOIR, reduced for dependents beyond the allowance
+  const dependents = profile.numberOfDependents || 0;
+  const extraDependents = Math.max(0, dependents - rules.dependentsWithoutAdjustment);
+  const allowedFoir = Math.max(0, rules.maxFoirPercent - extraDependents * rules.foirReductionPerDependentPercent);
+  const obligations = (employment.existingEmiAmount || 0) + (employment.otherMonthlyObligations || 0);
+  const currentFoir = income > 0 ? (obligations / income) * 100 : null;
+  const emiCapacity = Math.max(0, roundMoney((income * allowedFoir) / 100 - obligations));
+
+  results.push(ruleResult(
+    'foir',
+    emiCapacity > 0,
+    emiCapacity > 0
+      ? `Existing obligations leave ${emiCapacity} a month for a new EMI within the ${allowedFoir}% FOIR limit`
+      : `Existing obligations already use the ${allowedFoir}% FOIR limit`
+  ));
+
+  // Amount
+  let maxEligibleAmount = 0;
+  if (emiCapacity > 0 && tenure >= rules.minTenureMonths) {
+    const principal = fromPaise(calculatePrincipalForEmi(toPaise(emiCapacity), rate, tenure));
+    maxEligibleAmount = Math.min(Math.floor(principal / AMOUNT_ROUNDING) * AMOUNT_ROUNDING, rules.maxLoanAmount);
+  }
+
+  results.push(ruleResult(
+    'min_loan_amount',
+    maxEligibleAmount >= rules.minLoanAmount,
+    maxEligibleAmount >= rules.minLoanAmount
+      ? `Eligible amount of ${maxEligibleAmount} meets the product minimum of ${rules.minLoanAmount}`
+      : `Eligible amount of ${maxEligibleAmount} is below the product minimum of ${rules.minLoanAmount}`
+  ));
+
+  if (amount !== null) {
+    results.push(ruleResult(
+      'requested_amount',
+      amount <= maxEligibleAmount,
+      amount <= maxEligibleAmount
+        ? `Requested amount of ${amount} is within the eligible amount of ${maxEligibleAmount}`
+        : `Requested amount of ${amount} exceeds the eligible amount of ${maxEligibleAmount}`
+    ));
+  }
+
+  return {
+    loanProduct,
+    eligible: results.every((result) => result.passed),
+    maxEligibleAmount,
+    maxTenureMonths: tenure,
+    annualRate: rules.annualRate,
+    emiCapacity,
+    emi: maxEligibleAmount > 0 ? fromPaise(calculateEmi(toPaise(maxEligibleAmount), rate, tenure)) : 0,
+    ageYears,
+    foir: {
+      current: currentFoir === null ? null : roundMoney(currentFoir),
+      allowed: allowedFoir
+    },
+    rules: results
+  };
+}
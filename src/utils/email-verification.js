@@ -0,0 +1,104 @@
+/**
+ * Email verification codes
+ * A numeric code (same length and validity as login OTPs) is emailed to the
+ * user; only its keyed hash is stored, bound to the address it was sent to.
+ */
+
+import { query } from '../config/database.js';
+import { generateOTP, getOTPExpiryTime, getOTPExpiryMinutes, getOTPLimits, hashOTP, verifyOTPHash } from './otp.js';
+import { sendEmail } from './mail/index.js';
+import { isDevelopment } from './environment.js';
+
+/**
+ * Hash a verification code for an email address
+ * @param {string} code - Plaintext code
+ * @param {string} email - Address the code was sent to
+ * @returns {string} Hex-encoded hash
+ */
+export function hashEmailCode(code, email) {
+  return hashOTP(code, `email:${email.toLowerCase()}`);
+}
+
+/**
+ * Compare a verification code against a stored hash in constant time
+ * @param {string} code - Code provided by the user
+ * @param {string} email - Address the code was sent to
+ * @param {string} storedHash - Hash stored in email_verifications
+ * @returns {boolean} True if the code matches
+ */
+export function verifyEmailCode(code, email, storedHash) {
+  return verifyOTPHash(code, `email:${email.toLowerCase()}`, storedHash);
+}
+
+/**
+ * Check whether a verification email may be sent to a user now
+ * Codes share the OTP resend cooldown (OTP_RESEND_COOLDOWN_SECONDS), and at
+ * most OTP_DAILY_LIMIT_PER_NUMBER verification emails are sent per user per day
+ * @param {number} userId - User id
+ * @returns {Promise<Object>} { allowed, reason (cooldown | daily_limit), retryAfter (seconds) }
+ */
+export async function checkEmailVerificationLimit(userId) {
+  const limits = getOTPLimits();
+
+  const result = await query(
+    `SELECT
+       (SELECT EXTRACT(EPOCH FROM (last_sent_at + make_interval(secs => $2) - CURRENT_TIMESTAMP))::float
+        FROM email_verifications WHERE user_id = $1) AS cooldown_for,
+       COUNT(*)::int AS sent_today,
+       EXTRACT(EPOCH FROM (MIN(created_at) + INTERVAL '1 day' - CURRENT_TIMESTAMP))::float AS daily_retry_after
+     FROM email_messages
+     WHERE user_id = $1 AND template = 'email_verification' AND created_at > CURRENT_TIMESTAMP - INTERVAL '1 day'`,
+    [userId, limits.resendCooldownSeconds]
+  );
+
+  const { cooldown_for: cooldownFor, sent_today: sentToday, daily_retry_after: dailyRetryAfter } = result.rows[0];
+
+  if (sentToday >= limits.dailyLimitPerNumber) {
+    return { allowed: false, reason: 'daily_limit', retryAfter: Math.max(1, Math.ceil(dailyRetryAfter)) };
+  }
+  if (cooldownFor > 0) {
+    return { allowed: false, reason: 'cooldown', retryAfter: Math.ceil(cooldownFor) };
+  }
+  return { allowed: true, reason: null, retryAfter: 0 };
+}
+
+/**
+ * Create (or replace) a user's pending verification code and email it
+ * @param {Object} options
+ * @param {number} options.userId - User id
+ * @param {string} options.email - Address to verify
+ * @param {string} [options.name] - Name used in the greeting
+ * @returns {Promise<Object>} { sentTo, provider } plus the code when the outbox provider is used
+ * @throws {Error} With status 502 if the email cannot be sent
+ */
+export async function sendEmailVerification({ userId, email, name = null }) {
+  const code = generateOTP();
+
+  await query(
+    `INSERT INTO email_verifications (user_id, email, code_hash, expires_at)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (user_id)
+     DO UPDATE SET email = $2, code_hash = $3, expires_at = $4, failed_attempts = 0,
+       last_sent_at = CURRENT_TIMESTAMP, created_at = CURRENT_TIMESTAMP`,
+    [userId, email, hashEmailCode(code, email), getOTPExpiryTime()]
+  );
+
+  const delivery = await sendEmail({
+    to: email,
+    template: 'email_verification',
+    params: { name: name || 'there', code, expiryMinutes: getOTPExpiryMinutes() },
+    userId
+  });
+
+  // The outbox provider does not deliver anything, so return the code for testing
+  // (development only)
+  return {
+    sentTo: email,
+    provider: delivery.provider,
+    ...(delivery.provider === 'outbox' && isDevelopment() && {
+      code,
+      devMode: true,
+      note: 'Code delivered to local mail outbox'
+    })
+  };
+}
@@ -0,0 +1,13 @@
+/**
+ * Runtime environment checks
+ */
+
+/**
+ * Check whether the app runs in development (locally, or with NODE_ENV=development)
+ * Development-only conveniences, such as returning OTPs from the local
+ * outbox in API responses, must be gated on this
+ * @returns {boolean} True in development
+ */
+export function isDevelopment() {
+  return process.env.NODE_ENV === 'development' || !process.env.AWS_LAMBDA_FUNCTION_NAME;
+}
@@ -0,0 +1,29 @@
+/**
+ * File type detection from content ("magic bytes")
+ * Used to check that an upload really is the type its Content-Type claims
+ */
+
+const SIGNATURES = [
+  { mimeType: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] }, // %PDF-
+  { mimeType: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { mimeType: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] }
+];
+
+// File extension for each detectable type
+export const MIME_EXTENSIONS = {
+  'application/pdf': 'pdf',
+  'image/png': 'png',
+  'image/jpeg': 'jpg'
+};
+
+/**
+ * Detect the MIME type of a file from its first bytes
+ * @param {Buffer} buffer - File contents
+ * @returns {string|null} MIME type, or null if not recognised
+ */
+export function detectMimeType(buffer) {
+  const match = SIGNATURES.find(({ bytes }) =>
+    buffer.length >= bytes.length && bytes.every((byte, index) => buffer[index] === byte)
+  );
+  return match ? match.mimeType : null;
+}
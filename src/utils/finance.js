@@ -0,0 +1,171 @@
+/**
+ * Shared financial math helpers
+ *
+ * Money is handled internally in integer paise to avoid floating point
+ * drift across long schedules, and converted back to rupees (2 decimals)
+ * only for output. Rounding is half-up to the nearest paisa unless stated.
+ */
+
+// Payments per year for each supported payment frequency
+export const PAYMENT_FREQUENCIES = {
+  monthly: 12,
+  quarterly: 4,
+  half_yearly: 2,
+  yearly: 1
+};
+
+// Compounding periods per year for each supported compounding frequency
+export const COMPOUNDING_FREQUENCIES = {
+  daily: 365,
+  monthly: 12,
+  quarterly: 4,
+  half_yearly: 2,
+  yearly: 1
+};
+
+/**
+ * Build an error for calculator input that passes schema validation but is
+ * inconsistent (e.g. a tenure that is not a whole number of periods)
+ * @param {string} field - Offending field path
+ * @param {string} message - Human readable message
+ * @returns {Error} Error with status 400 and field
+ */
+export function calculationError(field, message) {
+  const error = new Error(message);
+  error.status = 400;
+  error.field = field;
+  return error;
+}
+
+/**
+ * Convert rupees to integer paise (half-up)
+ * @param {number} amount - Amount in rupees
+ * @returns {number} Amount in paise
+ */
+export function toPaise(amount) {
+  return roundHalfUp(amount * 100);
+}
+
+/**
+ * Convert integer paise to rupees
+ * @param {number} paise - Amount in paise
+ * @returns {number} Amount in rupees (2 decimals)
+ */
+export function fromPaise(paise) {
+  return paise / 100;
+}
+
+/**
+ * Round half away from zero to an integer
+ * A small epsilon absorbs binary representation error (e.g. 1.005 * 100)
+ * @param {number} value - Value to round
+ * @returns {number} Rounded integer
+ */
+export function roundHalfUp(value) {
+  const sign = value < 0 ? -1 : 1;
+  return sign * Math.floor(Math.abs(value) + 0.5 + 1e-9);
+}
+
+/**
+ * Round a rupee amount to 2 decimals (half-up)
+ * @param {number} amount - Amount in rupees
+ * @returns {number} Rounded amount
+ */
+export function roundMoney(amount) {
+  return fromPaise(toPaise(amount));
+}
+
+/**
+ * Effective interest rate per payment period
+ * Converts a nominal annual rate compounded `compounding` times a year into
+ * the equivalent rate for each payment period
+ * @param {number} annualRate - Nominal annual rate in percent (e.g. 8.5)
+ * @param {string} [compoundingFrequency] - Key of COMPOUNDING_FREQUENCIES (default: monthly)
+ * @param {string} [paymentFrequency] - Key of PAYMENT_FREQUENCIES (default: monthly)
+ * @returns {number} Periodic rate as a fraction
+ */
+export function periodicRate(annualRate, compoundingFrequency = 'monthly', paymentFrequency = 'monthly') {
+  const compoundingPerYear = COMPOUNDING_FREQUENCIES[compoundingFrequency];
+  const paymentsPerYear = PAYMENT_FREQUENCIES[paymentFrequency];
+  const nominal = annualRate / 100;
+
+  if (compoundingPerYear === paymentsPerYear) {
+    return nominal / paymentsPerYear;
+  }
+
+  return Math.pow(1 + nominal / compoundingPerYear, compoundingPerYear / paymentsPerYear) - 1;
+}
+
+/**
+ * Internal rate of return per period for a series of cash flows
+ * Solved by bisection, which always converges for a conventional series
+ * (one inflow followed by outflows, or the reverse)
+ * @param {Array<number>} cashFlows - Cash flow per period, starting at period 0
+ * @param {number} [low] - Lower bound for the rate (default: 0)
+ * @param {number} [high] - Upper bound for the rate (default: 1, i.e. 100% per period)
+ * @returns {number|null} Rate per period as a fraction, or null if no root lies in [low, high]
+ */
+export function irr(cashFlows, low = 0, high = 1) {
+  const npv = (rate) => cashFlows.reduce((sum, flow, period) => sum + flow / Math.pow(1 + rate, period), 0);
+
+  let npvLow = npv(low);
+  if (npvLow === 0) return low;
+  if (Math.sign(npvLow) === Math.sign(npv(high))) return null;
+
+  for (let i = 0; i < 200 && high - low > 1e-12; i++) {
+    const mid = (low + high) / 2;
+    const npvMid = npv(mid);
+    if (Math.sign(npvMid) === Math.sign(npvLow)) {
+      low = mid;
+      npvLow = npvMid;
+    } else {
+      high = mid;
+    }
+  }
+
+  return (low + high) / 2;
+}
+
+/**
+ * Add calendar months to a date, clamping to the end of shorter months
+ * @param {string|Date} date - Start date (YYYY-MM-DD or Date)
+ * @param {number} months - Months to add
+ * @returns {string} Resulting date (YYYY-MM-DD)
+ */
+export function addMonths(date, months) {
+  const start = new Date(typeof date === 'string' ? `${date}T00:00:00Z` : date);
+  const day = start.getUTCDate();
+  const result = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + months, 1));
+  const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+  result.setUTCDate(Math.min(day, lastDay));
+  return result.toISOString().slice(0, 10);
+}
+
+/**
+ * Normalize a DATE column or YYYY-MM-DD string to a UTC date
+ * pg returns DATE columns as local-midnight Date objects
+ * @param {string|Date} value - Date
+ * @returns {Date} UTC midnight of that calendar date
+ */
+function toUtcDate(value) {
+  if (value instanceof Date) {
+    return new Date(Date.UTC(value.getFullYear(), value.getMonth(), value.getDate()));
+  }
+  return new Date(`${String(value).slice(0, 10)}T00:00:00Z`);
+}
+
+/**
+ * Whole months elapsed between two dates
+ * @param {string|Date} from - Start date
+ * @param {string|Date} to - End date
+ * @returns {number} Completed months
+ */
+export function monthsBetween(from, to) {
+  const start = toUtcDate(from);
+  const end = toUtcDate(to);
+  let months = (end.getUTCFullYear() - start.getUTCFullYear()) * 12 + end.getUTCMonth() - start.getUTCMonth();
+  if (end.getUTCDate() < start.getUTCDate()) {
+    months--;
+  }
+  return months;
+}
@@ -0,0 +1,65 @@
+/**
+ * Goal planning utility
+ *
+ * Targets are entered in today's rupees and grown with inflation up to the
+ * target date. Savings and contributions grow at the goal's expected annual
+ * return, compounded monthly; contributions are made at the start of each month.
+ */
+
+import { roundMoney, monthsBetween } from './finance.js';
+import { GOAL_LOAN_PRODUCTS } from '../models/goal.model.js';
+
+/**
+ * Future value of ₹1 a month invested at the start of each month
+ * @param {number} rate - Monthly rate as a fraction
+ * @param {number} months - Number of contributions
+ * @returns {number} Annuity-due factor
+ */
+function annuityDueFactor(rate, months) {
+  return rate === 0 ? months : ((Math.pow(1 + rate, months) - 1) / rate) * (1 + rate);
+}
+
+/**
+ * Compute the plan for a goal
+ * @param {Object} goal - Formatted goal (see formatGoal)
+ * @param {Date} [asOf] - Planning date (default: now)
+ * @returns {Object} { monthsRemaining, inflatedTarget, requiredMonthlyContribution, progressPercent, projectedCorpus, gap, loanRequired, suggestedLoanProduct }
+ */
+export function planGoal(goal, asOf = new Date()) {
+  const monthsRemaining = Math.max(0, monthsBetween(asOf, goal.targetDate));
+  const rate = Math.pow(1 + goal.expectedReturn / 100, 1 / 12) - 1;
+  const growth = Math.pow(1 + rate, monthsRemaining);
+
+  const inflatedTarget = goal.targetAmount * Math.pow(1 + goal.inflationRate / 100, monthsRemaining / 12);
+  const savingsAtTarget = goal.currentSavings * growth;
+  const shortfall = Math.max(0, inflatedTarget - savingsAtTarget);
+
+  // With no months left the shortfall is due now
+  const requiredMonthlyContribution = monthsRemaining === 0
+    ? shortfall
+    : shortfall / annuityDueFactor(rate, monthsRemaining);
+
+  const plan = {
+    monthsRemaining,
+    inflatedTarget: roundMoney(inflatedTarget),
+    requiredMonthlyContribution: roundMoney(requiredMonthlyContribution),
+    progressPercent: roundMoney(Math.min(100, (goal.currentSavings / inflatedTarget) * 100)),
+    projectedCorpus: null,
+    gap: null,
+    loanRequired: null,
+    suggestedLoanProduct: null
+  };
+
+  // The loan gap can only be judged against what the user plans to contribute
+  if (goal.monthlyContribution !== null && goal.monthlyContribution !== undefined) {
+    const projectedCorpus = savingsAtTarget + goal.monthlyContribution * annuityDueFactor(rate, monthsRemaining);
+    const gap = Math.max(0, inflatedTarget - projectedCorpus);
+
+    plan.projectedCorpus = roundMoney(projectedCorpus);
+    plan.gap = roundMoney(gap);
+    plan.loanRequired = plan.gap > 0 && GOAL_LOAN_PRODUCTS[goal.category] !== null;
+    plan.suggestedLoanProduct = plan.loanRequired ? GOAL_LOAN_PRODUCTS[goal.category] : null;
+  }
+
+  return plan;
+}
@@ -0,0 +1,143 @@
+/**
+ * Savings and investment growth projection utility
+ *
+ * Assumptions:
+ * - Returns are annual effective rates (CAGR), compounded monthly at the
+ *   equivalent monthly rate
+ * - SIP installments are invested at the start of each month
+ * - A step-up raises the SIP installment once a year, from year 2 onwards
+ * - Inflation-adjusted (real) values are in today's rupees
+ *
+ * Growth is compounded in floating point and rounded to the paisa only for
+ * output, so the year-by-year values always add up to the final corpus.
+ */
+
+import { calculationError, roundMoney } from './finance.js';
+
+/**
+ * Equivalent monthly rate for an annual effective rate
+ * @param {number} annualRate - Annual rate in percent
+ * @returns {number} Monthly rate as a fraction
+ */
+function monthlyRate(annualRate) {
+  return Math.pow(1 + annualRate / 100, 1 / 12) - 1;
+}
+
+/**
+ * Deflate a future amount to today's rupees
+ * @param {number} amount - Future amount
+ * @param {number} inflationRate - Annual inflation in percent
+ * @param {number} years - Years from today
+ * @returns {number} Present-day value
+ */
+export function toRealValue(amount, inflationRate, years) {
+  return amount / Math.pow(1 + inflationRate / 100, years);
+}
+
+/**
+ * Project corpus growth year by year for a single return assumption
+ * @param {Object} options
+ * @param {number} options.annualReturn - Expected annual return in percent
+ * @param {number} options.years - Investment horizon in years
+ * @param {number} [options.monthlyInvestment] - Starting SIP installment in rupees (default: 0)
+ * @param {number} [options.lumpSum] - One-time investment at the start in rupees (default: 0)
+ * @param {number} [options.annualStepUpPercent] - Yearly SIP increase in percent (default: 0)
+ * @param {number} [options.inflationRate] - Annual inflation in percent (default: 0)
+ * @returns {Array<Object>} Rows { year, monthlyInvestment, invested, totalInvested, gains, corpus, realCorpus }
+ */
+export function projectGrowth({
+  annualReturn,
+  years,
+  monthlyInvestment = 0,
+  lumpSum = 0,
+  annualStepUpPercent = 0,
+  inflationRate = 0
+}) {
+  const rate = monthlyRate(annualReturn);
+  const yearly = [];
+  let corpus = lumpSum;
+  let totalInvested = lumpSum;
+  let installment = monthlyInvestment;
+
+  for (let year = 1; year <= years; year++) {
+    if (year > 1) {
+      installment *= 1 + annualStepUpPercent / 100;
+    }
+
+    const investedThisYear = installment * 12 + (year === 1 ? lumpSum : 0);
+
+    for (let month = 1; month <= 12; month++) {
+      corpus = (corpus + installment) * (1 + rate);
+    }
+    totalInvested += installment * 12;
+
+    yearly.push({
+      year,
+      monthlyInvestment: roundMoney(installment),
+      invested: roundMoney(investedThisYear),
+      totalInvested: roundMoney(totalInvested),
+      gains: roundMoney(corpus - totalInvested),
+      corpus: roundMoney(corpus),
+      realCorpus: roundMoney(toRealValue(corpus, inflationRate, year))
+    });
+  }
+
+  return yearly;
+}
+
+/**
+ * Project SIP, lump sum and step-up SIP growth with optional return bands
+ * @param {Object} options - Inputs for projectGrowth, plus:
+ * @param {number} [options.pessimisticReturn] - Annual return for the pessimistic band
+ * @param {number} [options.optimisticReturn] - Annual return for the optimistic band
+ * @returns {Object} { summary, yearly, bands } (bands is null unless a band return is given)
+ * @throws {Error} With status 400 if nothing is invested or bands are out of order
+ */
+export function projectInvestment({ pessimisticReturn = null, optimisticReturn = null, ...options }) {
+  if (!options.monthlyInvestment && !options.lumpSum) {
+    throw calculationError('monthlyInvestment', 'Provide a monthlyInvestment, a lumpSum or both');
+  }
+  if (pessimisticReturn !== null && pessimisticReturn > options.annualReturn) {
+    throw calculationError('pessimisticReturn', 'Must not be greater than annualReturn');
+  }
+  if (optimisticReturn !== null && optimisticReturn < options.annualReturn) {
+    throw calculationError('optimisticReturn', 'Must not be less than annualReturn');
+  }
+
+  const yearly = projectGrowth(options);
+  const final = yearly[yearly.length - 1];
+
+  const summarize = (annualReturn, rows) => ({
+    annualReturn,
+    corpus: rows[rows.length - 1].corpus,
+    realCorpus: rows[rows.length - 1].realCorpus,
+    gains: rows[rows.length - 1].gains,
+    yearly: rows.map(({ year, corpus, realCorpus }) => ({ year, corpus, realCorpus }))
+  });
+
+  let bands = null;
+  if (pessimisticReturn !== null || optimisticReturn !== null) {
+    bands = {
+      pessimistic: pessimisticReturn !== null
+        ? summarize(pessimisticReturn, projectGrowth({ ...options, annualReturn: pessimisticReturn }))
+        : null,
+      expected: summarize(options.annualReturn, yearly),
+      optimistic: optimisticReturn !== null
+        ? summarize(optimisticReturn, projectGrowth({ ...options, annualReturn: optimisticReturn }))
+        : null
+    };
+  }
+
+  return {
+    summary: {
+      years: final.year,
+      totalInvested: final.totalInvested,
+      gains: final.gains,
+      corpus: final.corpus,
+      realCorpus: final.realCorpus,
+      finalMonthlyInvestment: final.monthlyInvestment
+    },
+    yearly,
+    bands
+  };
+}
@@ -0,0 +1,102 @@
+/**
+ * Email delivery utility
+ * Picks the provider from config, retries failed sends and records
+ * delivery status in the email_messages table
+ *
+ * Config:
+ * - MAIL_PROVIDER: ses | outbox (default: outbox in development, ses in production;
+ *   outbox is only allowed in development since codes are returned in API responses)
+ * - MAIL_FROM: sender address (required for ses)
+ * - MAIL_MAX_RETRIES: retries after the first attempt (default: 2)
+ */
+
+import { query } from '../../config/database.js';
+import { isDevelopment } from '../environment.js';
+import { renderTemplate } from './templates.js';
+import { createSesProvider } from './providers/ses.js';
+import { createOutboxProvider } from './providers/outbox.js';
+
+const providerFactories = {
+  ses: createSesProvider,
+  outbox: createOutboxProvider
+};
+
+const cachedProviders = {};
+
+/**
+ * Get the configured email provider
+ * @returns {Object} Email provider
+ * @throws {Error} If provider is unknown or misconfigured, or outbox is used outside development
+ */
+export function getMailer() {
+  const development = isDevelopment();
+  const name = process.env.MAIL_PROVIDER || (development ? 'outbox' : 'ses');
+
+  if (name === 'outbox' && !development) {
+    throw new Error('Email provider outbox is only available in development');
+  }
+
+  if (!cachedProviders[name]) {
+    const factory = providerFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown email provider: ${name}`);
+    }
+    cachedProviders[name] = factory();
+  }
+  return cachedProviders[name];
+}
+
+/**
+ * Send an email with retry
+ * @param {Object} options
+ * @param {string} options.to - Recipient address
+ * @param {string} options.template - Template name (see templates.js)
+ * @param {Object} [options.params] - Template placeholder values
+ * @param {number} [options.userId] - User the message belongs to
+ * @returns {Promise<Object>} { id, provider, messageId }
+ * @throws {Error} With status 502 if every attempt fails
+ */
+export async function sendEmail({ to, template, params = {}, userId = null }) {
+  const { subject, text } = renderTemplate(template, params);
+  const maxRetries = parseInt(process.env.MAIL_MAX_RETRIES || '2');
+  const mailer = getMailer();
+
+  const record = await query(
+    `INSERT INTO email_messages (user_id, email, template, provider, status)
+     VALUES ($1, $2, $3, $4, 'pending')
+     RETURNING id`,
+    [userId, to, template, mailer.name]
+  );
+  const recordId = record.rows[0].id;
+
+  let lastError = null;
+
+  for (let attempt = 1; attempt <= maxRetries + 1; attempt++) {
+    try {
+      const { messageId } = await mailer.send({ to, subject, text });
+
+      await query(
+        `UPDATE email_messages
+         SET status = 'sent', provider_message_id = $1, attempts = $2, error = NULL
+         WHERE id = $3`,
+        [messageId, attempt, recordId]
+      );
+
+      return { id: recordId, provider: mailer.name, messageId };
+    } catch (error) {
+      console.error(`Email send via ${mailer.name} failed (attempt ${attempt}):`, error.message);
+      lastError = error;
+    }
+  }
+
+  await query(
+    `UPDATE email_messages
+     SET status = 'failed', attempts = $1, error = $2
+     WHERE id = $3`,
+    [maxRetries + 1, lastError.message, recordId]
+  );
+
+  const error = new Error('Failed to send email. Please try again later');
+  error.status = 502;
+  throw error;
+}
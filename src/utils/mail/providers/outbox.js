@@ -0,0 +1,61 @@
+/**
+ * Local outbox email provider for development and tests
+ * Messages are kept in memory and optionally appended to a file
+ * (one JSON object per line) instead of being delivered
+ */
+
+import { appendFile } from 'fs/promises';
+import { randomUUID } from 'crypto';
+
+const outbox = [];
+
+/**
+ * Create outbox provider
+ * @returns {Object} Email provider with send() method
+ */
+export function createOutboxProvider() {
+  return {
+    name: 'outbox',
+
+    /**
+     * Store email in the local outbox
+     * @param {Object} message - { to, subject, text }
+     * @returns {Promise<Object>} { messageId }
+     */
+    async send({ to, subject, text }) {
+      const entry = {
+        id: randomUUID(),
+        to,
+        subject,
+        text,
+        sentAt: new Date().toISOString()
+      };
+
+      outbox.push(entry);
+
+      if (process.env.MAIL_OUTBOX_FILE) {
+        await appendFile(process.env.MAIL_OUTBOX_FILE, `${JSON.stringify(entry)}\n`);
+      }
+
+      console.log(`[MAIL OUTBOX] To ${to}: ${subject}`);
+
+      return { messageId: entry.id };
+    }
+  };
+}
+
+/**
+ * Get messages stored in the outbox
+ * @param {string} [to] - Only return messages sent to this address
+ * @returns {Array<Object>} Outbox messages (oldest first)
+ */
+export function getOutbox(to) {
+  return to ? outbox.filter((entry) => entry.to === to) : [...outbox];
+}
+
+/**
+ * Remove all messages from the outbox
+ */
+export function clearOutbox() {
+  outbox.length = 0;
+}
@@ -0,0 +1,52 @@
+/**
+ * AWS SES email provider
+ * Sends plain-text email from the verified MAIL_FROM address
+ */
+
+import { SESv2Client, SendEmailCommand } from '@aws-sdk/client-sesv2';
+
+let cachedClient = null;
+
+/**
+ * Create SES provider
+ * @returns {Object} Email provider with send() method
+ * @throws {Error} If MAIL_FROM is not configured
+ */
+export function createSesProvider() {
+  const from = process.env.MAIL_FROM;
+
+  if (!from) {
+    throw new Error('MAIL_FROM is not configured');
+  }
+
+  return {
+    name: 'ses',
+
+    /**
+     * Send email via SES
+     * @param {Object} message - { to, subject, text }
+     * @returns {Promise<Object>} { messageId }
+     */
+    async send({ to, subject, text }) {
+      // Reuse the client across Lambda invocations
+      if (!cachedClient) {
+        cachedClient = new SESv2Client({
+          region: process.env.AWS_REGION || process.env.AWS_DEFAULT_REGION || 'ap-south-1'
+        });
+      }
+
+      const response = await cachedClient.send(new SendEmailCommand({
+        FromEmailAddress: from,
+        Destination: { ToAddresses: [to] },
+        Content: {
+          Simple: {
+            Subject: { Data: subject, Charset: 'UTF-8' },
+            Body: { Text: { Data: text, Charset: 'UTF-8' } }
+          }
+        }
+      }));
+
+      return { messageId: response.MessageId };
+    }
+  };
+}
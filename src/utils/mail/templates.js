@@ -0,0 +1,52 @@
+/**
+ * Email message templates
+ * Placeholders use {{name}} syntax in both the subject and the text body
+ */
+
+const templates = {
+  email_verification: {
+    subject: 'Verify your email address',
+    text: [
+      'Hello {{name}},',
+      '',
+      'Your Funds Project email verification code is {{code}}. It is valid for {{expiryMinutes}} minutes.',
+      '',
+      'If you did not add this email address to your Funds Project profile, you can ignore this message.'
+    ].join('\n')
+  },
+  mobile_change: {
+    subject: 'Confirm your new mobile number',
+    text: [
+      'Hello {{name}},',
+      '',
+      'We received a request to move your Funds Project account to the mobile number ending {{newNumberEnding}}.',
+      'To confirm, use code {{code}}. It is valid for {{expiryMinutes}} minutes.',
+      '',
+      'If you did not request this, do not share the code and contact support.'
+    ].join('\n')
+  }
+};
+
+/**
+ * Render an email template
+ * @param {string} name - Template name
+ * @param {Object} params - Placeholder values
+ * @returns {Object} { subject, text }
+ * @throws {Error} If template does not exist
+ */
+export function renderTemplate(name, params = {}) {
+  const template = templates[name];
+
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  const render = (source) => source.replace(/\{\{(\w+)\}\}/g, (match, key) =>
+    params[key] !== undefined ? String(params[key]) : match
+  );
+
+  return {
+    subject: render(template.subject),
+    text: render(template.text)
+  };
+}
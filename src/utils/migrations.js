@@ -0,0 +1,207 @@
+/**
+ * Database migration runner
+ *
+ * Migrations live in database/migrations as NNN_name.sql with an optional
+ * NNN_name.down.sql rollback file. Applied migrations are recorded with a
+ * SHA-256 checksum in the schema_migrations table. A Postgres advisory lock
+ * serializes runners, so concurrent Lambda cold starts cannot apply the
+ * same migration twice.
+ */
+
+import { readdir, readFile } from 'fs/promises';
+import { createHash } from 'crypto';
+import { fileURLToPath } from 'url';
+import path from 'path';
+import { getClient } from '../config/database.js';
+
+const MIGRATIONS_DIR = fileURLToPath(new URL('../../database/migrations', import.meta.url));
+
+// Arbitrary constant identifying the migration lock
+const MIGRATION_LOCK_ID = 727001;
+
+/**
+ * Load migration files from disk
+ * @returns {Promise<Array<Object>>} Migrations sorted by version: { version, name, sql, downSql, checksum }
+ */
+export async function loadMigrations() {
+  const files = await readdir(MIGRATIONS_DIR);
+  const migrations = [];
+
+  for (const file of files) {
+    const match = file.match(/^(\d+)_(.+?)(?<!\.down)\.sql$/);
+    if (!match) {
+      continue;
+    }
+
+    const sql = await readFile(path.join(MIGRATIONS_DIR, file), 'utf-8');
+    const downFile = file.replace(/\.sql$/, '.down.sql');
+    const downSql = files.includes(downFile)
+      ? await readFile(path.join(MIGRATIONS_DIR, downFile), 'utf-8')
+      : null;
+
+    migrations.push({
+      version: match[1],
+      name: match[2],
+      sql,
+      downSql,
+      checksum: createHash('sha256').update(sql).digest('hex')
+    });
+  }
+
+  return migrations.sort((a, b) => a.version.localeCompare(b.version));
+}
+
+/**
+ * Run a function while holding the migration advisory lock
+ * @param {Function} fn - async (client) => result
+ * @returns {Promise<*>} Result of fn
+ */
+async function withMigrationLock(fn) {
+  const client = await getClient();
+
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version VARCHAR(20) PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        checksum VARCHAR(64) NOT NULL,
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    return await fn(client);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]).catch(() => {});
+    client.release();
+  }
+}
+
+/**
+ * Get applied migrations keyed by version
+ * @param {Object} client - pg client
+ * @returns {Promise<Map<string, Object>>} Applied migration rows
+ */
+async function getApplied(client) {
+  const result = await client.query(
+    'SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version'
+  );
+  return new Map(result.rows.map((row) => [row.version, row]));
+}
+
+/**
+ * Get status of every migration
+ * @returns {Promise<Array<Object>>} { version, name, status (applied | pending | modified | missing), appliedAt }
+ */
+export async function getMigrationStatus() {
+  const migrations = await loadMigrations();
+
+  return withMigrationLock(async (client) => {
+    const applied = await getApplied(client);
+
+    const status = migrations.map((migration) => {
+      const row = applied.get(migration.version);
+      let state = 'pending';
+      if (row) {
+        state = row.checksum === migration.checksum ? 'applied' : 'modified';
+      }
+      return {
+        version: migration.version,
+        name: migration.name,
+        status: state,
+        appliedAt: row ? row.applied_at : null
+      };
+    });
+
+    // Applied migrations whose files have been removed
+    for (const row of applied.values()) {
+      if (!migrations.some((migration) => migration.version === row.version)) {
+        status.push({ version: row.version, name: row.name, status: 'missing', appliedAt: row.applied_at });
+      }
+    }
+
+    return status.sort((a, b) => a.version.localeCompare(b.version));
+  });
+}
+
+/**
+ * Apply all pending migrations, each in its own transaction
+ * @returns {Promise<Array<string>>} Applied migration names (version_name)
+ * @throws {Error} If an applied migration file has been modified since it ran
+ */
+export async function migrateUp() {
+  const migrations = await loadMigrations();
+
+  return withMigrationLock(async (client) => {
+    const applied = await getApplied(client);
+    const appliedNow = [];
+
+    for (const migration of migrations) {
+      const row = applied.get(migration.version);
+
+      if (row) {
+        if (row.checksum !== migration.checksum) {
+          throw new Error(`Migration ${migration.version}_${migration.name} has been modified after it was applied`);
+        }
+        continue;
+      }
+
+      try {
+        await client.query('BEGIN');
+        await client.query(migration.sql);
+        await client.query(
+          'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+          [migration.version, migration.name, migration.checksum]
+        );
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw new Error(`Migration ${migration.version}_${migration.name} failed: ${error.message}`);
+      }
+
+      console.log(`Applied migration ${migration.version}_${migration.name}`);
+      appliedNow.push(`${migration.version}_${migration.name}`);
+    }
+
+    return appliedNow;
+  });
+}
+
+/**
+ * Roll back the most recently applied migrations using their .down.sql files
+ * @param {number} [steps] - Number of migrations to roll back (default: 1)
+ * @returns {Promise<Array<string>>} Rolled back migration names (version_name)
+ * @throws {Error} If a migration has no rollback file
+ */
+export async function migrateDown(steps = 1) {
+  const migrations = await loadMigrations();
+
+  return withMigrationLock(async (client) => {
+    const applied = [...(await getApplied(client)).values()].reverse().slice(0, steps);
+    const rolledBack = [];
+
+    for (const row of applied) {
+      const migration = migrations.find((m) => m.version === row.version);
+
+      if (!migration || !migration.downSql) {
+        throw new Error(`Migration ${row.version}_${row.name} has no rollback file`);
+      }
+
+      try {
+        await client.query('BEGIN');
+        await client.query(migration.downSql);
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [row.version]);
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw new Error(`Rollback of ${row.version}_${row.name} failed: ${error.message}`);
+      }
+
+      console.log(`Rolled back migration ${row.version}_${row.name}`);
+      rolledBack.push(`${row.version}_${row.name}`);
+    }
+
+    return rolledBack;
+  });
+}
@@ -0,0 +1,111 @@
+/**
+ * Loan offer comparison utility
+ *
+ * Works out what each offer really costs and ranks them by APR:
+ * - Reducing-rate offers charge interest on the outstanding balance (standard EMI)
+ * - Flat-rate offers charge interest on the full principal for the whole
+ *   tenure, spread evenly over the installments
+ * - The processing fee and an upfront insurance premium reduce the amount
+ *   actually received; a financed premium is added to the loan instead
+ *
+ * APR is the IRR of the borrower's cash flows (net amount received, then
+ * monthly installments), annualised as monthly IRR × 12. The effective annual
+ * rate compounds the monthly IRR instead.
+ */
+
+import { toPaise, fromPaise, roundHalfUp, roundMoney, periodicRate, irr } from './finance.js';
+import { calculateEmi, buildSchedule } from './amortization.js';
+
+export const RATE_TYPES = ['reducing', 'flat'];
+
+/**
+ * Build the installment schedule (in paise) for a flat-rate loan
+ * @param {number} principalPaise - Loan amount in paise
+ * @param {number} annualRate - Flat annual rate in percent
+ * @param {number} periods - Number of monthly installments
+ * @returns {Array<number>} Installments in paise (last one absorbs rounding)
+ */
+function flatInstallments(principalPaise, annualRate, periods) {
+  const totalPaise = principalPaise + roundHalfUp((principalPaise * annualRate * periods) / 1200);
+  const installment = roundHalfUp(totalPaise / periods);
+  const installments = new Array(periods).fill(installment);
+  installments[periods - 1] = totalPaise - installment * (periods - 1);
+  return installments;
+}
+
+/**
+ * Work out the cost of a single offer
+ * @param {number} principal - Amount the borrower needs, in rupees
+ * @param {Object} offer - { name, annualRate, tenureMonths, rateType, processingFeePercent, processingFeeAmount, insurancePremium, insuranceFinanced }
+ * @returns {Object} Offer cost breakdown (amounts in rupees, rates in percent)
+ */
+export function evaluateOffer(principal, offer) {
+  const {
+    name,
+    annualRate,
+    tenureMonths,
+    rateType = 'reducing',
+    processingFeePercent = 0,
+    processingFeeAmount = 0,
+    insurancePremium = 0,
+    insuranceFinanced = false
+  } = offer;
+
+  const principalPaise = toPaise(principal);
+  const insurancePaise = toPaise(insurancePremium);
+  const loanPaise = principalPaise + (insuranceFinanced ? insurancePaise : 0);
+  const processingFeePaise = roundHalfUp((loanPaise * processingFeePercent) / 100) + toPaise(processingFeeAmount);
+  const upfrontPaise = processingFeePaise + (insuranceFinanced ? 0 : insurancePaise);
+
+  let installments;
+  if (rateType === 'flat') {
+    installments = flatInstallments(loanPaise, annualRate, tenureMonths);
+  } else {
+    const rate = periodicRate(annualRate);
+    const emiPaise = calculateEmi(loanPaise, rate, tenureMonths);
+    installments = buildSchedule({ principalPaise: loanPaise, rate, periods: tenureMonths, emiPaise })
+      .map((row) => row.installment);
+  }
+
+  const totalInstallmentsPaise = installments.reduce((sum, installment) => sum + installment, 0);
+  const monthlyIrr = irr([principalPaise - upfrontPaise, ...installments.map((installment) => -installment)]);
+
+  return {
+    name,
+    rateType,
+    annualRate,
+    tenureMonths,
+    loanAmount: fromPaise(loanPaise),
+    emi: fromPaise(installments[0]),
+    processingFee: fromPaise(processingFeePaise),
+    insurancePremium: fromPaise(insurancePaise),
+    totalInterest: fromPaise(totalInstallmentsPaise - loanPaise),
+    totalPayable: fromPaise(totalInstallmentsPaise + upfrontPaise),
+    totalCost: fromPaise(totalInstallmentsPaise + upfrontPaise - principalPaise),
+    apr: monthlyIrr === null ? null : roundMoney(monthlyIrr * 1200),
+    effectiveAnnualRate: monthlyIrr === null ? null : roundMoney((Math.pow(1 + monthlyIrr, 12) - 1) * 100)
+  };
+}
+
+/**
+ * Compare loan offers and rank them by APR (then by total cost)
+ * @param {Object} options
+ * @param {number} options.principal - Amount the borrower needs, in rupees
+ * @param {Array<Object>} options.offers - Offers (see evaluateOffer)
+ * @returns {Object} { offers (ranked, each with rank), best, savingsVsWorst }
+ */
+export function compareOffers({ principal, offers }) {
+  const ranked = offers
+    .map((offer, index) => evaluateOffer(principal, { ...offer, name: offer.name || `Offer ${index + 1}` }))
+    .sort((a, b) => (a.apr ?? Infinity) - (b.apr ?? Infinity) || a.totalCost - b.totalCost)
+    .map((offer, index) => ({ rank: index + 1, ...offer }));
+
+  const best = ranked[0];
+  const worst = ranked[ranked.length - 1];
+
+  return {
+    offers: ranked,
+    best: best.name,
+    savingsVsWorst: roundMoney(worst.totalCost - best.totalCost)
+  };
+}
@@ -1,22 +1,100 @@
 /**
  * OTP generation and validation utility
+ *
+ * OTPs are stored as HMAC-SHA256 hashes keyed with OTP_HMAC_SECRET. The key
+ * is separate from the JWT signing keys so rotating those (JWT_SECRET_NAME)
+ * doesn't invalidate pending OTPs. Development falls back to a built-in
+ * key, like jwt.js; elsewhere the secret is required at startup.
  */
 
+import { randomInt, createHmac, timingSafeEqual } from 'crypto';
+import dotenv from 'dotenv';
+
+// Load .env file for local development
+if (process.env.NODE_ENV === 'development' || !process.env.AWS_LAMBDA_FUNCTION_NAME) {
+  dotenv.config();
+}
+
+const isDevelopment = process.env.NODE_ENV === 'development' || !process.env.AWS_LAMBDA_FUNCTION_NAME;
+
+const DEFAULT_OTP_HMAC_SECRET = 'your-otp-secret-change-in-production';
+
+// Refuse to start in production without a real OTP hashing key
+if (
+  !isDevelopment &&
+  (!process.env.OTP_HMAC_SECRET || process.env.OTP_HMAC_SECRET === DEFAULT_OTP_HMAC_SECRET)
+) {
+  throw new Error('OTP hashing key is not configured. Set a non-default OTP_HMAC_SECRET.');
+}
+
+/**
+ * Get configured OTP length (number of digits)
+ * @returns {number} OTP length (default: 6)
+ */
+export function getOTPLength() {
+  return parseInt(process.env.OTP_LENGTH || '6');
+}
+
+/**
+ * Get configured OTP validity in minutes
+ * @returns {number} Expiry in minutes (default: 15)
+ */
+export function getOTPExpiryMinutes() {
+  return parseInt(process.env.OTP_EXPIRY_MINUTES || '15');
+}
+
+/**
+ * Normalize a mobile number (ensure it starts with +, defaulting to India)
+ * @param {string} mobileNumber - Validated mobile number
+ * @returns {string} Mobile number in E.164 format
+ */
+export function normalizeMobile(mobileNumber) {
+  return mobileNumber.startsWith('+') ? mobileNumber : `+91${mobileNumber}`;
+}
+
 /**
- * Generate a 6-digit OTP
- * @returns {string} 6-digit OTP
+ * Generate a numeric OTP using a cryptographically secure RNG
+ * @param {number} [length] - Number of digits (default: configured length)
+ * @returns {string} OTP (zero-padded)
  */
-export function generateOTP() {
-  return Math.floor(100000 + Math.random() * 900000).toString();
+export function generateOTP(length = getOTPLength()) {
+  return randomInt(0, 10 ** length).toString().padStart(length, '0');
 }
 
 /**
- * Validate OTP format (6 digits)
+ * Validate OTP format (configured number of digits)
  * @param {string} otp - OTP to validate
  * @returns {boolean} True if valid format
  */
 export function isValidOTPFormat(otp) {
-  return /^\d{6}$/.test(otp);
+  return new RegExp(`^\\d{${getOTPLength()}}$`).test(otp);
+}
+
+/**
+ * Hash an OTP with HMAC-SHA256 using the server secret
+ * The mobile number is included so a hash cannot be replayed for another number
+ * @param {string} otp - Plaintext OTP
+ * @param {string} mobileNumber - Normalized mobile number the OTP was sent to
+ * @returns {string} Hex-encoded hash
+ */
+export function hashOTP(otp, mobileNumber) {
+  const secret = process.env.OTP_HMAC_SECRET || DEFAULT_OTP_HMAC_SECRET;
+
+  return createHmac('sha256', secret).update(`${mobileNumber}:${otp}`).digest('hex');
+}
+
+/**
+ * Compare an OTP against a stored hash in constant time
+ * @param {string} otp - Plaintext OTP provided by the user
+ * @param {string} mobileNumber - Normalized mobile number
+ * @param {string} storedHash - Hash stored in the database
+ * @returns {boolean} True if OTP matches
+ */
+export function verifyOTPHash(otp, mobileNumber, storedHash) {
+  const expected = Buffer.from(hashOTP(otp, mobileNumber), 'hex');
+  const actual = Buffer.from(storedHash || '', 'hex');
+
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
 }
 
 /**
@@ -29,12 +107,27 @@ export function isOTPExpired(expiryTime) {
 }
 
 /**
- * Get OTP expiry time (15 minutes from now)
+ * Get OTP expiry time (configured minutes from now)
  * @returns {Date} Expiry timestamp
  */
 export function getOTPExpiryTime() {
   const expiryTime = new Date();
-  expiryTime.setMinutes(expiryTime.getMinutes() + 15); // 15 minutes expiry
+  expiryTime.setMinutes(expiryTime.getMinutes() + getOTPExpiryMinutes());
   return expiryTime;
 }
 
+/**
+ * Get OTP rate limiting configuration
+ * @returns {Object} Limits (counts and durations in seconds)
+ */
+export function getOTPLimits() {
+  return {
+    maxAttempts: parseInt(process.env.OTP_MAX_ATTEMPTS || '5'),
+    lockoutSeconds: parseInt(process.env.OTP_LOCKOUT_MINUTES || '30') * 60,
+    resendCooldownSeconds: parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS || '60'),
+    dailyLimitPerNumber: parseInt(process.env.OTP_DAILY_LIMIT_PER_NUMBER || '10'),
+    dailyLimitPerIp: parseInt(process.env.OTP_DAILY_LIMIT_PER_IP || '50'),
+    // OTPs a signed-in user sends to numbers (co-applicant invites, mobile number changes)
+    dailyLimitPerUser: parseInt(process.env.OTP_DAILY_LIMIT_PER_USER || '10')
+  };
+}
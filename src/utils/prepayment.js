@@ -0,0 +1,185 @@
+/**
+ * Loan prepayment and foreclosure simulation
+ *
+ * Builds the baseline schedule, then replays the loan applying part-prepayments
+ * right after the installment they are scheduled with. After each prepayment
+ * the borrower either keeps the EMI and finishes earlier ('reduce_tenure') or
+ * keeps the remaining tenure and pays a recalculated, lower EMI ('reduce_emi').
+ * A foreclosure pays off the whole outstanding principal after an installment.
+ *
+ * Charges are a percentage of the amount prepaid (part-prepayments) or of the
+ * outstanding principal (foreclosure), rounded half-up to the nearest paisa.
+ */
+
+import { calculationError, fromPaise, toPaise, roundHalfUp, addMonths } from './finance.js';
+import { calculateEmi, buildSchedule, resolveLoanTerms, sumSchedule, formatScheduleRow } from './amortization.js';
+
+export const PREPAYMENT_STRATEGIES = ['reduce_tenure', 'reduce_emi'];
+export const PREPAYMENT_TYPES = ['one_time', 'recurring'];
+
+/**
+ * Expand one-time and recurring prepayments into amounts per installment
+ * @param {Array<Object>} prepayments - { amount, afterInstallment, type, repeatEvery, endInstallment }
+ * @param {number} periods - Number of installments in the loan
+ * @returns {Map<number, number>} Installment number → prepayment in paise
+ * @throws {Error} With status 400 if a prepayment falls outside the tenure
+ */
+function expandPrepayments(prepayments, periods) {
+  const byPeriod = new Map();
+
+  prepayments.forEach((prepayment, index) => {
+    const field = `prepayments[${index}]`;
+    const { amount, afterInstallment, type = 'one_time', repeatEvery, endInstallment } = prepayment;
+
+    if (afterInstallment > periods) {
+      throw calculationError(`${field}.afterInstallment`, `Must be within the loan tenure (${periods} installments)`);
+    }
+
+    let last = afterInstallment;
+    let step = 1;
+
+    if (type === 'recurring') {
+      if (!repeatEvery) {
+        throw calculationError(`${field}.repeatEvery`, 'Required for recurring prepayments');
+      }
+      if (endInstallment !== undefined && endInstallment !== null && endInstallment < afterInstallment) {
+        throw calculationError(`${field}.endInstallment`, 'Must not be before afterInstallment');
+      }
+      last = Math.min(endInstallment ?? periods, periods);
+      step = repeatEvery;
+    }
+
+    for (let period = afterInstallment; period <= last; period += step) {
+      byPeriod.set(period, (byPeriod.get(period) || 0) + toPaise(amount));
+    }
+  });
+
+  return byPeriod;
+}
+
+/**
+ * Calculate a percentage charge in paise
+ * @param {number} amountPaise - Amount the charge applies to
+ * @param {number} percent - Charge in percent
+ * @returns {number} Charge in paise
+ */
+function chargeOn(amountPaise, percent) {
+  return roundHalfUp((amountPaise * percent) / 100);
+}
+
+/**
+ * Simulate part-prepayments and foreclosure against the baseline schedule
+ * @param {Object} options - Loan inputs (see resolveLoanTerms) plus:
+ * @param {string} [options.startDate] - First due date (YYYY-MM-DD)
+ * @param {Array<Object>} [options.prepayments] - { amount, afterInstallment, type, repeatEvery, endInstallment }
+ * @param {string} [options.strategy] - One of PREPAYMENT_STRATEGIES (default: reduce_tenure)
+ * @param {number} [options.prepaymentChargePercent] - Charge on part-prepayments (default: 0)
+ * @param {number} [options.forecloseAfterInstallment] - Pay off the loan after this installment
+ * @param {number} [options.foreclosureChargePercent] - Charge on the foreclosed principal (default: 0)
+ * @returns {Object} { baseline, revised, foreclosure, savings } (amounts in rupees)
+ * @throws {Error} With status 400 if the inputs are inconsistent with the loan
+ */
+export function simulatePrepayments({
+  startDate = null,
+  prepayments = [],
+  strategy = 'reduce_tenure',
+  prepaymentChargePercent = 0,
+  forecloseAfterInstallment = null,
+  foreclosureChargePercent = 0,
+  ...loan
+}) {
+  const { principalPaise, rate, periods, monthsPerPeriod, emiPaise } = resolveLoanTerms(loan);
+  const baseline = buildSchedule({ principalPaise, rate, periods, emiPaise, monthsPerPeriod, startDate });
+
+  if (forecloseAfterInstallment !== null && forecloseAfterInstallment > periods) {
+    throw calculationError('forecloseAfterInstallment', `Must be within the loan tenure (${periods} installments)`);
+  }
+
+  const prepaymentsByPeriod = expandPrepayments(prepayments, periods);
+  const schedule = [];
+  let balance = principalPaise;
+  let emi = emiPaise;
+  let foreclosure = null;
+
+  for (let period = 1; period <= periods && balance > 0; period++) {
+    const openingBalance = balance;
+    const interest = roundHalfUp(balance * rate);
+    let principal = emi - interest;
+
+    if (period === periods || principal >= balance) {
+      principal = balance;
+    }
+    balance -= principal;
+
+    let prepayment = Math.min(prepaymentsByPeriod.get(period) || 0, balance);
+    let charges = chargeOn(prepayment, prepaymentChargePercent);
+
+    if (period === forecloseAfterInstallment && balance - prepayment > 0) {
+      const outstanding = balance - prepayment;
+      const charge = chargeOn(outstanding, foreclosureChargePercent);
+
+      foreclosure = {
+        afterInstallment: period,
+        date: startDate ? addMonths(startDate, (period - 1) * monthsPerPeriod) : null,
+        outstandingPrincipal: fromPaise(outstanding),
+        charge: fromPaise(charge),
+        totalAmount: fromPaise(outstanding + charge)
+      };
+      prepayment += outstanding;
+      charges += charge;
+    }
+
+    balance -= prepayment;
+
+    schedule.push({
+      period,
+      dueDate: startDate ? addMonths(startDate, (period - 1) * monthsPerPeriod) : null,
+      openingBalance,
+      installment: principal + interest,
+      principal,
+      interest,
+      prepayment,
+      charges,
+      closingBalance: balance
+    });
+
+    // Re-spread the remaining balance over the remaining installments
+    if (strategy === 'reduce_emi' && prepayment > 0 && balance > 0) {
+      emi = calculateEmi(balance, rate, periods - period, loan.emiRounding);
+    }
+  }
+
+  const baselineInterest = sumSchedule(baseline, 'interest');
+  const revisedInterest = sumSchedule(schedule, 'interest');
+  const totalPrepayment = sumSchedule(schedule, 'prepayment');
+  const totalCharges = sumSchedule(schedule, 'charges');
+  const interestSaved = baselineInterest - revisedInterest;
+
+  return {
+    baseline: {
+      emi: fromPaise(emiPaise),
+      numberOfPayments: baseline.length,
+      totalInterest: fromPaise(baselineInterest),
+      totalPayment: fromPaise(sumSchedule(baseline, 'installment'))
+    },
+    revised: {
+      emi: fromPaise(emi),
+      numberOfPayments: schedule.length,
+      totalInterest: fromPaise(revisedInterest),
+      totalPrepayment: fromPaise(totalPrepayment),
+      totalCharges: fromPaise(totalCharges),
+      totalPayment: fromPaise(sumSchedule(schedule, 'installment') + totalPrepayment + totalCharges),
+      schedule: schedule.map((row) => ({
+        ...formatScheduleRow(row),
+        prepayment: fromPaise(row.prepayment),
+        charges: fromPaise(row.charges)
+      }))
+    },
+    foreclosure,
+    savings: {
+      interestSaved: fromPaise(interestSaved),
+      netSavings: fromPaise(interestSaved - totalCharges),
+      installmentsReduced: baseline.length - schedule.length
+    }
+  };
+}
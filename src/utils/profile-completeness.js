@@ -0,0 +1,101 @@
+/**
+ * Profile completeness scoring
+ *
+ * A required field (see config/profile-requirements.js) counts as complete
+ * when it is filled in and its stored value still passes the profile schema.
+ * Unanswered fields are NULL, so a stored 0 (e.g. no dependents) is an
+ * answer; the number columns had a default of 0 until migration 022.
+ * Optional fields do not affect the percentage, but invalid optional values
+ * are reported so they can be corrected.
+ */
+
+import { validate } from './validator.js';
+import { monthsBetween } from './finance.js';
+import { profileSchema } from '../schemas/profile.schema.js';
+import { PROFILE_SECTIONS } from '../config/profile-requirements.js';
+
+const MIN_AGE_YEARS = 18;
+
+/**
+ * Check whether a profile field has a value
+ * @param {*} value - Formatted profile value
+ * @returns {boolean} True if filled in
+ */
+const isFilled = (value) => value !== null && value !== undefined && value !== '';
+
+/**
+ * Re-validate a stored profile value
+ * @param {string} field - Profile field name
+ * @param {*} value - Formatted profile value
+ * @param {Date} asOf - Date used for the age check
+ * @returns {Object|null} Validation error { field, code, message }, or null if valid
+ */
+function checkField(field, value, asOf) {
+  // Dates come back from pg as Date objects, so check the age rather than the format
+  if (field === 'dateOfBirth') {
+    return monthsBetween(value, asOf) < MIN_AGE_YEARS * 12
+      ? { field, code: 'invalid_value', message: `Must be at least ${MIN_AGE_YEARS} years old` }
+      : null;
+  }
+
+  const { required, ...rule } = profileSchema[field];
+  const { errors } = validate({ [field]: rule }, { [field]: value });
+  return errors[0] || null;
+}
+
+/**
+ * Score a profile against a list of required fields
+ * @param {Object} profile - Formatted user profile (see formatUserProfile)
+ * @param {Array<string>} requiredFields - Required profile field names
+ * @param {Date} [asOf] - Date used for the age check (default: now)
+ * @returns {Object} { percentage, isComplete, sections, missingFields, invalidFields }
+ */
+export function assessProfileCompleteness(profile, requiredFields, asOf = new Date()) {
+  let requiredCount = 0;
+  let completedCount = 0;
+
+  const sections = Object.entries(PROFILE_SECTIONS).map(([section, fields]) => {
+    const required = fields.filter((field) => requiredFields.includes(field));
+    const invalidFields = fields
+      .filter((field) => isFilled(profile[field]))
+      .map((field) => checkField(field, profile[field], asOf))
+      .filter(Boolean);
+    const missingFields = required.filter((field) => !isFilled(profile[field]));
+    const completed = required.filter(
+      (field) => isFilled(profile[field]) && !invalidFields.some((error) => error.field === field)
+    );
+
+    requiredCount += required.length;
+    completedCount += completed.length;
+
+    let status = 'complete';
+    if (required.length === 0 && invalidFields.length === 0) {
+      status = 'optional';
+    } else if (missingFields.length === required.length && required.length > 0) {
+      status = 'not_started';
+    } else if (completed.length < required.length || invalidFields.length > 0) {
+      status = 'incomplete';
+    }
+
+    return {
+      section,
+      status,
+      requiredFields: required,
+      completedFields: completed,
+      missingFields,
+      invalidFields
+    };
+  });
+
+  const missingFields = sections.flatMap((section) => section.missingFields);
+  const invalidFields = sections.flatMap((section) => section.invalidFields);
+
+  return {
+    // Rounded down so 100 is only reported when every required field is complete
+    percentage: requiredCount === 0 ? 100 : Math.floor((completedCount / requiredCount) * 100),
+    isComplete: missingFields.length === 0 && invalidFields.length === 0,
+    sections,
+    missingFields,
+    invalidFields
+  };
+}
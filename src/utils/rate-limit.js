@@ -0,0 +1,111 @@
+/**
+ * OTP send rate limiting
+ * Every OTP-bearing SMS (login, co-applicant invites, mobile number changes)
+ * is recorded in otp_send_log and counts towards rolling 24-hour caps per
+ * mobile number and per IP address. Sends a signed-in user triggers also
+ * count towards a cap per user (see getOTPLimits in otp.js).
+ */
+
+import { query } from '../config/database.js';
+import { getOTPLimits } from './otp.js';
+
+/**
+ * Send a 429 response with a Retry-After header
+ * @param {Object} res - Express response
+ * @param {number} retryAfter - Seconds until the client may retry
+ * @param {string} message - Error message
+ */
+export const tooManyRequests = (res, retryAfter, message) => {
+  const seconds = Math.max(1, Math.ceil(retryAfter));
+  res.set('Retry-After', String(seconds));
+  return res.status(429).json({
+    error: message,
+    retryAfter: seconds
+  });
+};
+
+/**
+ * Count OTP sends in the last 24 hours
+ * @param {string} column - mobile_number, ip_address or requested_by
+ * @param {string|number} value - Value to match
+ * @returns {Promise<Object>} { count, retryAfter } where retryAfter is seconds until the oldest send leaves the window
+ */
+async function getDailyUsage(column, value) {
+  const usage = await query(
+    `SELECT COUNT(*)::int AS count,
+            EXTRACT(EPOCH FROM (MIN(created_at) + INTERVAL '1 day' - CURRENT_TIMESTAMP))::float AS retry_after
+     FROM otp_send_log
+     WHERE ${column} = $1 AND created_at > CURRENT_TIMESTAMP - INTERVAL '1 day'`,
+    [value]
+  );
+  return { count: usage.rows[0].count, retryAfter: usage.rows[0].retry_after };
+}
+
+/**
+ * Check the daily OTP cap for a mobile number
+ * @param {Object} res - Express response
+ * @param {string} mobileNumber - Normalized mobile number
+ * @param {string} [message] - Error message for the 429 response
+ * @returns {Promise<boolean>} True if a 429 response was sent
+ */
+export async function rejectOverDailyLimit(
+  res,
+  mobileNumber,
+  message = 'Daily OTP limit reached for this mobile number. Please try again later'
+) {
+  const { count, retryAfter } = await getDailyUsage('mobile_number', mobileNumber);
+
+  if (count < getOTPLimits().dailyLimitPerNumber) {
+    return false;
+  }
+
+  tooManyRequests(res, retryAfter, message);
+  return true;
+}
+
+/**
+ * Check the daily OTP cap for an IP address
+ * @param {Object} res - Express response
+ * @param {string} ipAddress - Client IP address (req.ip)
+ * @returns {Promise<boolean>} True if a 429 response was sent
+ */
+export async function rejectOverDailyIpLimit(res, ipAddress) {
+  const { count, retryAfter } = await getDailyUsage('ip_address', ipAddress);
+
+  if (count < getOTPLimits().dailyLimitPerIp) {
+    return false;
+  }
+
+  tooManyRequests(res, retryAfter, 'Too many OTP requests from this network. Please try again later');
+  return true;
+}
+
+/**
+ * Check the daily cap on OTPs a signed-in user has triggered
+ * @param {Object} res - Express response
+ * @param {number} userId - Requesting user id
+ * @returns {Promise<boolean>} True if a 429 response was sent
+ */
+export async function rejectOverDailyUserLimit(res, userId) {
+  const { count, retryAfter } = await getDailyUsage('requested_by', userId);
+
+  if (count < getOTPLimits().dailyLimitPerUser) {
+    return false;
+  }
+
+  tooManyRequests(res, retryAfter, 'Daily limit for sending codes reached. Please try again later');
+  return true;
+}
+
+/**
+ * Record an OTP send for the daily caps
+ * @param {string} mobileNumber - Normalized mobile number the OTP was sent to
+ * @param {string} ipAddress - Client IP address (req.ip)
+ * @param {number} [requestedBy] - Signed-in user who triggered the send (not set for login OTPs)
+ */
+export async function recordOtpSend(mobileNumber, ipAddress, requestedBy = null) {
+  await query(
+    'INSERT INTO otp_send_log (mobile_number, ip_address, requested_by) VALUES ($1, $2, $3)',
+    [mobileNumber, ipAddress, requestedBy]
+  );
+}
@@ -0,0 +1,81 @@
+/**
+ * Refresh token generation and verification utility
+ * Refresh tokens have the form "<sessionId>.<secret>"; only a SHA-256
+ * hash of the token is stored in the sessions table
+ */
+
+import { randomBytes, randomUUID, createHash, timingSafeEqual } from 'crypto';
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Generate a new session id
+ * @returns {string} UUID
+ */
+export function generateSessionId() {
+  return randomUUID();
+}
+
+/**
+ * Check whether a value is a well-formed session id
+ * @param {string} sessionId - Value to check
+ * @returns {boolean} True if valid UUID
+ */
+export function isValidSessionId(sessionId) {
+  return typeof sessionId === 'string' && UUID_REGEX.test(sessionId);
+}
+
+/**
+ * Generate a refresh token for a session
+ * @param {string} sessionId - Session id
+ * @returns {string} Refresh token
+ */
+export function generateRefreshToken(sessionId) {
+  return `${sessionId}.${randomBytes(32).toString('base64url')}`;
+}
+
+/**
+ * Extract the session id from a refresh token
+ * @param {string} refreshToken - Refresh token
+ * @returns {string|null} Session id, or null if the token is malformed
+ */
+export function parseRefreshToken(refreshToken) {
+  if (typeof refreshToken !== 'string') {
+    return null;
+  }
+
+  const [sessionId, secret] = refreshToken.split('.');
+  return isValidSessionId(sessionId) && secret ? sessionId : null;
+}
+
+/**
+ * Hash a refresh token for storage
+ * @param {string} refreshToken - Refresh token
+ * @returns {string} Hex-encoded SHA-256 hash
+ */
+export function hashRefreshToken(refreshToken) {
+  return createHash('sha256').update(refreshToken).digest('hex');
+}
+
+/**
+ * Compare a refresh token against a stored hash in constant time
+ * @param {string} refreshToken - Refresh token provided by the client
+ * @param {string} storedHash - Hash stored in the database
+ * @returns {boolean} True if token matches
+ */
+export function verifyRefreshTokenHash(refreshToken, storedHash) {
+  const expected = Buffer.from(hashRefreshToken(refreshToken), 'hex');
+  const actual = Buffer.from(storedHash || '', 'hex');
+
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
+
+/**
+ * Get refresh token expiry time (configured days from now)
+ * @returns {Date} Expiry timestamp
+ */
+export function getRefreshTokenExpiryTime() {
+  const expiryTime = new Date();
+  expiryTime.setDate(expiryTime.getDate() + parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS || '30'));
+  return expiryTime;
+}
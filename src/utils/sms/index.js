@@ -0,0 +1,132 @@
+/**
+ * SMS delivery utility
+ * Picks the provider from config, retries failed sends, falls back to a
+ * secondary provider and records delivery status in the sms_messages table
+ *
+ * Config:
+ * - SMS_PROVIDER: sns | twilio | http | outbox (default: outbox in development, sns in production;
+ *   outbox is only allowed in development since OTPs are returned in API responses)
+ * - SMS_FALLBACK_PROVIDER: optional secondary provider
+ * - SMS_MAX_RETRIES: retries per provider after the first attempt (default: 2)
+ */
+
+import { query } from '../../config/database.js';
+import { isDevelopment } from '../environment.js';
+import { renderTemplate } from './templates.js';
+import { createSnsProvider } from './providers/sns.js';
+import { createTwilioProvider } from './providers/twilio.js';
+import { createHttpGatewayProvider } from './providers/http-gateway.js';
+import { createOutboxProvider } from './providers/outbox.js';
+
+const providerFactories = {
+  sns: createSnsProvider,
+  twilio: createTwilioProvider,
+  http: createHttpGatewayProvider,
+  outbox: createOutboxProvider
+};
+
+const cachedProviders = {};
+
+/**
+ * Get an SMS provider by name
+ * @param {string} name - Provider name
+ * @returns {Object} SMS provider
+ * @throws {Error} If provider is unknown or misconfigured
+ */
+export function getProvider(name) {
+  if (!cachedProviders[name]) {
+    const factory = providerFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown SMS provider: ${name}`);
+    }
+    cachedProviders[name] = factory();
+  }
+  return cachedProviders[name];
+}
+
+/**
+ * Get the configured provider names in the order they should be tried
+ * The outbox provider is dropped outside development: it delivers nothing
+ * and its codes are echoed to the caller
+ * @returns {Array<string>} Provider names (primary first)
+ */
+export function getProviderChain() {
+  const development = isDevelopment();
+  const primary = process.env.SMS_PROVIDER || (development ? 'outbox' : 'sns');
+  const fallback = process.env.SMS_FALLBACK_PROVIDER;
+  const chain = fallback && fallback !== primary ? [primary, fallback] : [primary];
+
+  if (!development && chain.includes('outbox')) {
+    console.error('SMS provider outbox is only available in development and has been skipped');
+    return chain.filter((name) => name !== 'outbox');
+  }
+
+  return chain;
+}
+
+/**
+ * Send an SMS with retry and fallback
+ * @param {Object} options
+ * @param {string} options.to - Mobile number in E.164 format
+ * @param {string} options.template - Template name (see templates.js)
+ * @param {Object} [options.params] - Template placeholder values
+ * @param {number} [options.userId] - User the message belongs to
+ * @returns {Promise<Object>} { id, provider, messageId }
+ * @throws {Error} With status 502 if every provider fails
+ */
+export async function sendSms({ to, template, params = {}, userId = null }) {
+  const { body, templateId } = renderTemplate(template, params);
+  const maxRetries = parseInt(process.env.SMS_MAX_RETRIES || '2');
+
+  const record = await query(
+    `INSERT INTO sms_messages (user_id, mobile_number, template, status)
+     VALUES ($1, $2, $3, 'pending')
+     RETURNING id`,
+    [userId, to, template]
+  );
+  const recordId = record.rows[0].id;
+
+  let attempts = 0;
+  let lastError = null;
+
+  for (const providerName of getProviderChain()) {
+    let provider;
+    try {
+      provider = getProvider(providerName);
+    } catch (error) {
+      console.error(`SMS provider ${providerName} unavailable:`, error.message);
+      lastError = error;
+      continue;
+    }
+
+    for (let retry = 0; retry <= maxRetries; retry++) {
+      attempts++;
+      try {
+        const { messageId } = await provider.send({ to, body, templateId, params });
+
+        await query(
+          `UPDATE sms_messages
+           SET status = 'sent', provider = $1, provider_message_id = $2, attempts = $3, error = NULL
+           WHERE id = $4`,
+          [provider.name, messageId, attempts, recordId]
+        );
+
+        return { id: recordId, provider: provider.name, messageId };
+      } catch (error) {
+        console.error(`SMS send via ${provider.name} failed (attempt ${retry + 1}):`, error.message);
+        lastError = error;
+      }
+    }
+  }
+
+  await query(
+    `UPDATE sms_messages
+     SET status = 'failed', attempts = $1, error = $2
+     WHERE id = $3`,
+    [attempts, lastError ? lastError.message : 'No SMS provider configured', recordId]
+  );
+
+  const error = new Error('Failed to send SMS. Please try again later');
+  error.status = 502;
+  throw error;
+}
@@ -0,0 +1,53 @@
+/**
+ * Generic HTTP SMS gateway provider (MSG91-style)
+ * Posts a JSON payload to a configurable endpoint with an auth key header
+ */
+
+/**
+ * Create HTTP gateway provider
+ * @returns {Object} SMS provider with send() method
+ */
+export function createHttpGatewayProvider() {
+  const url = process.env.SMS_HTTP_GATEWAY_URL;
+  const authKey = process.env.SMS_HTTP_AUTH_KEY;
+
+  if (!url || !authKey) {
+    throw new Error('HTTP SMS gateway configuration incomplete. Set SMS_HTTP_GATEWAY_URL and SMS_HTTP_AUTH_KEY.');
+  }
+
+  return {
+    name: 'http',
+
+    /**
+     * Send SMS via HTTP gateway
+     * @param {Object} message - { to, body, templateId, params }
+     * @returns {Promise<Object>} { messageId }
+     */
+    async send({ to, body, templateId, params }) {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'authkey': authKey,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          // Gateways expect the number without the leading +
+          mobiles: to.replace(/^\+/, ''),
+          sender: process.env.SMS_SENDER_ID,
+          // DLT-registered template id (required by Indian gateways)
+          template_id: templateId,
+          message: body,
+          ...params
+        })
+      });
+
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok || data.type === 'error') {
+        throw new Error(`SMS gateway request failed (${response.status}): ${data.message || 'Unknown error'}`);
+      }
+
+      return { messageId: data.request_id || data.message_id || data.id || null };
+    }
+  };
+}
@@ -0,0 +1,62 @@
+/**
+ * Local outbox SMS provider for development and tests
+ * Messages are kept in memory and optionally appended to a file
+ * (one JSON object per line) instead of being delivered. Message bodies,
+ * OTPs included, are logged, so getProviderChain() never picks this
+ * provider outside development
+ */
+
+import { appendFile } from 'fs/promises';
+import { randomUUID } from 'crypto';
+
+const outbox = [];
+
+/**
+ * Create outbox provider
+ * @returns {Object} SMS provider with send() method
+ */
+export function createOutboxProvider() {
+  return {
+    name: 'outbox',
+
+    /**
+     * Store SMS in the local outbox
+     * @param {Object} message - { to, body }
+     * @returns {Promise<Object>} { messageId }
+     */
+    async send({ to, body }) {
+      const entry = {
+        id: randomUUID(),
+        to,
+        body,
+        sentAt: new Date().toISOString()
+      };
+
+      outbox.push(entry);
+
+      if (process.env.SMS_OUTBOX_FILE) {
+        await appendFile(process.env.SMS_OUTBOX_FILE, `${JSON.stringify(entry)}\n`);
+      }
+
+      console.log(`[SMS OUTBOX] To ${to}: ${body}`);
+
+      return { messageId: entry.id };
+    }
+  };
+}
+
+/**
+ * Get messages stored in the outbox
+ * @param {string} [to] - Only return messages sent to this number
+ * @returns {Array<Object>} Outbox messages (oldest first)
+ */
+export function getOutbox(to) {
+  return to ? outbox.filter((entry) => entry.to === to) : [...outbox];
+}
+
+/**
+ * Remove all messages from the outbox
+ */
+export function clearOutbox() {
+  outbox.length = 0;
+}
@@ -0,0 +1,48 @@
+/**
+ * AWS SNS SMS provider
+ * Sends transactional SMS directly to a phone number (no topic required)
+ */
+
+import { SNSClient, PublishCommand } from '@aws-sdk/client-sns';
+
+let cachedClient = null;
+
+/**
+ * Create SNS provider
+ * @returns {Object} SMS provider with send() method
+ */
+export function createSnsProvider() {
+  return {
+    name: 'sns',
+
+    /**
+     * Send SMS via SNS
+     * @param {Object} message - { to, body }
+     * @returns {Promise<Object>} { messageId }
+     */
+    async send({ to, body }) {
+      // Reuse the client across Lambda invocations
+      if (!cachedClient) {
+        cachedClient = new SNSClient({
+          region: process.env.AWS_REGION || process.env.AWS_DEFAULT_REGION || 'ap-south-1'
+        });
+      }
+
+      const attributes = {
+        'AWS.SNS.SMS.SMSType': { DataType: 'String', StringValue: 'Transactional' }
+      };
+
+      if (process.env.SMS_SENDER_ID) {
+        attributes['AWS.SNS.SMS.SenderID'] = { DataType: 'String', StringValue: process.env.SMS_SENDER_ID };
+      }
+
+      const response = await cachedClient.send(new PublishCommand({
+        PhoneNumber: to,
+        Message: body,
+        MessageAttributes: attributes
+      }));
+
+      return { messageId: response.MessageId };
+    }
+  };
+}
@@ -0,0 +1,49 @@
+/**
+ * Twilio SMS provider
+ * Uses the Twilio REST API directly so no SDK dependency is needed
+ */
+
+/**
+ * Create Twilio provider
+ * @returns {Object} SMS provider with send() method
+ */
+export function createTwilioProvider() {
+  const accountSid = process.env.TWILIO_ACCOUNT_SID;
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  const from = process.env.TWILIO_FROM_NUMBER;
+
+  if (!accountSid || !authToken || !from) {
+    throw new Error('Twilio configuration incomplete. Set TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_FROM_NUMBER.');
+  }
+
+  return {
+    name: 'twilio',
+
+    /**
+     * Send SMS via Twilio
+     * @param {Object} message - { to, body }
+     * @returns {Promise<Object>} { messageId }
+     */
+    async send({ to, body }) {
+      const response = await fetch(
+        `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`,
+        {
+          method: 'POST',
+          headers: {
+            'Authorization': `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}`,
+            'Content-Type': 'application/x-www-form-urlencoded'
+          },
+          body: new URLSearchParams({ To: to, From: from, Body: body })
+        }
+      );
+
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        throw new Error(`Twilio request failed (${response.status}): ${data.message || 'Unknown error'}`);
+      }
+
+      return { messageId: data.sid };
+    }
+  };
+}
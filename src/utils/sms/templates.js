@@ -0,0 +1,46 @@
+/**
+ * SMS message templates
+ * Placeholders use {{name}} syntax. Each template can be overridden
+ * with an env var (e.g. SMS_TEMPLATE_OTP) and carries an optional
+ * DLT template id for gateways that require pre-registered templates
+ */
+
+const templates = {
+  otp: {
+    body: 'Your Funds Project verification code is {{otp}}. It is valid for {{expiryMinutes}} minutes. Do not share it with anyone.',
+    templateIdEnv: 'SMS_TEMPLATE_ID_OTP'
+  },
+  co_applicant_invite: {
+    body: '{{inviterName}} has added you as a {{role}} on Funds Project. To confirm, use code {{otp}} with reference {{reference}}. It is valid for {{expiryMinutes}} minutes.',
+    templateIdEnv: 'SMS_TEMPLATE_ID_CO_APPLICANT_INVITE'
+  },
+  mobile_change: {
+    body: 'Your Funds Project code to move your account to the number ending {{newNumberEnding}} is {{otp}}. It is valid for {{expiryMinutes}} minutes. If you did not request this, do not share it.',
+    templateIdEnv: 'SMS_TEMPLATE_ID_MOBILE_CHANGE'
+  }
+};
+
+/**
+ * Render an SMS template
+ * @param {string} name - Template name
+ * @param {Object} params - Placeholder values
+ * @returns {Object} { body, templateId }
+ * @throws {Error} If template does not exist
+ */
+export function renderTemplate(name, params = {}) {
+  const template = templates[name];
+
+  if (!template) {
+    throw new Error(`Unknown SMS template: ${name}`);
+  }
+
+  const source = process.env[`SMS_TEMPLATE_${name.toUpperCase()}`] || template.body;
+  const body = source.replace(/\{\{(\w+)\}\}/g, (match, key) =>
+    params[key] !== undefined ? String(params[key]) : match
+  );
+
+  return {
+    body,
+    templateId: process.env[template.templateIdEnv] || null
+  };
+}
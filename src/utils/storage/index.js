@@ -0,0 +1,58 @@
+/**
+ * File storage utility
+ * Picks the storage backend from config; documents are stored under opaque
+ * keys and only ever handed out through short-lived signed download URLs
+ *
+ * Config:
+ * - STORAGE_PROVIDER: s3 | local (default: local in development, s3 in production;
+ *   local is only allowed in development since it serves files from the app)
+ * - DOCUMENT_URL_EXPIRY_SECONDS: lifetime of signed download URLs (default: 300)
+ */
+
+import { isDevelopment } from '../environment.js';
+import { createS3Storage } from './providers/s3.js';
+import { createLocalStorage } from './providers/local.js';
+
+const storageFactories = {
+  s3: createS3Storage,
+  local: createLocalStorage
+};
+
+const cachedStorage = {};
+
+/**
+ * Get the configured storage backend name
+ * @returns {string} Storage provider name
+ */
+export function getStorageProviderName() {
+  return process.env.STORAGE_PROVIDER || (isDevelopment() ? 'local' : 's3');
+}
+
+/**
+ * Get a storage backend by name
+ * @param {string} [name] - Storage provider name (default: configured provider)
+ * @returns {Object} Storage with put(), getDownloadUrl(), read() and delete() methods
+ * @throws {Error} If provider is unknown or misconfigured, or local is used outside development
+ */
+export function getStorage(name = getStorageProviderName()) {
+  if (name === 'local' && !isDevelopment()) {
+    throw new Error('Storage provider local is only available in development');
+  }
+
+  if (!cachedStorage[name]) {
+    const factory = storageFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown storage provider: ${name}`);
+    }
+    cachedStorage[name] = factory();
+  }
+  return cachedStorage[name];
+}
+
+/**
+ * Get the lifetime of signed download URLs
+ * @returns {number} Seconds
+ */
+export function getDownloadUrlExpirySeconds() {
+  return parseInt(process.env.DOCUMENT_URL_EXPIRY_SECONDS || '300');
+}
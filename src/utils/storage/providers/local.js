@@ -0,0 +1,123 @@
+/**
+ * Local filesystem storage provider for development and tests
+ * Files are written under STORAGE_LOCAL_DIR (default: ./storage). Download
+ * URLs point at GET /api/documents/files and carry an HMAC signature and
+ * expiry, mimicking S3 presigned URLs.
+ *
+ * Config: STORAGE_LOCAL_DIR, STORAGE_SIGNING_SECRET (required outside
+ * development; development falls back to a built-in secret)
+ */
+
+import { mkdir, writeFile, readFile, rm } from 'fs/promises';
+import { createHmac, timingSafeEqual } from 'crypto';
+import path from 'path';
+import { isDevelopment } from '../../environment.js';
+
+const DEFAULT_SIGNING_SECRET = 'your-storage-secret-change-in-production';
+
+/**
+ * Get the secret used to sign local download URLs
+ * @returns {string} Signing secret
+ * @throws {Error} If STORAGE_SIGNING_SECRET is missing or the default outside development
+ */
+function getSigningSecret() {
+  const secret = process.env.STORAGE_SIGNING_SECRET;
+
+  if (isDevelopment()) {
+    return secret || DEFAULT_SIGNING_SECRET;
+  }
+  if (!secret || secret === DEFAULT_SIGNING_SECRET) {
+    throw new Error('Storage signing secret is not configured. Set a non-default STORAGE_SIGNING_SECRET.');
+  }
+  return secret;
+}
+
+/**
+ * Sign a key and expiry
+ * @param {string} key - Object key
+ * @param {number} expires - Expiry (Unix seconds)
+ * @returns {string} Hex signature
+ */
+function sign(key, expires) {
+  return createHmac('sha256', getSigningSecret()).update(`${key}\n${expires}`).digest('hex');
+}
+
+/**
+ * Create local filesystem storage
+ * @returns {Object} Storage with put(), getDownloadUrl(), delete(), read() and verifyDownload() methods
+ */
+export function createLocalStorage() {
+  const root = path.resolve(process.env.STORAGE_LOCAL_DIR || 'storage');
+
+  /**
+   * Resolve a key to a path inside the storage root
+   * @param {string} key - Object key
+   * @returns {string} Absolute file path
+   * @throws {Error} If the key escapes the storage root
+   */
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(`${root}${path.sep}`)) {
+      throw new Error('Invalid storage key');
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    /**
+     * Store a file
+     * @param {string} key - Object key
+     * @param {Buffer} body - File contents
+     */
+    async put(key, body) {
+      const filePath = resolveKey(key);
+      await mkdir(path.dirname(filePath), { recursive: true });
+      await writeFile(filePath, body);
+    },
+
+    /**
+     * Create a signed download URL for GET /api/documents/files
+     * @param {string} key - Object key
+     * @param {Object} options - { expiresIn (seconds) }
+     * @returns {Promise<string>} Signed URL (relative to the API host)
+     */
+    async getDownloadUrl(key, { expiresIn }) {
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      const params = new URLSearchParams({ key, expires: String(expires), signature: sign(key, expires) });
+      return `/api/documents/files?${params}`;
+    },
+
+    /**
+     * Delete a file (missing files are ignored)
+     * @param {string} key - Object key
+     */
+    async delete(key) {
+      await rm(resolveKey(key), { force: true });
+    },
+
+    /**
+     * Read a file
+     * @param {string} key - Object key
+     * @returns {Promise<Buffer>} File contents
+     */
+    async read(key) {
+      return readFile(resolveKey(key));
+    },
+
+    /**
+     * Check a download URL's signature and expiry
+     * @param {Object} params - { key, expires, signature } from the query string
+     * @returns {boolean} True if the URL is authentic and not expired
+     */
+    verifyDownload({ key, expires, signature }) {
+      if (!key || !expires || !signature || Number(expires) < Date.now() / 1000) {
+        return false;
+      }
+      const expected = Buffer.from(sign(key, Number(expires)));
+      const received = Buffer.from(String(signature));
+      return expected.length === received.length && timingSafeEqual(expected, received);
+    }
+  };
+}
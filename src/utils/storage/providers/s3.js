@@ -0,0 +1,84 @@
+/**
+ * AWS S3 storage provider
+ * Objects are encrypted at rest; downloads use presigned GET URLs
+ *
+ * Config: DOCUMENTS_BUCKET (required)
+ */
+
+import { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+
+let cachedClient = null;
+
+/**
+ * Create S3 storage
+ * @returns {Object} Storage with put(), getDownloadUrl(), read() and delete() methods
+ * @throws {Error} If DOCUMENTS_BUCKET is not set
+ */
+export function createS3Storage() {
+  const bucket = process.env.DOCUMENTS_BUCKET;
+
+  if (!bucket) {
+    throw new Error('DOCUMENTS_BUCKET is required for S3 storage');
+  }
+
+  // Reuse the client across Lambda invocations
+  if (!cachedClient) {
+    cachedClient = new S3Client({
+      region: process.env.AWS_REGION || process.env.AWS_DEFAULT_REGION || 'ap-south-1'
+    });
+  }
+
+  return {
+    name: 's3',
+
+    /**
+     * Store an object
+     * @param {string} key - Object key
+     * @param {Buffer} body - File contents
+     * @param {string} contentType - MIME type
+     */
+    async put(key, body, contentType) {
+      await cachedClient.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: body,
+        ContentType: contentType,
+        ServerSideEncryption: 'AES256'
+      }));
+    },
+
+    /**
+     * Create a presigned download URL
+     * @param {string} key - Object key
+     * @param {Object} options - { expiresIn (seconds), fileName, contentType }
+     * @returns {Promise<string>} Signed URL
+     */
+    async getDownloadUrl(key, { expiresIn, fileName, contentType }) {
+      return getSignedUrl(cachedClient, new GetObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        ResponseContentType: contentType,
+        ResponseContentDisposition: `attachment; filename="${fileName}"`
+      }), { expiresIn });
+    },
+
+    /**
+     * Read an object
+     * @param {string} key - Object key
+     * @returns {Promise<Buffer>} File contents
+     */
+    async read(key) {
+      const response = await cachedClient.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return Buffer.from(await response.Body.transformToByteArray());
+    },
+
+    /**
+     * Delete an object
+     * @param {string} key - Object key
+     */
+    async delete(key) {
+      await cachedClient.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    }
+  };
+}
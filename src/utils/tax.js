@@ -0,0 +1,171 @@
+/**
+ * Income tax projection for home loans and investments
+ *
+ * For each year of the projection the old and new regimes are compared:
+ * - Old regime: standard deduction, section 80C (home loan principal plus
+ *   other eligible investments), section 24(b) interest on a self-occupied
+ *   home and any other deductions, each within its cap
+ * - New regime: standard deduction only
+ *
+ * The selected rule version (see config/tax.js) is applied to every year;
+ * future budget changes are not guessed. Surcharge and marginal relief are
+ * not modelled. Tax is rounded to the nearest rupee.
+ *
+ * The loan's tax benefit is the tax saved in whichever regime is cheaper,
+ * and its post-tax cost is what was paid on the loan that year minus that benefit.
+ */
+
+import { calculationError, fromPaise, roundHalfUp, roundMoney } from './finance.js';
+import { buildSchedule, resolveLoanTerms } from './amortization.js';
+import { getTaxRules } from '../config/tax.js';
+
+/**
+ * Calculate tax on a taxable income under a regime
+ * @param {number} taxableIncome - Taxable income in rupees
+ * @param {Object} regime - Regime rules (slabs, rebate, cessPercent)
+ * @returns {number} Tax including cess, in rupees
+ */
+export function calculateTax(taxableIncome, regime) {
+  let tax = 0;
+  let lower = 0;
+
+  for (const { upTo, rate } of regime.slabs) {
+    const upper = upTo ?? Infinity;
+    if (taxableIncome > lower) {
+      tax += ((Math.min(taxableIncome, upper) - lower) * rate) / 100;
+    }
+    lower = upper;
+  }
+
+  if (regime.rebate && taxableIncome <= regime.rebate.incomeLimit) {
+    tax -= Math.min(tax, regime.rebate.maxRebate);
+  }
+
+  return roundHalfUp(tax * (1 + regime.cessPercent / 100));
+}
+
+/**
+ * Split a loan's payments into interest and principal per loan year
+ * Year 1 covers the first 12 monthly installments
+ * @param {Object} loan - { principal, annualRate, tenureMonths }
+ * @returns {Array<Object>} { year, interest, principal, installments } in rupees
+ */
+export function loanYearSplit(loan) {
+  const { principalPaise, rate, periods, emiPaise } = resolveLoanTerms(loan);
+  const years = [];
+
+  for (const row of buildSchedule({ principalPaise, rate, periods, emiPaise })) {
+    const index = Math.ceil(row.period / 12) - 1;
+    years[index] = years[index] || { year: index + 1, interest: 0, principal: 0, installments: 0 };
+    years[index].interest += row.interest;
+    years[index].principal += row.principal;
+    years[index].installments += row.installment;
+  }
+
+  return years.map((year) => ({
+    year: year.year,
+    interest: fromPaise(year.interest),
+    principal: fromPaise(year.principal),
+    installments: fromPaise(year.installments)
+  }));
+}
+
+/**
+ * Work out deductions, taxable income and tax under a regime
+ * @param {Object} regime - Regime rules
+ * @param {Object} inputs - { income, salaried, section80C, interest, otherDeductions }
+ * @returns {Object} { deductions, taxableIncome, tax }
+ */
+function applyRegime(regime, { income, salaried, section80C, interest, otherDeductions }) {
+  const deductions = {
+    standard: salaried ? Math.min(regime.standardDeduction, income) : 0,
+    section80C: regime.section80CLimit === null ? 0 : Math.min(section80C, regime.section80CLimit),
+    section24b: regime.section24bLimit === null ? 0 : Math.min(interest, regime.section24bLimit),
+    // Chapter VI-A deductions such as 80D are only available in the old regime
+    other: regime.section80CLimit === null ? 0 : otherDeductions
+  };
+
+  const total = deductions.standard + deductions.section80C + deductions.section24b + deductions.other;
+  const taxableIncome = Math.max(0, income - total);
+
+  return { deductions, taxableIncome, tax: calculateTax(taxableIncome, regime) };
+}
+
+/**
+ * Project yearly tax under both regimes with and without a home loan
+ * @param {Object} options
+ * @param {string} options.taxYear - Rule version (see config/tax.js)
+ * @param {number} options.annualIncome - Gross annual income in the first year
+ * @param {number} [options.incomeGrowthPercent] - Yearly income growth (default: 0)
+ * @param {boolean} [options.salaried] - Claim the standard deduction (default: true)
+ * @param {number} [options.otherSection80C] - Other yearly 80C investments, e.g. PPF, ELSS (default: 0)
+ * @param {number} [options.otherDeductions] - Other old-regime deductions, e.g. 80D (default: 0)
+ * @param {Object} [options.loan] - Home loan { principal, annualRate, tenureMonths } on a self-occupied home
+ * @param {number} [options.years] - Years to project (default: loan tenure in years, or 1)
+ * @returns {Object} { taxYear, summary, yearly }
+ * @throws {Error} With status 400 if the tax year is unknown
+ */
+export function projectTax({
+  taxYear,
+  annualIncome,
+  incomeGrowthPercent = 0,
+  salaried = true,
+  otherSection80C = 0,
+  otherDeductions = 0,
+  loan = null,
+  years = null
+}) {
+  const allRules = getTaxRules();
+
+  if (!Object.hasOwn(allRules, taxYear)) {
+    throw calculationError('taxYear', `Unknown tax year. Use one of: ${Object.keys(allRules).join(', ')}`);
+  }
+
+  const rules = allRules[taxYear];
+
+  const loanYears = loan ? loanYearSplit(loan) : [];
+  const horizon = years ?? Math.max(1, loanYears.length);
+  const yearly = [];
+
+  for (let year = 1; year <= horizon; year++) {
+    const income = roundHalfUp(annualIncome * Math.pow(1 + incomeGrowthPercent / 100, year - 1));
+    const loanYear = loanYears[year - 1] || { interest: 0, principal: 0, installments: 0 };
+    const inputs = { income, salaried, otherDeductions };
+
+    const oldWithLoan = applyRegime(rules.old, { ...inputs, section80C: otherSection80C + loanYear.principal, interest: loanYear.interest });
+    const oldWithoutLoan = applyRegime(rules.old, { ...inputs, section80C: otherSection80C, interest: 0 });
+    const newRegime = applyRegime(rules.new, { ...inputs, section80C: 0, interest: 0 });
+
+    const bestWithLoan = Math.min(oldWithLoan.tax, newRegime.tax);
+    const loanTaxBenefit = Math.min(oldWithoutLoan.tax, newRegime.tax) - bestWithLoan;
+
+    yearly.push({
+      year,
+      income,
+      loan: loan ? loanYear : null,
+      oldRegime: oldWithLoan,
+      newRegime,
+      betterRegime: oldWithLoan.tax < newRegime.tax ? 'old' : 'new',
+      taxSaving: Math.abs(oldWithLoan.tax - newRegime.tax),
+      loanTaxBenefit,
+      postTaxLoanCost: loan ? roundMoney(loanYear.installments - loanTaxBenefit) : null
+    });
+  }
+
+  const sum = (select) => yearly.reduce((total, row) => total + select(row), 0);
+  const totalOld = sum((row) => row.oldRegime.tax);
+  const totalNew = sum((row) => row.newRegime.tax);
+
+  return {
+    taxYear,
+    summary: {
+      years: horizon,
+      totalTaxOldRegime: totalOld,
+      totalTaxNewRegime: totalNew,
+      recommendedRegime: totalOld < totalNew ? 'old' : 'new',
+      totalLoanTaxBenefit: sum((row) => row.loanTaxBenefit),
+      totalLoanInterest: loan ? roundMoney(sum((row) => row.loan.interest)) : null
+    },
+    yearly
+  };
+}
@@ -0,0 +1,300 @@
+/**
+ * Schema-driven request validation utility
+ *
+ * A schema is a plain object mapping field names to rules:
+ * {
+ *   firstName: { type: 'string', required: true, maxLength: 255 },
+ *   gender: { type: 'string', enum: ['Male', 'Female', 'Other'] },
+ *   numberOfDependents: { type: 'integer', min: 0 }
+ * }
+ *
+ * Supported types: string, integer, number, boolean, date (YYYY-MM-DD),
+ * array (with `items` rule) and object (with nested `properties` schema).
+ * Other rules: required, nullable (default: true for optional fields),
+ * enum, pattern, format ('email'), minLength, maxLength, min, max,
+ * minItems, maxItems, message (overrides the default error message).
+ *
+ * Values are coerced where unambiguous (numeric strings to numbers,
+ * "true"/"false" to booleans, strings are trimmed). All errors are
+ * collected and returned as { field, code, message }.
+ */
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Build an error entry
+ * @param {string} field - Field path
+ * @param {string} code - Stable error code
+ * @param {string} message - Human readable message
+ * @returns {Object} { field, code, message }
+ */
+function fieldError(field, code, message) {
+  return { field, code, message };
+}
+
+/**
+ * Coerce and check the type of a value
+ * @param {*} value - Raw value
+ * @param {Object} rule - Field rule
+ * @returns {Object} { value } on success or { error: code } on failure
+ */
+function coerceType(value, rule) {
+  switch (rule.type) {
+    case 'string':
+      if (typeof value === 'number') {
+        return { value: String(value) };
+      }
+      return typeof value === 'string' ? { value: value.trim() } : { error: 'invalid_type' };
+
+    case 'integer':
+    case 'number': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) {
+        return { error: 'invalid_type' };
+      }
+      if (rule.type === 'integer' && !Number.isInteger(number)) {
+        return { error: 'invalid_type' };
+      }
+      return { value: number };
+    }
+
+    case 'boolean':
+      if (value === 'true') return { value: true };
+      if (value === 'false') return { value: false };
+      return typeof value === 'boolean' ? { value } : { error: 'invalid_type' };
+
+    case 'date': {
+      if (typeof value !== 'string' || !DATE_REGEX.test(value.trim())) {
+        return { error: 'invalid_format' };
+      }
+      const date = new Date(`${value.trim()}T00:00:00Z`);
+      // Reject dates like 2023-02-30 that Date silently rolls over
+      if (isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value.trim()) {
+        return { error: 'invalid_format' };
+      }
+      return { value: value.trim() };
+    }
+
+    case 'array':
+      return Array.isArray(value) ? { value } : { error: 'invalid_type' };
+
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value)
+        ? { value }
+        : { error: 'invalid_type' };
+
+    default:
+      throw new Error(`Unknown schema type: ${rule.type}`);
+  }
+}
+
+/**
+ * Default error message for a failed rule
+ * @param {string} code - Error code
+ * @param {Object} rule - Field rule
+ * @returns {string} Message
+ */
+function defaultMessage(code, rule) {
+  switch (code) {
+    case 'required':
+      return 'This field is required';
+    case 'invalid_type':
+      return `Must be ${/^[aeiou]/.test(rule.type) ? 'an' : 'a'} ${rule.type}`;
+    case 'invalid_format':
+      if (rule.type === 'date') return 'Invalid date format. Use YYYY-MM-DD';
+      if (rule.format === 'email') return 'Invalid email format';
+      return 'Invalid format';
+    case 'invalid_enum':
+      return `Must be one of: ${rule.enum.join(', ')}`;
+    case 'too_short':
+      return rule.type === 'array'
+        ? `Must contain at least ${rule.minItems} item(s)`
+        : `Must be at least ${rule.minLength} characters`;
+    case 'too_long':
+      return rule.type === 'array'
+        ? `Must contain at most ${rule.maxItems} item(s)`
+        : `Must be at most ${rule.maxLength} characters`;
+    case 'too_small':
+      return `Must be greater than or equal to ${rule.min}`;
+    case 'too_large':
+      return `Must be less than or equal to ${rule.max}`;
+    default:
+      return 'Invalid value';
+  }
+}
+
+/**
+ * Validate a single value against a rule
+ * @param {*} raw - Raw value
+ * @param {Object} rule - Field rule
+ * @param {string} field - Field path (for error reporting)
+ * @param {Array<Object>} errors - Collected errors (mutated)
+ * @returns {*} Coerced value (undefined if invalid)
+ */
+function validateValue(raw, rule, field, errors) {
+  const fail = (code) => {
+    errors.push(fieldError(field, code, rule.message || defaultMessage(code, rule)));
+    return undefined;
+  };
+
+  const coerced = coerceType(raw, rule);
+  if (coerced.error) {
+    return fail(coerced.error);
+  }
+
+  const { value } = coerced;
+
+  if (rule.type === 'string') {
+    if (rule.required && value === '') return fail('required');
+    if (rule.enum && !rule.enum.includes(value)) return fail('invalid_enum');
+    if (rule.minLength !== undefined && value.length < rule.minLength) return fail('too_short');
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) return fail('too_long');
+    if (rule.format === 'email' && !EMAIL_REGEX.test(value)) return fail('invalid_format');
+    if (rule.pattern && !rule.pattern.test(value)) return fail('invalid_format');
+  }
+
+  if (rule.type === 'integer' || rule.type === 'number') {
+    if (rule.enum && !rule.enum.includes(value)) return fail('invalid_enum');
+    if (rule.min !== undefined && value < rule.min) return fail('too_small');
+    if (rule.max !== undefined && value > rule.max) return fail('too_large');
+  }
+
+  if (rule.type === 'array') {
+    if (rule.minItems !== undefined && value.length < rule.minItems) return fail('too_short');
+    if (rule.maxItems !== undefined && value.length > rule.maxItems) return fail('too_long');
+    if (rule.items) {
+      return value.map((item, index) => validateValue(item, rule.items, `${field}[${index}]`, errors));
+    }
+  }
+
+  if (rule.type === 'object' && rule.properties) {
+    return validateObject(rule.properties, value, errors, `${field}.`);
+  }
+
+  return value;
+}
+
+/**
+ * Validate an object against a schema
+ * @param {Object} schema - Field rules
+ * @param {Object} data - Raw data
+ * @param {Array<Object>} errors - Collected errors (mutated)
+ * @param {string} [prefix] - Field path prefix for nested objects
+ * @returns {Object} Coerced data (unknown fields are dropped, absent fields stay absent)
+ */
+function validateObject(schema, data, errors, prefix = '') {
+  const value = {};
+
+  for (const [name, rule] of Object.entries(schema)) {
+    const field = `${prefix}${name}`;
+    const raw = data[name];
+
+    if (raw === undefined || (raw === '' && rule.type !== 'string')) {
+      if (rule.required) {
+        errors.push(fieldError(field, 'required', defaultMessage('required', rule)));
+      } else if (rule.default !== undefined) {
+        value[name] = rule.default;
+      }
+      continue;
+    }
+
+    if (raw === null) {
+      if (rule.required) {
+        errors.push(fieldError(field, 'required', defaultMessage('required', rule)));
+      } else if (rule.nullable === false) {
+        errors.push(fieldError(field, 'invalid_type', 'Must not be null'));
+      } else {
+        value[name] = null;
+      }
+      continue;
+    }
+
+    const coerced = validateValue(raw, rule, field, errors);
+    if (coerced !== undefined) {
+      value[name] = coerced;
+    }
+  }
+
+  return value;
+}
+
+/**
+ * Validate data against a schema
+ * @param {Object} schema - Field rules
+ * @param {Object} data - Raw data (e.g. req.body)
+ * @returns {Object} { value, errors } - errors is empty when valid
+ */
+export function validate(schema, data) {
+  const errors = [];
+  const value = validateObject(schema, data && typeof data === 'object' ? data : {}, errors);
+  return { value, errors };
+}
+
+/**
+ * Convert a single rule to JSON Schema
+ * @param {Object} rule - Field rule
+ * @returns {Object} JSON Schema fragment
+ */
+function ruleToJsonSchema(rule) {
+  const json = {};
+
+  switch (rule.type) {
+    case 'date':
+      json.type = 'string';
+      json.format = 'date';
+      break;
+    case 'array':
+      json.type = 'array';
+      if (rule.items) json.items = ruleToJsonSchema(rule.items);
+      if (rule.minItems !== undefined) json.minItems = rule.minItems;
+      if (rule.maxItems !== undefined) json.maxItems = rule.maxItems;
+      break;
+    case 'object':
+      Object.assign(json, toJsonSchema(rule.properties || {}));
+      break;
+    default:
+      json.type = rule.type;
+  }
+
+  if (rule.enum) json.enum = rule.enum;
+  if (rule.format) json.format = rule.format;
+  if (rule.pattern) json.pattern = rule.pattern.source;
+  if (rule.minLength !== undefined) json.minLength = rule.minLength;
+  if (rule.maxLength !== undefined) json.maxLength = rule.maxLength;
+  if (rule.min !== undefined) json.minimum = rule.min;
+  if (rule.max !== undefined) json.maximum = rule.max;
+  if (rule.default !== undefined) json.default = rule.default;
+  if (rule.description) json.description = rule.description;
+
+  if (!rule.required && rule.nullable !== false) {
+    json.type = [json.type, 'null'];
+    if (json.enum) json.enum = [...json.enum, null];
+  }
+
+  return json;
+}
+
+/**
+ * Export a schema as JSON Schema (draft 2020-12)
+ * @param {Object} schema - Field rules
+ * @returns {Object} JSON Schema object
+ */
+export function toJsonSchema(schema) {
+  const properties = {};
+  const required = [];
+
+  for (const [name, rule] of Object.entries(schema)) {
+    properties[name] = ruleToJsonSchema(rule);
+    if (rule.required) {
+      required.push(name);
+    }
+  }
+
+  return {
+    type: 'object',
+    properties,
+    ...(required.length > 0 && { required }),
+    additionalProperties: false
+  };
+}